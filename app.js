@@ -3,15 +3,28 @@ import cors from "cors";
 import userRouter from "./routes/register.route.js";
 import session from "express-session";
 import MongoStore from "connect-mongo";
+import {
+  getStorageDriverName,
+  getLocalStorageDir,
+  LOCAL_STORAGE_ROUTE,
+} from "./utils/storage/index.js";
 
 const app = express();
 
+// Behind a reverse proxy, req.ip (used to throttle logins) must be the
+// client's address, not the proxy's. TRUST_PROXY takes Express's
+// "trust proxy" values: a hop count, "loopback", a list of addresses...
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // FIXED: Specific origin instead of wildcard when using credentials
 app.use(
   cors({
     origin: true,
     credentials: true, // This allows cookies to be sent
-    methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+    methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
     optionsSuccessStatus: 200, // For legacy browser support
   })
@@ -40,6 +53,11 @@ app.use(
   })
 );
 
+// Serve uploaded PDFs ourselves when running on the local storage driver
+if (getStorageDriverName() === "local") {
+  app.use(LOCAL_STORAGE_ROUTE, express.static(getLocalStorageDir()));
+}
+
 // Routes - AFTER session middleware
 app.use("/api", userRouter);
 
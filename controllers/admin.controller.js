@@ -0,0 +1,409 @@
+import { Admin, Department } from "../models/index.js";
+import { ADMIN_ROLES, getRolePermissions } from "../utils/permissions.js";
+
+const EDITABLE_FIELDS = ["fullname", "phone", "email", "role", "department"];
+
+// Never send the password hash or session version
+const ADMIN_FIELDS =
+  "employee_id fullname email role department phone isActive";
+
+const toAdminResponse = (admin) => ({
+  _id: admin._id,
+  employee_id: admin.employee_id,
+  fullname: admin.fullname,
+  email: admin.email,
+  role: admin.role,
+  department: admin.department,
+  permissions: getRolePermissions(admin.role),
+  phone: admin.phone,
+  isActive: admin.isActive,
+});
+
+const isSelf = (req, admin) => String(req.user._id) === String(admin._id);
+
+// The admin being managed, with its session version loaded
+const findAdmin = async (id) => {
+  const admin = await Admin.findById(id).select("+sessionVersion");
+  if (!admin) {
+    throw Object.assign(new Error("Admin not found"), { status: 404 });
+  }
+  return admin;
+};
+
+// Refuse to leave the system without an active superadmin
+const ensureAnotherSuperadmin = async (admin, action) => {
+  if (admin.role !== "superadmin" || !admin.isActive) return;
+  if ((await Admin.countActiveSuperadmins()) <= 1) {
+    throw Object.assign(
+      new Error(
+        `Cannot ${action} the last active superadmin. Make someone else superadmin first.`
+      ),
+      { status: 409 }
+    );
+  }
+};
+
+const adminErrorResponse = (res, error, action) => {
+  console.error(`Error ${action}:`, error);
+
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: Object.values(error.errors).map((err) => err.message),
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${error.path}: ${error.value}`,
+      error: "INVALID_ID",
+    });
+  }
+
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern)[0];
+    return res.status(409).json({
+      success: false,
+      message: `Admin with this ${field} already exists`,
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: `Error ${action}`,
+    ...(process.env.NODE_ENV === "development" && { error: error.message }),
+  });
+};
+
+// GET /api/admins?role=admin&isActive=true&q=kaur - Every admin account
+const listAdmins = async (req, res) => {
+  try {
+    const { role, isActive, q } = req.query;
+    const filter = {};
+
+    if (role) {
+      if (!ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Role must be one of: ${ADMIN_ROLES.join(", ")}`,
+        });
+      }
+      filter.role = role;
+    }
+    if (isActive === "true" || isActive === "false") {
+      filter.isActive = isActive === "true";
+    }
+    if (q && String(q).trim()) {
+      const pattern = String(q)
+        .trim()
+        .replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      filter.$or = [
+        { fullname: { $regex: pattern, $options: "i" } },
+        { email: { $regex: pattern, $options: "i" } },
+        { employee_id: { $regex: pattern, $options: "i" } },
+      ];
+    }
+
+    const admins = await Admin.find(filter)
+      .select(ADMIN_FIELDS)
+      .populate("department", "name")
+      .sort({ fullname: 1 });
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${admins.length} admin(s)`,
+      admins: admins.map(toAdminResponse),
+    });
+  } catch (error) {
+    return adminErrorResponse(res, error, "listing admins");
+  }
+};
+
+// GET /api/admins/:id
+const getAdmin = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.params.id)
+      .select(ADMIN_FIELDS)
+      .populate("department", "name");
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: "Admin not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Admin retrieved successfully",
+      admin: toAdminResponse(admin),
+    });
+  } catch (error) {
+    return adminErrorResponse(res, error, "fetching admin");
+  }
+};
+
+// PATCH /api/admins/:id - Body: any of { fullname, phone, email, role,
+// department }. Nobody changes their own role; the last active superadmin
+// keeps theirs.
+const updateAdmin = async (req, res) => {
+  try {
+    const requestedFields = Object.keys(req.body || {});
+    const forbiddenFields = requestedFields.filter(
+      (field) => !EDITABLE_FIELDS.includes(field)
+    );
+    if (forbiddenFields.length > 0 || requestedFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide only fields that can be edited",
+        forbiddenFields,
+        allowedFields: EDITABLE_FIELDS,
+      });
+    }
+
+    const admin = await findAdmin(req.params.id);
+    const { fullname, phone, email, role, department } = req.body;
+
+    if (role !== undefined && role !== admin.role) {
+      if (!ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid role specified",
+          allowedRoles: ADMIN_ROLES,
+        });
+      }
+      if (isSelf(req, admin)) {
+        return res.status(403).json({
+          success: false,
+          message: "You cannot change your own role",
+        });
+      }
+      await ensureAnotherSuperadmin(admin, "demote");
+      admin.role = role;
+    }
+
+    // Only department admins are tied to a department
+    if (admin.role !== "department-admin") {
+      if (department) {
+        return res.status(400).json({
+          success: false,
+          message: "Only department admins are tied to a department",
+        });
+      }
+      admin.department = null;
+    } else if (department !== undefined) {
+      if (!department || !(await Department.exists({ _id: department }))) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Department not found. Please provide a valid department ID.",
+        });
+      }
+      admin.department = department;
+    }
+
+    if (email !== undefined) {
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(String(email))) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide a valid email address",
+        });
+      }
+      admin.email = String(email).toLowerCase().trim();
+    }
+    if (fullname !== undefined) admin.fullname = String(fullname).trim();
+    if (phone !== undefined) admin.phone = String(phone).trim();
+
+    if (!admin.isModified()) {
+      return res.status(200).json({
+        success: true,
+        message: "No changes detected",
+        admin: toAdminResponse(admin),
+      });
+    }
+
+    await admin.save();
+    await admin.populate("department", "name");
+
+    console.log(`Admin ${admin.email} updated by ${req.user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: "Admin updated successfully",
+      admin: toAdminResponse(admin),
+    });
+  } catch (error) {
+    return adminErrorResponse(res, error, "updating admin");
+  }
+};
+
+// POST /api/admins/:id/deactivate - Block the account and end its sessions
+const deactivateAdmin = async (req, res) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+
+    if (isSelf(req, admin)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot deactivate your own account",
+      });
+    }
+    if (!admin.isActive) {
+      return res.status(200).json({
+        success: true,
+        message: "Admin is already deactivated",
+        admin: toAdminResponse(admin),
+      });
+    }
+    await ensureAnotherSuperadmin(admin, "deactivate");
+
+    admin.isActive = false;
+    admin.endSessions();
+    await admin.save();
+
+    console.log(`Admin ${admin.email} deactivated by ${req.user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: "Admin deactivated and logged out",
+      admin: toAdminResponse(admin),
+    });
+  } catch (error) {
+    return adminErrorResponse(res, error, "deactivating admin");
+  }
+};
+
+// POST /api/admins/:id/reactivate - Let a deactivated admin log in again.
+// Sessions from before the deactivation stay ended.
+const reactivateAdmin = async (req, res) => {
+  try {
+    const admin = await findAdmin(req.params.id);
+
+    if (admin.isActive) {
+      return res.status(200).json({
+        success: true,
+        message: "Admin is already active",
+        admin: toAdminResponse(admin),
+      });
+    }
+
+    admin.isActive = true;
+    await admin.save();
+
+    console.log(`Admin ${admin.email} reactivated by ${req.user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: "Admin reactivated",
+      admin: toAdminResponse(admin),
+    });
+  } catch (error) {
+    return adminErrorResponse(res, error, "reactivating admin");
+  }
+};
+
+// POST /api/admins/:id/reset-password - Body: { password }. Sets a new
+// password and logs the admin out everywhere.
+const resetAdminPassword = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+    if (!password || String(password).length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    const admin = await findAdmin(req.params.id);
+    admin.password = String(password); // Hashed by the Admin pre-save hook
+    admin.endSessions();
+    await admin.save();
+
+    // Resetting your own password keeps this session going
+    if (isSelf(req, admin)) {
+      req.session.sessionVersion = admin.sessionVersion;
+    }
+
+    console.log(`Password of admin ${admin.email} reset by ${req.user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: "Password reset. The admin has been logged out everywhere.",
+    });
+  } catch (error) {
+    return adminErrorResponse(res, error, "resetting admin password");
+  }
+};
+
+// POST /api/admins/:id/transfer-superadmin - Hand the superadmin role to
+// another active admin; the caller becomes an admin
+const transferSuperadmin = async (req, res) => {
+  try {
+    if (req.user.role !== "superadmin") {
+      return res.status(403).json({
+        success: false,
+        message: "Only a superadmin can hand over the superadmin role",
+      });
+    }
+
+    const admin = await findAdmin(req.params.id);
+    if (isSelf(req, admin)) {
+      return res.status(400).json({
+        success: false,
+        message: "Choose another admin to become superadmin",
+      });
+    }
+    if (!admin.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Reactivate this admin before making them superadmin",
+      });
+    }
+    if (admin.role === "superadmin") {
+      return res.status(400).json({
+        success: false,
+        message: "This admin is already a superadmin",
+      });
+    }
+
+    // Promote first, so there is a superadmin at every step
+    admin.role = "superadmin";
+    admin.department = null;
+    await admin.save();
+
+    req.user.role = "admin";
+    await req.user.save();
+
+    console.log(
+      `Superadmin role transferred from ${req.user.email} to ${admin.email}`
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `${admin.fullname} is now superadmin; you are now an admin`,
+      admin: toAdminResponse(admin),
+      you: toAdminResponse(req.user),
+    });
+  } catch (error) {
+    return adminErrorResponse(res, error, "transferring superadmin role");
+  }
+};
+
+export {
+  listAdmins,
+  getAdmin,
+  updateAdmin,
+  deactivateAdmin,
+  reactivateAdmin,
+  resetAdminPassword,
+  transferSuperadmin,
+};
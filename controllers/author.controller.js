@@ -0,0 +1,282 @@
+import { AuthorProfile, Publication } from "../models/index.js";
+import { AUTHORS_POPULATE } from "../models/publication.model.js";
+import { registerPublication } from "./user.controller.js";
+import {
+  accountLoginKey,
+  clearFailedLogins,
+  getLoginLock,
+  lockedOutResponse,
+  recordFailedLogin,
+} from "../utils/loginThrottle.js";
+
+// Shape returned to the client - never include the password
+const toAuthorResponse = (author) => ({
+  _id: author._id,
+  employee_id: author.employee_id,
+  author_name: author.author_name,
+  department: author.department,
+  email: author.email,
+  isActive: author.isActive,
+  createdAt: author.createdAt,
+  updatedAt: author.updatedAt,
+});
+
+// POST /api/author/login - Faculty login with employee_id and password
+const loginAuthor = async (req, res) => {
+  try {
+    const { employee_id, password } = req.body;
+
+    if (!employee_id || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Employee ID and password are required",
+        missingFields: {
+          employee_id: !employee_id,
+          password: !password,
+        },
+      });
+    }
+
+    const employeeIdNum = Number(employee_id);
+    if (isNaN(employeeIdNum) || employeeIdNum <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Employee ID must be a positive number",
+      });
+    }
+
+    // Locked out (this account or this IP)?
+    const loginKey = accountLoginKey("author", employeeIdNum);
+    const lock = await getLoginLock(req, loginKey);
+    if (lock) return lockedOutResponse(res, lock);
+
+    const author = await AuthorProfile.findOne({
+      employee_id: employeeIdNum,
+    }).select("+sessionVersion");
+
+    if (!author) {
+      const lockout = await recordFailedLogin(req, loginKey);
+      if (lockout) return lockedOutResponse(res, lockout);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid employee ID or password", // Generic message for security
+      });
+    }
+
+    if (author.isActive === false) {
+      return res.status(403).json({
+        success: false,
+        message: "Account is deactivated. Please contact administrator.",
+      });
+    }
+
+    const isPasswordValid = await author.comparePassword(password);
+
+    if (!isPasswordValid) {
+      const lockout = await recordFailedLogin(req, loginKey);
+      if (lockout) return lockedOutResponse(res, lockout);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid employee ID or password",
+      });
+    }
+
+    await clearFailedLogins(loginKey);
+
+    // Regenerate session ID for security (prevents session fixation attacks)
+    req.session.regenerate((err) => {
+      if (err) {
+        console.error("Session regeneration error during author login:", err);
+        return res.status(500).json({
+          success: false,
+          message: "Login successful but session error occurred",
+        });
+      }
+
+      req.session.authorId = author._id;
+      req.session.employeeId = author.employee_id;
+      req.session.sessionVersion = author.sessionVersion;
+      req.session.userRole = "faculty";
+      req.session.isAuthenticated = true;
+      req.session.loginTime = new Date();
+      req.session.lastAccessed = new Date();
+      req.session.cookie.maxAge = 24 * 60 * 60 * 1000;
+
+      return res.status(200).json({
+        success: true,
+        message: "Login successful",
+        author: toAuthorResponse(author),
+        session: {
+          isLoggedIn: true,
+          sessionId: req.sessionID,
+          loginTime: req.session.loginTime,
+          expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+          role: "faculty",
+        },
+      });
+    });
+  } catch (error) {
+    console.error("Author login error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error during login",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// POST /api/author/logout
+const logoutAuthor = async (req, res) => {
+  try {
+    if (!req.session || !req.session.authorId) {
+      return res.status(200).json({
+        success: true,
+        message: "Already logged out",
+        isLoggedIn: false,
+      });
+    }
+
+    console.log(
+      `Author logout: ${req.session.employeeId} (Session: ${req.sessionID})`
+    );
+
+    req.session.destroy((err) => {
+      if (err) {
+        console.error("Session destruction error:", err);
+        return res.status(500).json({
+          success: false,
+          message: "Error during logout process",
+          error:
+            process.env.NODE_ENV === "development" ? err.message : undefined,
+        });
+      }
+
+      res.clearCookie("connect.sid", {
+        path: "/",
+        httpOnly: true,
+        secure: process.env.NODE_ENV === "production",
+        sameSite: "lax",
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: "Logout successful",
+        isLoggedIn: false,
+        logoutTime: new Date(),
+      });
+    });
+  } catch (error) {
+    console.error("Author logout error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error during logout",
+      isLoggedIn: false,
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// GET /api/author/me - Profile of the logged in author
+const getCurrentAuthor = async (req, res) => {
+  try {
+    await req.author.populate("department", "name");
+
+    const publicationCount = await Publication.countDocuments(
+      await Publication.getEmployeeFilter(req.author.employee_id)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Author profile retrieved successfully",
+      author: toAuthorResponse(req.author),
+      publicationCount,
+    });
+  } catch (error) {
+    console.error("Error fetching current author:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// GET /api/author/publications - Only the logged in author's publications
+const getOwnPublications = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      sortBy = "publication_date",
+      order = "desc",
+    } = req.query;
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.max(1, Math.min(100, parseInt(limit, 10) || 10));
+
+    const validSortFields = ["publication_date", "title", "coAuthorCount"];
+    if (!validSortFields.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid sort field",
+      });
+    }
+    const sortOrder = order === "asc" ? 1 : -1;
+
+    const filter = await Publication.getEmployeeFilter(req.author.employee_id);
+
+    const [publications, totalCount] = await Promise.all([
+      Publication.find(filter)
+        .sort({ [sortBy]: sortOrder })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .populate("department", "name")
+        .populate("authorDeptId", "name")
+        .populate(AUTHORS_POPULATE)
+        .exec(),
+      Publication.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    return res.status(200).json({
+      success: true,
+      publications,
+      message: "Publications retrieved successfully",
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        totalCount,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching own publications:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching publications",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/author/publications - Submit a publication as the logged in author.
+// Identity fields always come from the session, never from the request body.
+const submitOwnPublication = async (req, res) => {
+  req.body.employeeId = String(req.author.employee_id);
+  req.body.authorName = req.author.author_name;
+  req.body.authorDeptId = String(req.author.department);
+
+  return registerPublication(req, res);
+};
+
+export {
+  loginAuthor,
+  logoutAuthor,
+  getCurrentAuthor,
+  getOwnPublications,
+  submitOwnPublication,
+};
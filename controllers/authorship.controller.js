@@ -0,0 +1,388 @@
+import { Authorship, Publication } from "../models/index.js";
+import { getRequestActor } from "../utils/actor.js";
+import { isOutsideDepartmentScope } from "../utils/permissions.js";
+import {
+  addExternalAuthors,
+  readExternalAuthors,
+} from "../utils/externalAuthors.js";
+
+// What an author list entry looks like in responses
+const toAuthorListEntry = (authorship) => ({
+  _id: authorship._id,
+  order: authorship.order,
+  isCorresponding: authorship.isCorresponding,
+  equalContribution: authorship.equalContribution,
+  type: authorship.contributor ? "external" : "internal",
+  name: authorship.displayName,
+  profile: authorship.profile,
+  contributor: authorship.contributor,
+});
+
+// How the author list is written to the publication's changeLog
+const toLogEntry = (authorship) => ({
+  name: authorship.displayName,
+  isCorresponding: authorship.isCorresponding,
+  equalContribution: authorship.equalContribution,
+});
+
+// Authors may only touch publications they uploaded, and department admins
+// only their own department's
+const checkPublicationAccess = (req, actor, publication, verb) => {
+  if (
+    actor.model !== "Admin" &&
+    publication.employeeId !== String(req.author.employee_id)
+  ) {
+    throw Object.assign(
+      new Error(`You can only ${verb} your own publications`),
+      { status: 403 }
+    );
+  }
+
+  if (isOutsideDepartmentScope(req, publication.department)) {
+    throw Object.assign(
+      new Error("You can only manage publications of your own department"),
+      { status: 403 }
+    );
+  }
+};
+
+// The publication whose author list is being edited, with changeLog and
+// review fields
+const findEditablePublication = async (req) => {
+  const actor = getRequestActor(req);
+  const publication = await Publication.findById(req.params.id).select(
+    "+changeLog +reviewHistory"
+  );
+  if (!publication) {
+    throw Object.assign(new Error("Publication not found"), { status: 404 });
+  }
+
+  checkPublicationAccess(req, actor, publication, "edit");
+
+  return { publication, actor };
+};
+
+// Log an author list change on the publication. The list itself is already
+// saved (and the sync wrote coAuthors and coAuthorCount), so only the log
+// entry and status are written, in one targeted update: a full save would
+// re-validate the whole record and could fail after the list had changed.
+const recordAuthorListChange = async (publication, actor, before, after) => {
+  const logEntry = {
+    changedBy: actor.id,
+    changedByModel: actor.model,
+    changedAt: new Date(),
+    changes: [
+      {
+        field: "authors",
+        from: before.map(toLogEntry),
+        to: after.map(toLogEntry),
+      },
+    ],
+  };
+  publication.changeLog.push(logEntry);
+  const update = { $push: { changeLog: logEntry } };
+
+  // An author editing a verified record sends it back for review
+  if (actor.model !== "Admin" && publication.status === "verified") {
+    publication.applyStatusTransition("submit", actor);
+    update.$set = {
+      status: publication.status,
+      submittedAt: publication.submittedAt,
+      reviewNote: publication.reviewNote,
+    };
+    update.$push.reviewHistory = publication.reviewHistory.at(-1).toObject();
+  }
+
+  await Publication.updateOne({ _id: publication._id }, update);
+};
+
+const authorListErrorResponse = (res, error, action) => {
+  console.error(`Error ${action}:`, error);
+
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      })),
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${error.path}: ${error.value}`,
+      error: "INVALID_ID",
+    });
+  }
+
+  // Someone else changed the list at the same time
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: "The author list was changed by someone else. Please reload it.",
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: `Error ${action}`,
+    ...(process.env.NODE_ENV === "development" && { error: error.message }),
+  });
+};
+
+// GET /api/publications/:id/authors - The full author list in order,
+// registered and external authors together
+const getPublicationAuthors = async (req, res) => {
+  try {
+    const publication = await Publication.findById(req.params.id).select(
+      "title employeeId department"
+    );
+    if (!publication) {
+      return res.status(404).json({
+        success: false,
+        message: "Publication not found",
+      });
+    }
+
+    // Drafts and external authors' emails are only for the owner and admins
+    checkPublicationAccess(req, getRequestActor(req), publication, "view");
+
+    const authorships = await Authorship.getByPublication(publication._id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Author list retrieved successfully",
+      publication: { _id: publication._id, title: publication.title },
+      authors: authorships.map(toAuthorListEntry),
+    });
+  } catch (error) {
+    return authorListErrorResponse(res, error, "fetching author list");
+  }
+};
+
+// POST /api/publications/:id/authors/external
+// Body: { authors: ["A. Rao", { name, affiliation, email, orcid, country },
+// { contributorId }] }. Appended to the end of the author list.
+const addPublicationExternalAuthors = async (req, res) => {
+  try {
+    const entries = readExternalAuthors(req.body?.authors);
+    if (entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide at least one external author",
+      });
+    }
+
+    const { publication, actor } = await findEditablePublication(req);
+    const before = await Authorship.getByPublication(publication._id);
+
+    const added = await addExternalAuthors(publication._id, entries);
+    if (added.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: "Everyone given is already on the author list",
+      });
+    }
+
+    const after = await Authorship.getByPublication(publication._id);
+    await recordAuthorListChange(publication, actor, before, after);
+
+    return res.status(201).json({
+      success: true,
+      message: `Added ${added.length} external author(s)`,
+      status: publication.status,
+      authors: after.map(toAuthorListEntry),
+    });
+  } catch (error) {
+    return authorListErrorResponse(res, error, "adding external authors");
+  }
+};
+
+// PUT /api/publications/:id/authors/order
+// Body: { authors: [authorshipId, ...] } - the whole list in its new order
+const reorderPublicationAuthors = async (req, res) => {
+  try {
+    const orderedIds = req.body?.authors;
+    if (!Array.isArray(orderedIds) || orderedIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the author list (authorship IDs) in order",
+      });
+    }
+
+    const { publication, actor } = await findEditablePublication(req);
+    const before = await Authorship.getByPublication(publication._id);
+
+    const unchanged = before.every(
+      (authorship, index) =>
+        String(authorship._id) === String(orderedIds[index])
+    );
+    if (unchanged && orderedIds.length === before.length) {
+      return res.status(200).json({
+        success: true,
+        message: "Author order is unchanged",
+        authors: before.map(toAuthorListEntry),
+      });
+    }
+
+    await Authorship.reorder(publication._id, orderedIds);
+
+    const after = await Authorship.getByPublication(publication._id);
+    await recordAuthorListChange(publication, actor, before, after);
+
+    return res.status(200).json({
+      success: true,
+      message: "Author order updated",
+      status: publication.status,
+      authors: after.map(toAuthorListEntry),
+    });
+  } catch (error) {
+    return authorListErrorResponse(res, error, "reordering authors");
+  }
+};
+
+// DELETE /api/publications/:id/authors/:authorshipId - Take someone off the
+// author list; everyone after them moves up one place
+const removePublicationAuthor = async (req, res) => {
+  try {
+    const { publication, actor } = await findEditablePublication(req);
+    const before = await Authorship.getByPublication(publication._id);
+
+    const removed = await Authorship.findOneAndDelete({
+      _id: req.params.authorshipId,
+      publication: publication._id,
+    });
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "This author is not on the publication's author list",
+      });
+    }
+
+    // Close the gap
+    const remaining = before.filter(
+      (authorship) => !authorship._id.equals(removed._id)
+    );
+    if (remaining.length > 0) {
+      await Authorship.reorder(
+        publication._id,
+        remaining.map((authorship) => authorship._id)
+      );
+    }
+
+    const after = await Authorship.getByPublication(publication._id);
+    await recordAuthorListChange(publication, actor, before, after);
+
+    return res.status(200).json({
+      success: true,
+      message: "Author removed from the publication",
+      status: publication.status,
+      authors: after.map(toAuthorListEntry),
+    });
+  } catch (error) {
+    return authorListErrorResponse(res, error, "removing author");
+  }
+};
+
+// PATCH /api/publications/:id/authors/:authorshipId
+// Body: { isCorresponding, equalContribution, first } (any of them).
+// first: true moves the author to the top of the list.
+const updatePublicationAuthorRoles = async (req, res) => {
+  try {
+    const roles = ["isCorresponding", "equalContribution", "first"].filter(
+      (role) => req.body?.[role] !== undefined
+    );
+    if (roles.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Please provide isCorresponding, equalContribution and/or first",
+      });
+    }
+    const invalid = roles.filter((role) => typeof req.body[role] !== "boolean");
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalid.join(", ")} must be true or false`,
+      });
+    }
+    if (req.body.first === false) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "To stop someone being first author, move another author to the top",
+      });
+    }
+
+    const { publication, actor } = await findEditablePublication(req);
+    const before = await Authorship.getByPublication(publication._id);
+
+    const authorship = before.find(
+      (entry) => String(entry._id) === req.params.authorshipId
+    );
+    if (!authorship) {
+      return res.status(404).json({
+        success: false,
+        message: "This author is not on the publication's author list",
+      });
+    }
+
+    const flags = {};
+    for (const role of ["isCorresponding", "equalContribution"]) {
+      if (roles.includes(role) && authorship[role] !== req.body[role]) {
+        flags[role] = req.body[role];
+      }
+    }
+    const moveToTop = req.body.first === true && authorship.order !== 1;
+
+    if (Object.keys(flags).length === 0 && !moveToTop) {
+      return res.status(200).json({
+        success: true,
+        message: "No changes detected",
+        authors: before.map(toAuthorListEntry),
+      });
+    }
+
+    if (Object.keys(flags).length > 0) {
+      await Authorship.updateOne({ _id: authorship._id }, { $set: flags });
+    }
+    if (moveToTop) {
+      await Authorship.reorder(publication._id, [
+        authorship._id,
+        ...before
+          .filter((entry) => !entry._id.equals(authorship._id))
+          .map((entry) => entry._id),
+      ]);
+    }
+
+    const after = await Authorship.getByPublication(publication._id);
+    await recordAuthorListChange(publication, actor, before, after);
+
+    return res.status(200).json({
+      success: true,
+      message: "Author roles updated",
+      status: publication.status,
+      authors: after.map(toAuthorListEntry),
+    });
+  } catch (error) {
+    return authorListErrorResponse(res, error, "updating author roles");
+  }
+};
+
+export {
+  getPublicationAuthors,
+  addPublicationExternalAuthors,
+  reorderPublicationAuthors,
+  removePublicationAuthor,
+  updatePublicationAuthorRoles,
+};
@@ -0,0 +1,355 @@
+import fs from "fs";
+import path from "path";
+import { AuthorProfile, ImportJob, Publication } from "../models/index.js";
+import { getRequestActor } from "../utils/actor.js";
+import {
+  getDepartmentScope,
+  isOutsideDepartmentScope,
+} from "../utils/permissions.js";
+import { parseCitationFile } from "../utils/citationParser.js";
+import {
+  commitImportRows,
+  validateCitationRows,
+} from "../utils/publicationImport.js";
+
+const MAX_CITATION_ENTRIES = 500;
+
+const CITATION_EXTENSIONS = {
+  ".bib": "bibtex",
+  ".ris": "ris",
+};
+
+const JOURNAL_TYPES = Publication.schema.path("journalType").enumValues;
+
+const removeTempFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+// Entry outcome without the stored publication data
+const toEntryReport = (row) => ({
+  entry: row.rowNumber,
+  status: row.status,
+  title: row.data?.title || null,
+  journalName: row.data?.journalName || null,
+  publicationYear: row.data?.publicationYear || null,
+  isbnIssn: row.data?.isbnIssn || null,
+  coAuthors: row.data?.coAuthors || [],
+  issues: row.issues,
+  warnings: row.warnings,
+  publication: row.publication,
+});
+
+// Authors and department admins only see their own citation imports
+const canAccessImport = (req, importJob) => {
+  if (req.user && !getDepartmentScope(req)) return true;
+  const self = req.user || req.author;
+  return !!self && String(importJob.createdBy) === String(self._id);
+};
+
+// Whose publications the entries become: the logged-in author, or for admins
+// the registered author given by `employeeId`
+const resolveOwner = async (req) => {
+  if (req.author) return req.author;
+
+  const employeeId = parseInt(req.body?.employeeId, 10);
+  if (isNaN(employeeId)) return null;
+
+  return AuthorProfile.findOne({ employee_id: employeeId });
+};
+
+// POST /api/import/citations - Upload a .bib/.ris file and get a dry-run
+// report with duplicate flags. Nothing is created until /:id/confirm.
+const previewCitationImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload a .bib or .ris file in the 'file' field",
+      });
+    }
+
+    const format =
+      CITATION_EXTENSIONS[path.extname(req.file.originalname).toLowerCase()];
+
+    const journalType = req.body?.journalType || "OTHER";
+    if (!JOURNAL_TYPES.includes(journalType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Journal type must be one of: ${JOURNAL_TYPES.join(", ")}`,
+      });
+    }
+
+    const owner = await resolveOwner(req);
+    if (!owner) {
+      return res.status(req.author ? 403 : 400).json({
+        success: false,
+        message: "Please provide the employeeId of a registered author",
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, owner.department)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only import publications for your own department",
+      });
+    }
+
+    const citations = parseCitationFile(
+      await fs.promises.readFile(req.file.path, "utf8"),
+      format
+    );
+
+    if (citations.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No entries found in the file",
+      });
+    }
+
+    if (citations.length > MAX_CITATION_ENTRIES) {
+      return res.status(400).json({
+        success: false,
+        message: `A single import can have at most ${MAX_CITATION_ENTRIES} entries (found ${citations.length})`,
+      });
+    }
+
+    const rows = await validateCitationRows(citations, owner, { journalType });
+    const actor = getRequestActor(req);
+
+    const importJob = new ImportJob({
+      format,
+      originalName: req.file.originalname,
+      createdBy: actor ? actor.id : null,
+      createdByModel: actor ? actor.model : null,
+      rows,
+    });
+    importJob.refreshSummary();
+    await importJob.save();
+
+    return res.status(200).json({
+      success: true,
+      message: `${importJob.summary.valid} of ${importJob.summary.total} entries can be imported. Confirm the ones to create.`,
+      importId: importJob._id,
+      owner: {
+        employee_id: owner.employee_id,
+        author_name: owner.author_name,
+      },
+      summary: importJob.summary,
+      entries: importJob.rows.map(toEntryReport),
+    });
+  } catch (error) {
+    console.error("Error reading citation import:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error reading the citation file",
+      error: error.message,
+    });
+  } finally {
+    removeTempFile(req.file?.path);
+  }
+};
+
+// GET /api/import/citations/:id - Dry-run report / outcome of an import
+const getCitationImport = async (req, res) => {
+  try {
+    const importJob = await ImportJob.findOne({
+      _id: req.params.id,
+      format: { $in: Object.values(CITATION_EXTENSIONS) },
+    });
+
+    if (!importJob || !canAccessImport(req, importJob)) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Import fetched successfully",
+      import: {
+        _id: importJob._id,
+        format: importJob.format,
+        originalName: importJob.originalName,
+        status: importJob.status,
+        createdAt: importJob.createdAt,
+        committedAt: importJob.committedAt,
+        summary: importJob.summary,
+      },
+      entries: importJob.rows.map(toEntryReport),
+    });
+  } catch (error) {
+    console.error("Error fetching citation import:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+        error: "INVALID_ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching import",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/import/citations/:id/confirm
+// Body: { entries: [1, 3, { entry: 4, journalType: "SCOPUS" }] }
+// Creates the chosen entries; PDFs are attached afterwards with
+// PUT /api/publications/:id/file.
+const confirmCitationImport = async (req, res) => {
+  try {
+    const { entries } = req.body || {};
+    const actor = getRequestActor(req);
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the entries to import",
+      });
+    }
+
+    const importJob = await ImportJob.findOne({
+      _id: req.params.id,
+      format: { $in: Object.values(CITATION_EXTENSIONS) },
+    });
+
+    if (!importJob || !canAccessImport(req, importJob)) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    if (importJob.status === "committed") {
+      return res.status(409).json({
+        success: false,
+        message: "This import has already been confirmed",
+        summary: importJob.summary,
+      });
+    }
+
+    if (importJob.status === "failed") {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This import broke off after creating publications and can't be confirmed again",
+        summary: importJob.summary,
+      });
+    }
+
+    // Normalise the selection to entry number -> overrides
+    const selection = new Map();
+    for (const item of entries) {
+      const entry = typeof item === "object" ? item?.entry : item;
+      const journalType = typeof item === "object" ? item?.journalType : null;
+      if (journalType && !JOURNAL_TYPES.includes(journalType)) {
+        return res.status(400).json({
+          success: false,
+          message: `Entry ${entry}: journal type must be one of: ${JOURNAL_TYPES.join(
+            ", "
+          )}`,
+        });
+      }
+      selection.set(parseInt(entry, 10), { journalType });
+    }
+
+    const rowsByEntry = new Map(
+      importJob.rows.map((row) => [row.rowNumber, row])
+    );
+    const notImportable = [...selection.keys()].filter(
+      (entry) => rowsByEntry.get(entry)?.status !== "valid"
+    );
+    if (notImportable.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These entries cannot be imported: ${notImportable.join(
+          ", "
+        )}`,
+        notImportable,
+      });
+    }
+
+    const selectedRows = [];
+    for (const row of importJob.rows) {
+      if (row.status !== "valid") continue;
+      if (!selection.has(row.rowNumber)) {
+        row.status = "skipped";
+        continue;
+      }
+
+      // Entries linked to a registered journal keep its indexing
+      const { journalType } = selection.get(row.rowNumber);
+      if (journalType && !row.data.journal) {
+        row.data = { ...row.data, journalType };
+      }
+      selectedRows.push(row);
+    }
+
+    // Lost the race to another confirm of the same import
+    if (!(await ImportJob.claimForCommit(importJob._id))) {
+      return res.status(409).json({
+        success: false,
+        message: "This import is already being confirmed",
+      });
+    }
+
+    // Authors' entries start as drafts: attach the PDF, then submit for
+    // review. Saves the row outcomes (skipped ones too) and marks the import
+    // committed.
+    const isAdmin = actor && actor.model === "Admin";
+    const created = await commitImportRows(
+      importJob,
+      selectedRows,
+      actor,
+      isAdmin
+        ? { status: "verified", reviewedAt: new Date(), reviewedBy: actor.id }
+        : { status: "draft" }
+    );
+
+    return res.status(201).json({
+      success: true,
+      message: `Created ${
+        created.length
+      } publications. Attach a PDF to each one${
+        isAdmin ? "" : " before submitting it for review"
+      }.`,
+      importId: importJob._id,
+      summary: importJob.summary,
+      publications: selectedRows.map((row) => ({
+        entry: row.rowNumber,
+        status: row.status,
+        title: row.data.title,
+        publication: row.publication,
+        issues: row.issues,
+        ...(row.publication && {
+          attachFileUrl: `/api/publications/${row.publication}/file`,
+        }),
+      })),
+    });
+  } catch (error) {
+    console.error("Error confirming citation import:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+        error: "INVALID_ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+export { previewCitationImport, getCitationImport, confirmCitationImport };
@@ -0,0 +1,173 @@
+import {
+  Authorship,
+  ExternalContributor,
+  Publication,
+} from "../models/index.js";
+
+const EDITABLE_FIELDS = ["name", "affiliation", "email", "orcid", "country"];
+
+// GET /api/contributors?q=rao&limit=10 - Pick an external co-author who is
+// already on file (name, email or ORCID iD)
+const searchContributors = async (req, res) => {
+  try {
+    const q = String(req.query.q || "").trim();
+    const limit = Math.max(
+      1,
+      Math.min(50, parseInt(req.query.limit, 10) || 10)
+    );
+
+    if (q.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "Search query must be at least 2 characters",
+      });
+    }
+
+    const contributors = await ExternalContributor.search(q, limit);
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${contributors.length} contributor(s)`,
+      contributors,
+    });
+  } catch (error) {
+    console.error("Error searching contributors:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error searching contributors",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// GET /api/contributors/:id - A contributor and the publications they are on
+const getContributor = async (req, res) => {
+  try {
+    const contributor = await ExternalContributor.findById(req.params.id);
+    if (!contributor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contributor not found",
+      });
+    }
+
+    const authorships = await Authorship.find({ contributor: contributor._id })
+      .populate("publication", "title journalName publicationYear status")
+      .select("publication order isCorresponding");
+
+    return res.status(200).json({
+      success: true,
+      message: "Contributor retrieved successfully",
+      contributor,
+      // Trashed publications drop out of the populate
+      publications: authorships
+        .filter((authorship) => authorship.publication)
+        .map((authorship) => ({
+          publication: authorship.publication,
+          order: authorship.order,
+          isCorresponding: authorship.isCorresponding,
+        })),
+    });
+  } catch (error) {
+    console.error("Error fetching contributor:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid contributor ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching contributor",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// PATCH /api/contributors/:id - Correct a contributor's details (admins).
+// A new name shows up on every publication they are on.
+const updateContributor = async (req, res) => {
+  try {
+    const requestedFields = Object.keys(req.body || {});
+    const forbiddenFields = requestedFields.filter(
+      (field) => !EDITABLE_FIELDS.includes(field)
+    );
+    if (forbiddenFields.length > 0 || requestedFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide only fields that can be edited",
+        forbiddenFields,
+        allowedFields: EDITABLE_FIELDS,
+      });
+    }
+
+    const contributor = await ExternalContributor.findById(req.params.id);
+    if (!contributor) {
+      return res.status(404).json({
+        success: false,
+        message: "Contributor not found",
+      });
+    }
+
+    const previousName = contributor.name;
+    for (const field of requestedFields) {
+      const value = req.body[field];
+      contributor.set(field, value === "" ? null : value);
+    }
+    await contributor.save();
+
+    if (contributor.name !== previousName) {
+      const publicationIds = await Authorship.find({
+        contributor: contributor._id,
+      })
+        .withDeleted()
+        .distinct("publication");
+      for (const publicationId of publicationIds) {
+        await Publication.syncAuthorList(publicationId);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Contributor updated successfully",
+      contributor,
+    });
+  } catch (error) {
+    console.error("Error updating contributor:", error);
+
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: Object.values(error.errors).map((err) => ({
+          field: err.path,
+          message: err.message,
+        })),
+      });
+    }
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid contributor ID",
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Another contributor already has this ORCID iD",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Error updating contributor",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+export { searchContributors, getContributor, updateContributor };
@@ -1,12 +1,24 @@
-import { Publication, Author, Department } from "../models/index.js";
+import { Publication, AuthorProfile, Department } from "../models/index.js";
+import {
+  AUTHORS_POPULATE,
+  PUBLICATION_TYPES,
+} from "../models/publication.model.js";
+import { isValidPublicationType } from "../utils/publicationTypes.js";
+
+// ?publicationType= narrows any listing to one kind of publication
+const invalidTypeResponse = (res) =>
+  res.status(400).json({
+    success: false,
+    message: `Publication type must be one of: ${PUBLICATION_TYPES.join(", ")}`,
+  });
 
 //Get all counts in a single endpoint (more efficient)
 const getAllCounts = async (req, res) => {
   try {
     // Execute all count queries simultaneously using Promise.all
     const [publicationCount, authorCount, departmentCount] = await Promise.all([
-      Publication.countDocuments(),
-      Author.countDocuments(),
+      Publication.countDocuments({ status: "verified" }),
+      AuthorProfile.countDocuments(),
       Department.countDocuments(),
     ]);
 
@@ -40,7 +52,7 @@ const getAuthorByEmployeeId = async (req, res) => {
     }
 
     // Use employeeId field in database query, not q
-    const authorBio = await Author.findOne({ employee_id: q })
+    const authorBio = await AuthorProfile.findOne({ employee_id: q })
       .select("author_name department -_id")
       .lean();
 
@@ -72,9 +84,14 @@ const getPublicationsPagination = async (req, res) => {
       limit = 10,
       sortBy = "publication_date",
       order = "desc",
+      publicationType,
     } = req.query;
     console.log("Query parameters:", req.query);
 
+    if (publicationType && !isValidPublicationType(publicationType)) {
+      return invalidTypeResponse(res);
+    }
+
     const pageNumber = parseInt(page, 10);
     const limitNumber = parseInt(limit, 10);
 
@@ -84,17 +101,17 @@ const getPublicationsPagination = async (req, res) => {
     }
     const sortOrder = order === "asc" ? 1 : -1;
 
-    const publications = await Publication.find()
+    // Only verified publications are public
+    const publications = await Publication.find({
+      status: "verified",
+      ...Publication.getTypeFilter(publicationType),
+    })
       .sort({ [sortBy]: sortOrder })
       .skip((pageNumber - 1) * limitNumber)
       .limit(limitNumber)
       .populate("department", "name")
       .populate("authorDeptId", "name") // Also populate author department
-      .populate({
-        path: "authors",
-        select: "fullname email author_order", // Include more fields if needed
-        options: { sort: { author_order: 1 } }, // Sort by author order
-      })
+      .populate(AUTHORS_POPULATE) // Registered authors in author order
       .exec();
 
     // Transform the data to include co-author names separately if needed
@@ -107,9 +124,9 @@ const getPublicationsPagination = async (req, res) => {
 
       return {
         ...pubObj,
-        coAuthorNames: coAuthors.map((author) => author.fullname),
+        coAuthorNames: coAuthors.map((author) => author.displayName),
         coAuthorDetails: coAuthors, // Full co-author objects
-        allAuthorNames: allAuthors.map((author) => author.fullname),
+        allAuthorNames: allAuthors.map((author) => author.displayName),
       };
     });
 
@@ -143,10 +160,15 @@ const searchPublications = async (req, res) => {
       order = "desc",
       populateAuthors = "true",
       populateDepartment = "true",
+      publicationType,
     } = req.query;
 
     console.log("Search parameters:", req.query);
 
+    if (publicationType && !isValidPublicationType(publicationType)) {
+      return invalidTypeResponse(res);
+    }
+
     // Validate required year parameter
     if (!year) {
       return res.status(400).json({
@@ -192,6 +214,7 @@ const searchPublications = async (req, res) => {
       order: order,
       populateAuthors: populateAuthors === "true",
       populateDepartment: populateDepartment === "true",
+      publicationType,
     };
 
     console.log(
@@ -204,7 +227,7 @@ const searchPublications = async (req, res) => {
     // Get publications and total count
     const [publications, totalCount] = await Promise.all([
       Publication.getPublicationsByYear(yearNumber, searchOptions),
-      Publication.getPublicationCountByYear(yearNumber),
+      Publication.getPublicationCountByYear(yearNumber, { publicationType }),
     ]);
 
     const totalPages = Math.ceil(totalCount / limitNumber);
@@ -225,6 +248,7 @@ const searchPublications = async (req, res) => {
         year: yearNumber,
         resultsCount: publications.length,
         totalForYear: totalCount,
+        publicationType: publicationType || null,
         sortBy,
         order,
       },
@@ -241,7 +265,7 @@ const searchPublications = async (req, res) => {
 // Simple Text Search Function - Title and Author Only
 const simpleTextSearch = async (req, res) => {
   try {
-    const { q = "", page = 1, limit = 10 } = req.query;
+    const { q = "", page = 1, limit = 10, publicationType } = req.query;
 
     const pageNumber = parseInt(page, 10);
     const limitNumber = parseInt(limit, 10);
@@ -253,8 +277,14 @@ const simpleTextSearch = async (req, res) => {
       });
     }
 
-    // Search only in title and authorName fields
+    if (publicationType && !isValidPublicationType(publicationType)) {
+      return invalidTypeResponse(res);
+    }
+
+    // Search only in title and authorName fields of verified publications
     const searchQuery = {
+      status: "verified",
+      ...Publication.getTypeFilter(publicationType),
       $or: [
         { title: { $regex: q, $options: "i" } },
         { authorName: { $regex: q, $options: "i" } },
@@ -267,13 +297,9 @@ const simpleTextSearch = async (req, res) => {
       .limit(limitNumber)
       .populate("department", "name")
       .populate("authorDepartment", "name")
-      .populate({
-        path: "authors",
-        select: "fullname email author_order",
-        options: { sort: { author_order: 1 } },
-      })
+      .populate(AUTHORS_POPULATE)
       .select(
-        "title authorName journalName journalType publication_date publicationYear"
+        "title authorName journalName journalType publicationType conference book patent publication_date publicationYear"
       )
       .exec();
 
@@ -312,6 +338,7 @@ const searchByAuthor = async (req, res) => {
       limit = 10,
       sortBy = "publication_date",
       order = "desc",
+      publicationType,
     } = req.query;
     console.log("Author search parameters:", req.query);
     if (!author.trim()) {
@@ -321,6 +348,10 @@ const searchByAuthor = async (req, res) => {
       });
     }
 
+    if (publicationType && !isValidPublicationType(publicationType)) {
+      return invalidTypeResponse(res);
+    }
+
     const pageNumber = parseInt(page, 10);
     const limitNumber = parseInt(limit, 10);
 
@@ -330,9 +361,12 @@ const searchByAuthor = async (req, res) => {
       limit: limitNumber,
       sortBy,
       order,
+      publicationType,
     });
 
-    const totalCount = await Publication.getAuthorSearchCount(author);
+    const totalCount = await Publication.getAuthorSearchCount(author, {
+      publicationType,
+    });
     const totalPages = Math.ceil(totalCount / limitNumber);
 
     res.status(200).json({
@@ -363,7 +397,10 @@ const getRelatedPublications = async (req, res) => {
     const { id } = req.params;
     const { limit = 5 } = req.query;
 
-    const publication = await Publication.findById(id);
+    const publication = await Publication.findOne({
+      _id: id,
+      status: "verified",
+    });
     if (!publication) {
       return res.status(404).json({
         success: false,
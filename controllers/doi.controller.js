@@ -0,0 +1,99 @@
+import { Journal, Publication } from "../models/index.js";
+import { isValidDoi, normalizeDoi } from "../utils/doi.js";
+import { lookupDoi } from "../utils/doiResolver.js";
+import { normalizeTitle } from "../utils/similarity.js";
+import {
+  TYPE_DETAIL_FIELDS,
+  getCrossrefPublicationType,
+} from "../utils/publicationTypes.js";
+
+// GET /api/doi/lookup?doi=10.1000/xyz123
+// Metadata from the configured resolver, shaped for the upload form
+// (registerPublication field names)
+const lookupDoiMetadata = async (req, res) => {
+  try {
+    const doi = normalizeDoi(req.query.doi);
+
+    if (!isValidDoi(doi)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid DOI, e.g. 10.1000/xyz123",
+      });
+    }
+
+    const [metadata, existing] = await Promise.all([
+      lookupDoi(doi),
+      Publication.findOne({ doi }).withDeleted().select("title deletedAt"),
+    ]);
+    const publicationType = getCrossrefPublicationType(metadata.type);
+    // Registered journal, so the form can link it instead of free text
+    const journal =
+      publicationType === "journal-article"
+        ? await Journal.findByIssn(metadata.isbnIssn)
+        : null;
+
+    // What Crossref knows of the conference or book
+    const typeDetails = {
+      conference: metadata.event?.name
+        ? { name: metadata.event.name, location: metadata.event.location }
+        : null,
+      book: metadata.publisher ? { publisher: metadata.publisher } : null,
+      patent: null,
+    };
+    const detailField = TYPE_DETAIL_FIELDS[publicationType];
+
+    // Faculty uploading their own paper: they are the author, the rest are
+    // co-authors. Admins get the whole list to pick from.
+    const ownName = req.author ? normalizeTitle(req.author.author_name) : null;
+    const coAuthors = metadata.authors
+      .filter((name) => normalizeTitle(name) !== ownName)
+      .slice(0, 10);
+
+    return res.status(200).json({
+      success: true,
+      message: "DOI metadata found",
+      prefill: {
+        doi: metadata.doi,
+        publicationType,
+        ...(detailField && { [detailField]: typeDetails[detailField] }),
+        title: metadata.title,
+        // The book title for chapters; books have none
+        journalName: ["book", "edited-volume"].includes(publicationType)
+          ? null
+          : metadata.journalName,
+        isbnIssn: metadata.isbnIssn,
+        journalId: journal ? journal._id : null,
+        publicationMonth: metadata.publicationMonth,
+        publicationYear: metadata.publicationYear,
+        coAuthors,
+      },
+      authors: metadata.authors,
+      publisher: metadata.publisher,
+      type: metadata.type,
+      ...(existing && {
+        alreadyRegistered: {
+          _id: existing._id,
+          title: existing.title,
+          inTrash: !!existing.deletedAt,
+        },
+      }),
+    });
+  } catch (error) {
+    console.error("Error looking up DOI:", error);
+
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Error looking up DOI",
+      error: error.message,
+    });
+  }
+};
+
+export { lookupDoiMetadata };
@@ -0,0 +1,351 @@
+import {
+  Authorship,
+  DuplicateFlag,
+  Publication,
+  PublicationRevision,
+} from "../models/index.js";
+import { getRequestActor } from "../utils/actor.js";
+import { findPossibleDuplicates } from "../utils/duplicateDetector.js";
+
+const FLAG_STATUSES = DuplicateFlag.schema.path("status").enumValues;
+
+const PUBLICATION_SUMMARY_FIELDS =
+  "title journalName journalType publicationYear isbnIssn doi authorName employeeId coAuthors status file_url";
+
+const sendError = (res, error, message) => {
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${error.path}: ${error.value}`,
+      error: "INVALID_ID",
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message,
+    ...(process.env.NODE_ENV === "development" && { error: error.message }),
+  });
+};
+
+// POST /api/publications/duplicates/check - Upload form check before saving.
+// Body: the registerPublication fields (title, journalName, publicationYear,
+// isbnIssn, doi, authorName, coAuthors). Only warns; nothing is stored.
+const checkForDuplicates = async (req, res) => {
+  try {
+    const { title, journalName, publicationYear, isbnIssn, doi, authorName } =
+      req.body || {};
+    let { coAuthors = [] } = req.body || {};
+    if (typeof coAuthors === "string") coAuthors = coAuthors.split(",");
+
+    if (!title && !doi) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide at least a title or a DOI",
+      });
+    }
+
+    const possibleDuplicates = await findPossibleDuplicates({
+      title,
+      journalName,
+      publicationYear,
+      isbnIssn,
+      doi,
+      authorName: authorName || req.author?.author_name,
+      coAuthors: coAuthors.map((name) => String(name).trim()),
+    });
+
+    return res.status(200).json({
+      success: true,
+      message:
+        possibleDuplicates.length > 0
+          ? `Found ${possibleDuplicates.length} possible duplicates`
+          : "No likely duplicates found",
+      possibleDuplicates,
+    });
+  } catch (error) {
+    console.error("Error checking for duplicates:", error);
+    return sendError(res, error, "Error checking for duplicates");
+  }
+};
+
+// GET /api/duplicates?status=open - Admin report of possible duplicates,
+// highest score first. Open flags involving a trashed publication are hidden
+// until it is restored.
+const getDuplicateFlags = async (req, res) => {
+  try {
+    const { status = "open", page = 1, limit = 10 } = req.query;
+
+    if (!FLAG_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${FLAG_STATUSES.join(", ")}`,
+      });
+    }
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.max(1, Math.min(100, parseInt(limit, 10) || 10));
+
+    const filter = { status };
+    if (status === "open") {
+      const trashed = await Publication.find().onlyDeleted().distinct("_id");
+      filter.publications = { $nin: trashed };
+    }
+
+    const [flags, totalCount] = await Promise.all([
+      DuplicateFlag.find(filter)
+        .sort(
+          status === "open" ? { score: -1, createdAt: -1 } : { resolvedAt: -1 }
+        )
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .populate({
+          path: "publications",
+          select: PUBLICATION_SUMMARY_FIELDS,
+          options: { withDeleted: true },
+        })
+        .populate("resolvedBy", "fullname author_name employee_id")
+        .lean(),
+      DuplicateFlag.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${totalCount} ${status} duplicate flags`,
+      flags,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        totalCount,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching duplicate flags:", error);
+    return sendError(res, error, "Error fetching duplicate flags");
+  }
+};
+
+const findOpenFlag = async (req, res) => {
+  const flag = await DuplicateFlag.findById(req.params.id);
+
+  if (!flag) {
+    res.status(404).json({
+      success: false,
+      message: "Duplicate flag not found",
+    });
+    return null;
+  }
+
+  if (flag.status !== "open") {
+    res.status(409).json({
+      success: false,
+      message: `This flag has already been ${flag.status}`,
+    });
+    return null;
+  }
+
+  return flag;
+};
+
+const resolveFlag = (flag, status, actor, note) => {
+  flag.status = status;
+  flag.resolvedBy = actor ? actor.id : null;
+  flag.resolvedByModel = actor ? actor.model : null;
+  flag.resolvedAt = new Date();
+  flag.resolutionNote = note ? String(note).trim() : null;
+};
+
+// POST /api/duplicates/:id/dismiss - Not a duplicate. Body: { note }
+// The pair won't be flagged again.
+const dismissDuplicateFlag = async (req, res) => {
+  try {
+    const flag = await findOpenFlag(req, res);
+    if (!flag) return;
+
+    resolveFlag(flag, "dismissed", getRequestActor(req), req.body?.note);
+    await flag.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Duplicate flag dismissed",
+      flag,
+    });
+  } catch (error) {
+    console.error("Error dismissing duplicate flag:", error);
+    return sendError(res, error, "Error dismissing duplicate flag");
+  }
+};
+
+// Who an assignment is, for spotting the same author on both records.
+// The same external co-author is often on file twice (once per upload), so
+// they are matched by name too.
+const assignmentKeys = (assignment) =>
+  assignment.contributor
+    ? [
+        `contributor:${assignment.contributor._id}`,
+        `name:${assignment.contributor.name?.toLowerCase()}`,
+      ]
+    : [`profile:${assignment.profile}`];
+
+// Move the removed publication's author assignments onto the kept one,
+// after its own authors. Authors already on the kept publication stay
+// behind and are trashed with the removed record.
+const moveAuthorAssignments = async (kept, removed) => {
+  // Trashed assignments still hold their slot in the unique indexes
+  const keptAssignments = await Authorship.find({ publication: kept._id })
+    .withDeleted()
+    .select("profile contributor order")
+    .populate("contributor", "name");
+
+  const assigned = new Set(keptAssignments.flatMap(assignmentKeys));
+  let nextOrder = Math.max(0, ...keptAssignments.map((a) => a.order)) + 1;
+
+  const assignments = await Authorship.find({ publication: removed._id })
+    .sort({ order: 1 })
+    .populate("contributor", "name");
+
+  let moved = 0;
+  for (const assignment of assignments) {
+    const keys = assignmentKeys(assignment);
+    if (keys.some((key) => assigned.has(key))) continue;
+
+    await Authorship.updateOne(
+      { _id: assignment._id },
+      { publication: kept._id, order: nextOrder++ }
+    );
+    keys.forEach((key) => assigned.add(key));
+    moved++;
+  }
+
+  return moved;
+};
+
+// POST /api/duplicates/:id/merge - Body: { keep: <publicationId>, note }
+// The other publication's authors, co-authors and DOI are folded into the
+// kept record, then it goes to the trash like a normal delete.
+const mergeDuplicateFlag = async (req, res) => {
+  try {
+    const { keep, note } = req.body || {};
+    const actor = getRequestActor(req);
+
+    const flag = await findOpenFlag(req, res);
+    if (!flag) return;
+
+    const pair = flag.publications.map(String);
+    if (!keep || !pair.includes(String(keep))) {
+      return res.status(400).json({
+        success: false,
+        message: "Please choose which of the two publications to keep",
+        publications: pair,
+      });
+    }
+    const removeId = pair.find((id) => id !== String(keep));
+
+    const [kept, removed] = await Promise.all([
+      Publication.findById(keep).select("+changeLog"),
+      Publication.findById(removeId),
+    ]);
+
+    if (!kept || !removed) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "One of the publications is in the trash. Restore it or dismiss the flag.",
+      });
+    }
+
+    const changes = [{ field: "mergedFrom", from: null, to: removed._id }];
+
+    const takeDoi = !kept.doi && !!removed.doi;
+    if (takeDoi) {
+      changes.push({ field: "doi", from: null, to: removed.doi });
+    }
+
+    const movedAssignments = await moveAuthorAssignments(kept, removed);
+
+    // External co-authors who came across now show in coAuthors
+    await Publication.syncAuthorList(kept._id);
+    const { coAuthors } = await Publication.findById(kept._id)
+      .select("coAuthors")
+      .lean();
+    if (JSON.stringify(coAuthors) !== JSON.stringify(kept.coAuthors)) {
+      changes.push({
+        field: "coAuthors",
+        from: [...kept.coAuthors],
+        to: coAuthors,
+      });
+    }
+
+    // Final snapshot before the DOI moves, so the revision still has it
+    await PublicationRevision.record(removed, "delete", actor);
+
+    // Same as deletePublication: one timestamp for the record and the
+    // assignments left on it
+    const deletedAt = new Date();
+    await Authorship.softDeleteMany(
+      { publication: removed._id },
+      actor,
+      deletedAt
+    );
+    await removed.softDelete(actor, deletedAt);
+
+    // The trashed record still holds its DOI in the unique index
+    if (takeDoi) {
+      await Publication.updateOne(
+        { _id: removed._id },
+        { $unset: { doi: 1 } }
+      ).withDeleted();
+      kept.doi = removed.doi;
+    }
+
+    kept.changeLog.push({
+      changedBy: actor.id,
+      changedByModel: actor.model,
+      changedAt: new Date(),
+      changes,
+    });
+    await kept.save();
+    await PublicationRevision.record(kept, "update", actor);
+
+    resolveFlag(flag, "merged", actor, note);
+    flag.mergedInto = kept._id;
+    await flag.save();
+
+    // Other open flags on the removed record are settled by the merge
+    const settled = await DuplicateFlag.updateMany(
+      { _id: { $ne: flag._id }, publications: removed._id, status: "open" },
+      {
+        status: "dismissed",
+        resolvedBy: actor.id,
+        resolvedByModel: actor.model,
+        resolvedAt: new Date(),
+        resolutionNote: `Publication was merged into ${kept._id}`,
+      }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Publications merged. The duplicate was moved to the trash.",
+      kept: kept._id,
+      removed: removed._id,
+      changes,
+      movedAuthorAssignments: movedAssignments,
+      dismissedFlags: settled.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error merging duplicates:", error);
+    return sendError(res, error, "Error merging duplicates");
+  }
+};
+
+export {
+  checkForDuplicates,
+  getDuplicateFlags,
+  dismissDuplicateFlag,
+  mergeDuplicateFlag,
+};
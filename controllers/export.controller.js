@@ -0,0 +1,224 @@
+import mongoose from "mongoose";
+import { AuthorProfile, Department, Publication } from "../models/index.js";
+import { CITATION_FORMATS, formatCitations } from "../utils/citation.js";
+import {
+  AUTHORS_POPULATE,
+  PUBLICATION_TYPES,
+} from "../models/publication.model.js";
+import { isValidPublicationType } from "../utils/publicationTypes.js";
+
+// Upper bound for one export so a broad search can't dump the whole collection
+const MAX_EXPORT_RECORDS = 5000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Verified publications matching `filter`, ready for the citation formatters
+const findExportPublications = (filter) =>
+  Publication.find({ ...filter, status: "verified" })
+    .sort({ publication_date: -1 })
+    .limit(MAX_EXPORT_RECORDS)
+    .populate("department", "name")
+    .populate(AUTHORS_POPULATE)
+    .exec();
+
+const unsupportedFormatResponse = (res) =>
+  res.status(400).json({
+    success: false,
+    message: `Format must be one of: ${Object.keys(CITATION_FORMATS).join(
+      ", "
+    )}`,
+  });
+
+// Send publications as a downloadable citation file
+const sendCitationFile = (res, publications, format, fileName) => {
+  const { extension, contentType } = CITATION_FORMATS[format];
+
+  res.setHeader("Content-Type", `${contentType}; charset=utf-8`);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${fileName}.${extension}"`
+  );
+  res.setHeader("X-Total-Count", String(publications.length));
+  return res.status(200).send(formatCitations(publications, format));
+};
+
+const handleExportError = (res, error) => {
+  console.error("Error exporting citations:", error);
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${error.path}: ${error.value}`,
+      error: "INVALID_ID",
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: "Error exporting citations",
+    error: error.message,
+  });
+};
+
+// GET /api/export/publications/:id?format=bibtex
+const exportPublication = async (req, res) => {
+  try {
+    const { format = "bibtex" } = req.query;
+    if (!CITATION_FORMATS[format]) return unsupportedFormatResponse(res);
+
+    const publications = await findExportPublications({
+      _id: req.params.id,
+    });
+
+    if (publications.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Publication not found",
+      });
+    }
+
+    return sendCitationFile(
+      res,
+      publications,
+      format,
+      `publication-${req.params.id}`
+    );
+  } catch (error) {
+    return handleExportError(res, error);
+  }
+};
+
+// GET /api/export/search?q=&year=&journalType=&publicationType=&department=&format=ris
+// Same matching as the text search (title/author name), plus optional filters
+const exportSearchResults = async (req, res) => {
+  try {
+    const {
+      format = "bibtex",
+      q = "",
+      year,
+      journalType,
+      publicationType,
+      department,
+    } = req.query;
+    if (!CITATION_FORMATS[format]) return unsupportedFormatResponse(res);
+
+    if (!q.trim() && !year && !journalType && !publicationType && !department) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Please provide at least one of: q, year, journalType, publicationType, department",
+      });
+    }
+
+    if (publicationType && !isValidPublicationType(publicationType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Publication type must be one of: ${PUBLICATION_TYPES.join(
+          ", "
+        )}`,
+      });
+    }
+
+    const filter = { ...Publication.getTypeFilter(publicationType) };
+    if (q.trim()) {
+      const pattern = escapeRegex(q.trim());
+      filter.$or = [
+        { title: { $regex: pattern, $options: "i" } },
+        { authorName: { $regex: pattern, $options: "i" } },
+      ];
+    }
+    if (year) filter.publicationYear = String(year);
+    if (journalType) filter.journalType = journalType;
+    if (department) {
+      if (!mongoose.Types.ObjectId.isValid(department)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid department ID",
+        });
+      }
+      filter.department = department;
+    }
+
+    const publications = await findExportPublications(filter);
+
+    return sendCitationFile(res, publications, format, "publications-search");
+  } catch (error) {
+    return handleExportError(res, error);
+  }
+};
+
+// GET /api/export/authors/:employeeId?format=csl-json
+// Everything the employee uploaded or is assigned to as co-author
+const exportAuthorPublications = async (req, res) => {
+  try {
+    const { format = "bibtex" } = req.query;
+    if (!CITATION_FORMATS[format]) return unsupportedFormatResponse(res);
+
+    const employeeId = parseInt(req.params.employeeId, 10);
+    if (isNaN(employeeId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Employee ID must be a number",
+      });
+    }
+
+    const author = await AuthorProfile.findOne({
+      employee_id: employeeId,
+    }).select("employee_id");
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: "Author not found",
+      });
+    }
+
+    const publications = await findExportPublications(
+      await Publication.getEmployeeFilter(employeeId)
+    );
+
+    return sendCitationFile(
+      res,
+      publications,
+      format,
+      `author-${employeeId}-publications`
+    );
+  } catch (error) {
+    return handleExportError(res, error);
+  }
+};
+
+// GET /api/export/departments/:id?format=csv
+const exportDepartmentPublications = async (req, res) => {
+  try {
+    const { format = "bibtex" } = req.query;
+    if (!CITATION_FORMATS[format]) return unsupportedFormatResponse(res);
+
+    const department = await Department.findById(req.params.id).select("name");
+    if (!department) {
+      return res.status(404).json({
+        success: false,
+        message: "Department not found",
+      });
+    }
+
+    const publications = await findExportPublications({
+      department: department._id,
+    });
+
+    return sendCitationFile(
+      res,
+      publications,
+      format,
+      `department-${department._id}-publications`
+    );
+  } catch (error) {
+    return handleExportError(res, error);
+  }
+};
+
+export {
+  exportPublication,
+  exportSearchResults,
+  exportAuthorPublications,
+  exportDepartmentPublications,
+};
@@ -0,0 +1,68 @@
+import { Journal } from "../models/index.js";
+import { parseIdentifier, toIsbn13 } from "../utils/identifiers.js";
+import {
+  TYPE_DETAIL_FIELDS,
+  isValidPublicationType,
+} from "../utils/publicationTypes.js";
+
+// GET /api/identifiers/validate?value=0317-8471&publicationType=book
+// Instant feedback for the upload form's ISBN/ISSN field: what the value is,
+// whether its check digit is right, and the form it will be stored in.
+// An ISSN of a registered journal also returns that journal.
+const validateIdentifier = async (req, res) => {
+  try {
+    const { value, publicationType } = req.query;
+
+    if (!value || !String(value).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a value to validate",
+      });
+    }
+
+    if (publicationType && !isValidPublicationType(publicationType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown publication type: ${publicationType}`,
+      });
+    }
+
+    const parsed = parseIdentifier(value);
+    let { valid, message } = parsed;
+    const isBook = TYPE_DETAIL_FIELDS[publicationType] === "book";
+    if (valid && parsed.type === "issn" && isBook) {
+      valid = false;
+      message = "Books and book chapters need an ISBN, not an ISSN";
+    }
+
+    const journal =
+      parsed.valid && parsed.type === "issn"
+        ? await Journal.findByIssn(parsed.canonical)
+        : null;
+
+    return res.status(200).json({
+      success: true,
+      message: valid ? `Valid ${parsed.type.toUpperCase()}` : message,
+      valid,
+      type: parsed.type,
+      canonical: parsed.canonical,
+      isbn13: toIsbn13(value),
+      journal: journal && {
+        _id: journal._id,
+        name: journal.name,
+        printIssn: journal.printIssn,
+        eIssn: journal.eIssn,
+        currentIndexing: journal.currentIndexing,
+      },
+    });
+  } catch (error) {
+    console.error("Error validating identifier:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error validating identifier",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+export { validateIdentifier };
@@ -0,0 +1,333 @@
+import fs from "fs";
+import path from "path";
+import { ImportJob } from "../models/index.js";
+import { getRequestActor } from "../utils/actor.js";
+import { toCsv } from "../utils/csv.js";
+import { readSpreadsheet } from "../utils/spreadsheet.js";
+import {
+  commitImportRows,
+  mapImportColumns,
+  validateImportRows,
+} from "../utils/publicationImport.js";
+
+// Keeps a single import (and its stored report) a manageable size
+const MAX_IMPORT_ROWS = 2000;
+
+const removeTempFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+// Row outcome without the stored publication data
+const toRowReport = (row) => ({
+  rowNumber: row.rowNumber,
+  status: row.status,
+  title: row.data?.title || null,
+  isbnIssn: row.data?.isbnIssn || null,
+  issues: row.issues,
+  warnings: row.warnings,
+  publication: row.publication,
+});
+
+const invalidIdResponse = (res, error) =>
+  res.status(400).json({
+    success: false,
+    message: `Invalid ${error.path}: ${error.value}`,
+    error: "INVALID_ID",
+  });
+
+// POST /api/import/publications - Upload a CSV/XLSX and get a dry-run report.
+// Nothing is saved except the report; commit it with /:id/commit.
+const previewPublicationImport = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload a CSV or XLSX file in the 'file' field",
+      });
+    }
+
+    const { headers, rows } = await readSpreadsheet(
+      req.file.path,
+      req.file.originalname
+    );
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The spreadsheet has no data rows",
+      });
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A single import can have at most ${MAX_IMPORT_ROWS} rows (found ${rows.length})`,
+      });
+    }
+
+    const { mapping, ignored, missing } = mapImportColumns(headers);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Missing required columns: ${missing.join(", ")}`,
+        columns: { mapped: mapping, ignored, missing },
+      });
+    }
+
+    const validatedRows = await validateImportRows(rows, mapping);
+    const actor = getRequestActor(req);
+
+    const importJob = new ImportJob({
+      format: path.extname(req.file.originalname).slice(1).toLowerCase(),
+      originalName: req.file.originalname,
+      createdBy: actor ? actor.id : null,
+      createdByModel: actor ? actor.model : null,
+      rows: validatedRows,
+    });
+    importJob.refreshSummary();
+    await importJob.save();
+
+    return res.status(200).json({
+      success: true,
+      message: `${importJob.summary.valid} of ${importJob.summary.total} rows are ready to import`,
+      importId: importJob._id,
+      summary: importJob.summary,
+      columns: { mapped: mapping, ignored },
+      rows: importJob.rows.map(toRowReport),
+    });
+  } catch (error) {
+    console.error("Error validating publication import:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error reading the spreadsheet",
+      error: error.message,
+    });
+  } finally {
+    removeTempFile(req.file?.path);
+  }
+};
+
+// POST /api/import/publications/:id/commit - Save every valid row in one batch
+const commitPublicationImport = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const actor = getRequestActor(req);
+
+    const importJob = await ImportJob.findById(id);
+    if (!importJob) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    if (importJob.status === "committed") {
+      return res.status(409).json({
+        success: false,
+        message: "This import has already been committed",
+        summary: importJob.summary,
+      });
+    }
+
+    if (importJob.status === "failed") {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This import broke off after creating publications and can't be committed again. Check its report.",
+        summary: importJob.summary,
+      });
+    }
+
+    // Lost the race to another commit of the same import
+    if (!(await ImportJob.claimForCommit(importJob._id))) {
+      return res.status(409).json({
+        success: false,
+        message: "This import is already being committed",
+      });
+    }
+
+    // Imported by an admin, so the records are already vetted. Saves the
+    // row outcomes and marks the import committed.
+    await commitImportRows(
+      importJob,
+      importJob.rows.filter((row) => row.status === "valid"),
+      actor,
+      {
+        status: "verified",
+        reviewedAt: new Date(),
+        reviewedBy: actor && actor.model === "Admin" ? actor.id : null,
+      }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `Imported ${importJob.summary.imported} publications (${importJob.summary.failed} failed, ${importJob.summary.invalid} skipped as invalid)`,
+      importId: importJob._id,
+      summary: importJob.summary,
+      reportUrl: `/api/import/publications/${importJob._id}/report`,
+    });
+  } catch (error) {
+    console.error("Error committing publication import:", error);
+
+    if (error.name === "CastError") return invalidIdResponse(res, error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// GET /api/import/publications - Past imports, newest first
+const getPublicationImports = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.max(1, Math.min(100, parseInt(limit, 10) || 10));
+
+    const [imports, totalCount] = await Promise.all([
+      ImportJob.find({})
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .select("-rows")
+        .populate("createdBy", "fullname author_name employee_id")
+        .lean(),
+      ImportJob.countDocuments({}),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${totalCount} imports`,
+      imports,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        totalCount,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching publication imports:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching imports",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/import/publications/:id - One import with its per-row outcome
+const getPublicationImport = async (req, res) => {
+  try {
+    const importJob = await ImportJob.findById(req.params.id).populate(
+      "createdBy",
+      "fullname author_name employee_id"
+    );
+
+    if (!importJob) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Import fetched successfully",
+      import: {
+        _id: importJob._id,
+        format: importJob.format,
+        originalName: importJob.originalName,
+        status: importJob.status,
+        createdBy: importJob.createdBy,
+        createdAt: importJob.createdAt,
+        committedAt: importJob.committedAt,
+        summary: importJob.summary,
+      },
+      rows: importJob.rows.map(toRowReport),
+    });
+  } catch (error) {
+    console.error("Error fetching publication import:", error);
+
+    if (error.name === "CastError") return invalidIdResponse(res, error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching import",
+      error: error.message,
+    });
+  }
+};
+
+const REPORT_COLUMNS = [
+  "row",
+  "status",
+  "title",
+  "isbnIssn",
+  "issues",
+  "warnings",
+  "publicationId",
+];
+
+// GET /api/import/publications/:id/report - Per-row outcome as a CSV download
+const downloadPublicationImportReport = async (req, res) => {
+  try {
+    const importJob = await ImportJob.findById(req.params.id);
+    if (!importJob) {
+      return res.status(404).json({
+        success: false,
+        message: "Import not found",
+      });
+    }
+
+    const csv = toCsv(
+      REPORT_COLUMNS,
+      importJob.rows.map((row) => ({
+        row: row.rowNumber,
+        status: row.status,
+        title: row.data?.title,
+        isbnIssn: row.data?.isbnIssn,
+        issues: row.issues
+          .map((issue) =>
+            issue.field ? `${issue.field}: ${issue.message}` : issue.message
+          )
+          .join("; "),
+        warnings: row.warnings.join("; "),
+        publicationId: row.publication,
+      }))
+    );
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="import-report-${importJob._id}.csv"`
+    );
+    return res.status(200).send(csv);
+  } catch (error) {
+    console.error("Error building import report:", error);
+
+    if (error.name === "CastError") return invalidIdResponse(res, error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Error building import report",
+      error: error.message,
+    });
+  }
+};
+
+export {
+  previewPublicationImport,
+  commitPublicationImport,
+  getPublicationImports,
+  getPublicationImport,
+  downloadPublicationImportReport,
+};
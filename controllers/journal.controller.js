@@ -0,0 +1,489 @@
+import fs from "fs";
+import { Journal, Publication } from "../models/index.js";
+import { INDEXING_LISTS } from "../models/journal.model.js";
+import { normalizeIssn } from "../utils/identifiers.js";
+import { normalizeTitle } from "../utils/similarity.js";
+import { readSpreadsheet } from "../utils/spreadsheet.js";
+import {
+  applyIndexingRows,
+  mapIndexingColumns,
+  parseIndexingList,
+} from "../utils/journalImport.js";
+
+// Indexing lists are long (Scopus alone has tens of thousands of titles)
+const MAX_INDEXING_ROWS = 60000;
+
+const EDITABLE_FIELDS = [
+  "name",
+  "alternateNames",
+  "printIssn",
+  "eIssn",
+  "publisher",
+  "indexing",
+];
+
+const JOURNAL_SUMMARY_FIELDS = "name printIssn eIssn publisher indexing";
+
+const removeTempFile = (filePath) => {
+  if (filePath && fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Accept list aliases ("Scopus", "UGC") as well as the exact values; the
+// schema rejects anything else
+const normalizeIndexing = (indexing) =>
+  (Array.isArray(indexing) ? indexing : []).map((entry) => ({
+    list: parseIndexingList(entry?.list) || entry?.list,
+    validFrom: entry?.validFrom || null,
+    validTo: entry?.validTo || null,
+    source: "manual",
+  }));
+
+const normalizeAlternateNames = (value) => {
+  if (Array.isArray(value)) return value.map((name) => String(name).trim());
+  if (typeof value === "string" && value.trim() !== "") {
+    return value.split(";").map((name) => name.trim());
+  }
+  return [];
+};
+
+const sendError = (res, error, message) => {
+  if (error.name === "ValidationError") {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+        value: err.value,
+      })),
+    });
+  }
+
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: "Another journal already has this ISSN",
+      error: "Duplicate ISSN",
+    });
+  }
+
+  if (error.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid ${error.path}: ${error.value}`,
+      error: "INVALID_ID",
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message,
+    ...(process.env.NODE_ENV === "development" && { error: error.message }),
+  });
+};
+
+// Name/ISSN search shared by the listing and autocomplete
+const buildSearchFilter = (q) => {
+  if (!q || !String(q).trim()) return {};
+
+  const issn = normalizeIssn(q);
+  if (issn) return { $or: [{ printIssn: issn }, { eIssn: issn }] };
+
+  const key = normalizeTitle(String(q));
+  if (!key) return {};
+  return { nameKeys: { $regex: `^${escapeRegex(key)}` } };
+};
+
+// POST /api/journals
+const createJournal = async (req, res) => {
+  try {
+    const { name, alternateNames, printIssn, eIssn, publisher, indexing } =
+      req.body || {};
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: "Journal name is required",
+      });
+    }
+
+    const journal = new Journal({
+      name,
+      alternateNames: normalizeAlternateNames(alternateNames),
+      printIssn: printIssn || undefined,
+      eIssn: eIssn || undefined,
+      publisher: publisher || null,
+      indexing: normalizeIndexing(indexing),
+    });
+    await journal.save();
+
+    // Publications already naming this journal pick up its indexing
+    const linkedPublications = await Journal.linkPublications(journal);
+
+    return res.status(201).json({
+      success: true,
+      message: "Journal registered successfully",
+      journal,
+      linkedPublications,
+    });
+  } catch (error) {
+    console.error("Error registering journal:", error);
+    return sendError(res, error, "Error registering journal");
+  }
+};
+
+// GET /api/journals?q=&list=SCOPUS&page=1&limit=20
+// `list` keeps journals currently on that indexing list
+const getJournals = async (req, res) => {
+  try {
+    const { q, list, page = 1, limit = 20 } = req.query;
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.max(1, Math.min(100, parseInt(limit, 10) || 20));
+
+    const filter = buildSearchFilter(q);
+    if (list) {
+      const indexingList = parseIndexingList(list);
+      if (!indexingList) {
+        return res.status(400).json({
+          success: false,
+          message: `List must be one of: ${INDEXING_LISTS.join(", ")}`,
+        });
+      }
+
+      const now = new Date();
+      filter.indexing = {
+        $elemMatch: {
+          list: indexingList,
+          $and: [
+            { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+            { $or: [{ validTo: null }, { validTo: { $gte: now } }] },
+          ],
+        },
+      };
+    }
+
+    const [journals, totalCount] = await Promise.all([
+      Journal.find(filter)
+        .sort({ name: 1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .select(JOURNAL_SUMMARY_FIELDS),
+      Journal.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${totalCount} journals`,
+      journals,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        totalCount,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching journals:", error);
+    return sendError(res, error, "Error fetching journals");
+  }
+};
+
+// GET /api/journals/autocomplete?q=intern&limit=10 - For the upload form.
+// Matches name prefixes (any known spelling) or an exact ISSN.
+const autocompleteJournals = async (req, res) => {
+  try {
+    const { q } = req.query;
+    const limit = Math.max(
+      1,
+      Math.min(25, parseInt(req.query.limit, 10) || 10)
+    );
+
+    if (!q || String(q).trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "Please type at least 2 characters",
+      });
+    }
+
+    const journals = await Journal.find(buildSearchFilter(q))
+      .sort({ name: 1 })
+      .limit(limit)
+      .select(JOURNAL_SUMMARY_FIELDS);
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${journals.length} journals`,
+      journals: journals.map((journal) => ({
+        _id: journal._id,
+        name: journal.name,
+        printIssn: journal.printIssn,
+        eIssn: journal.eIssn,
+        publisher: journal.publisher,
+        currentIndexing: journal.currentIndexing,
+        journalType: journal.getJournalType(),
+      })),
+    });
+  } catch (error) {
+    console.error("Error searching journals:", error);
+    return sendError(res, error, "Error searching journals");
+  }
+};
+
+// GET /api/journals/:id
+const getJournalById = async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) {
+      return res.status(404).json({
+        success: false,
+        message: "Journal not found",
+      });
+    }
+
+    const publicationCount = await Publication.countDocuments({
+      journal: journal._id,
+      status: "verified",
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Journal fetched successfully",
+      journal,
+      publicationCount,
+    });
+  } catch (error) {
+    console.error("Error fetching journal:", error);
+    return sendError(res, error, "Error fetching journal");
+  }
+};
+
+// PATCH /api/journals/:id - `indexing` replaces the whole membership list.
+// Linked publications are re-derived afterwards.
+const updateJournal = async (req, res) => {
+  try {
+    const requestedFields = Object.keys(req.body || {});
+    const forbiddenFields = requestedFields.filter(
+      (field) => !EDITABLE_FIELDS.includes(field)
+    );
+
+    if (forbiddenFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some fields cannot be edited",
+        forbiddenFields,
+        allowedFields: EDITABLE_FIELDS,
+      });
+    }
+
+    if (requestedFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide at least one field to update",
+        allowedFields: EDITABLE_FIELDS,
+      });
+    }
+
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) {
+      return res.status(404).json({
+        success: false,
+        message: "Journal not found",
+      });
+    }
+
+    for (const field of requestedFields) {
+      const value = req.body[field];
+      if (field === "indexing") {
+        journal.indexing = normalizeIndexing(value);
+      } else if (field === "alternateNames") {
+        journal.alternateNames = normalizeAlternateNames(value);
+      } else if (field === "printIssn" || field === "eIssn") {
+        journal.set(field, value || undefined);
+      } else {
+        journal.set(field, value);
+      }
+    }
+
+    await journal.save();
+    const updatedPublications = await Journal.syncPublications(journal);
+
+    return res.status(200).json({
+      success: true,
+      message: "Journal updated successfully",
+      journal,
+      updatedPublications,
+    });
+  } catch (error) {
+    console.error("Error updating journal:", error);
+    return sendError(res, error, "Error updating journal");
+  }
+};
+
+// DELETE /api/journals/:id - Only journals no publication links to
+const deleteJournal = async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) {
+      return res.status(404).json({
+        success: false,
+        message: "Journal not found",
+      });
+    }
+
+    const linkedCount = await Publication.countDocuments({
+      journal: journal._id,
+    }).withDeleted();
+    if (linkedCount > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${linkedCount} publications are linked to this journal`,
+        linkedCount,
+      });
+    }
+
+    await Journal.deleteOne({ _id: journal._id });
+
+    return res.status(200).json({
+      success: true,
+      message: "Journal deleted",
+      id: journal._id,
+    });
+  } catch (error) {
+    console.error("Error deleting journal:", error);
+    return sendError(res, error, "Error deleting journal");
+  }
+};
+
+// POST /api/journals/:id/link-publications - Backfill: link publications
+// that give this journal's ISSN or one of its names
+const linkJournalPublications = async (req, res) => {
+  try {
+    const journal = await Journal.findById(req.params.id);
+    if (!journal) {
+      return res.status(404).json({
+        success: false,
+        message: "Journal not found",
+      });
+    }
+
+    const linkedPublications = await Journal.linkPublications(journal);
+
+    return res.status(200).json({
+      success: true,
+      message: `Linked ${linkedPublications} publications`,
+      linkedPublications,
+    });
+  } catch (error) {
+    console.error("Error linking publications to journal:", error);
+    return sendError(res, error, "Error linking publications");
+  }
+};
+
+// POST /api/journals/indexing/import - Upload an indexing list (CSV/XLSX).
+// Form fields: list (when the file has no list column), effectiveDate,
+// closeMissing=true (journals absent from the file leave the list),
+// dryRun=true (report only).
+const importJournalIndexing = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "Please upload a CSV or XLSX file in the 'file' field",
+      });
+    }
+
+    const { list, effectiveDate, closeMissing, dryRun } = req.body || {};
+
+    const defaultList = list ? parseIndexingList(list) : null;
+    if (list && !defaultList) {
+      return res.status(400).json({
+        success: false,
+        message: `List must be one of: ${INDEXING_LISTS.join(", ")}`,
+      });
+    }
+
+    const effectiveOn = effectiveDate ? new Date(effectiveDate) : new Date();
+    if (isNaN(effectiveOn)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid effectiveDate (YYYY-MM-DD)",
+      });
+    }
+
+    const { headers, rows } = await readSpreadsheet(
+      req.file.path,
+      req.file.originalname
+    );
+
+    if (rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "The spreadsheet has no data rows",
+      });
+    }
+
+    if (rows.length > MAX_INDEXING_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `A single list can have at most ${MAX_INDEXING_ROWS} rows (found ${rows.length})`,
+      });
+    }
+
+    const { mapping, ignored, missing, hasListColumn } =
+      mapIndexingColumns(headers);
+    if (missing.length > 0 || (!hasListColumn && !defaultList)) {
+      return res.status(400).json({
+        success: false,
+        message:
+          missing.length > 0
+            ? `Missing required columns: ${missing.join(", ")}`
+            : "The file has no list column - please choose the list",
+        columns: { mapped: mapping, ignored, missing },
+      });
+    }
+
+    const isDryRun = dryRun === "true" || dryRun === true;
+    const result = await applyIndexingRows(rows, mapping, {
+      defaultList,
+      effectiveDate: effectiveOn,
+      closeMissing: closeMissing === "true" || closeMissing === true,
+      dryRun: isDryRun,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: isDryRun
+        ? "Dry run - nothing was saved"
+        : `Indexing list applied: ${result.summary.created} journals added, ${result.summary.updated} updated`,
+      dryRun: isDryRun,
+      columns: { mapped: mapping, ignored },
+      summary: result.summary,
+      rows: result.rows,
+    });
+  } catch (error) {
+    console.error("Error importing indexing list:", error);
+    return sendError(res, error, "Error importing indexing list");
+  } finally {
+    removeTempFile(req.file?.path);
+  }
+};
+
+export {
+  createJournal,
+  getJournals,
+  autocompleteJournals,
+  getJournalById,
+  updateJournal,
+  deleteJournal,
+  linkJournalPublications,
+  importJournalIndexing,
+};
@@ -0,0 +1,51 @@
+import { sweepOrphanFiles } from "../jobs/orphanFileSweeper.job.js";
+
+const parseSweepOptions = (query) => ({
+  provider: query.provider || undefined,
+  minAgeHours: query.minAgeHours ? Number(query.minAgeHours) : undefined,
+});
+
+// GET /api/maintenance/orphan-files - Report stored files no publication uses
+const getOrphanFiles = async (req, res) => {
+  try {
+    const report = await sweepOrphanFiles(parseSweepOptions(req.query));
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${report.orphanCount} orphaned files`,
+      report,
+    });
+  } catch (error) {
+    console.error("Error scanning for orphaned files:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error scanning for orphaned files",
+      error: error.message,
+    });
+  }
+};
+
+// DELETE /api/maintenance/orphan-files - Remove stored files no publication uses
+const removeOrphanFiles = async (req, res) => {
+  try {
+    const report = await sweepOrphanFiles({
+      ...parseSweepOptions(req.query),
+      remove: true,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Removed ${report.removed} of ${report.orphanCount} orphaned files`,
+      report,
+    });
+  } catch (error) {
+    console.error("Error removing orphaned files:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error removing orphaned files",
+      error: error.message,
+    });
+  }
+};
+
+export { getOrphanFiles, removeOrphanFiles };
@@ -0,0 +1,264 @@
+import { Admin, AuthorProfile, PasswordResetToken } from "../models/index.js";
+import { sendMail } from "../utils/mailer/index.js";
+import {
+  accountLoginKey,
+  clearFailedLogins,
+  getPasswordResetLock,
+  lockedOutResponse,
+  recordPasswordResetRequest,
+} from "../utils/loginThrottle.js";
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// PasswordResetToken.accountModel -> model
+const ACCOUNT_MODELS = { Admin, Author: AuthorProfile };
+
+// Same answer whether or not an account matched, so the endpoint can't be
+// used to find out who has an account
+const FORGOT_PASSWORD_MESSAGE =
+  "If an account matches, a password reset link has been sent to its email address";
+
+const RESET_LOCKED_MESSAGES = {
+  account:
+    "Too many password reset requests for this account. Please try again later.",
+  ip: "Too many password reset requests from this network. Please try again later.",
+};
+
+const INVALID_TOKEN_MESSAGE =
+  "This reset link is invalid or has expired. Please request a new one.";
+
+const validateNewPassword = (password) => {
+  if (!password || typeof password !== "string") {
+    return "Please provide a new password";
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+};
+
+// Link to the frontend's reset page (PASSWORD_RESET_URL) with the token
+const getResetUrl = (token) => {
+  const url = new URL(
+    process.env.PASSWORD_RESET_URL ||
+      `http://localhost:${process.env.PORT || 3000}/reset-password`
+  );
+  url.searchParams.set("token", token);
+  return url.toString();
+};
+
+const sendResetMail = async (account, name, token, expiresAt) => {
+  const minutes = Math.round((expiresAt - Date.now()) / 60000);
+  const url = getResetUrl(token);
+
+  await sendMail({
+    to: account.email,
+    subject: "Reset your password",
+    text: [
+      `Hello ${name},`,
+      "",
+      "Someone (hopefully you) asked to reset the password of your research publications account.",
+      `Open this link within ${minutes} minutes to choose a new password:`,
+      "",
+      url,
+      "",
+      "The link works once. If you did not ask for this, ignore this email - your password stays the same.",
+    ].join("\n"),
+  });
+};
+
+// The account a forgot-password request is about: admins give their email,
+// authors their employee ID
+const findAccountToReset = async ({ email, employee_id }) => {
+  if (email) {
+    const admin = await Admin.findOne({
+      email: String(email).toLowerCase().trim(),
+    });
+    return admin && { account: admin, model: "Admin", name: admin.fullname };
+  }
+
+  const employeeIdNum = Number(employee_id);
+  if (isNaN(employeeIdNum) || employeeIdNum <= 0) return null;
+
+  const author = await AuthorProfile.findOne({ employee_id: employeeIdNum });
+  return (
+    author && { account: author, model: "Author", name: author.author_name }
+  );
+};
+
+// POST /api/password/change - Body: { currentPassword, newPassword }.
+// For the logged in admin or author. Other sessions of the account end;
+// this one stays logged in.
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+
+    if (!currentPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide your current password",
+      });
+    }
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+    if (newPassword === currentPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "The new password must be different from the current one",
+      });
+    }
+
+    const Model = req.user ? Admin : AuthorProfile;
+    const account = await Model.findById((req.user || req.author)._id).select(
+      "+password +sessionVersion"
+    );
+
+    if (!(await account.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    account.password = newPassword; // Hashed by the pre-save hook
+    account.endSessions();
+    await account.save();
+    await PasswordResetToken.revokeFor(account._id);
+
+    req.session.sessionVersion = account.sessionVersion;
+
+    return res.status(200).json({
+      success: true,
+      message: "Password changed. Other sessions have been logged out.",
+    });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error changing password",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// POST /api/password/forgot - Body: { email } (admins) or { employee_id }
+// (authors). Mails a single-use reset link to the email on file.
+const forgotPassword = async (req, res) => {
+  try {
+    const { email, employee_id } = req.body || {};
+    if (!email && !employee_id) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide your email (admins) or employee ID (authors)",
+      });
+    }
+
+    // Limited per account and IP, so the endpoint can't flood an inbox.
+    // Counted whether or not the account exists.
+    const throttleKey = email
+      ? accountLoginKey("admin", email)
+      : accountLoginKey("author", Number(employee_id));
+    const lock = await getPasswordResetLock(req, throttleKey);
+    if (lock) return lockedOutResponse(res, lock, RESET_LOCKED_MESSAGES);
+    await recordPasswordResetRequest(req, throttleKey);
+
+    const match = await findAccountToReset({ email, employee_id });
+
+    // Issued and mailed in the background: waiting for SMTP only when an
+    // account matched would give away which ones exist
+    if (match && match.account.isActive !== false && match.account.email) {
+      PasswordResetToken.issue(match.account, match.model, { ip: req.ip })
+        .then(({ token, expiresAt }) =>
+          sendResetMail(match.account, match.name, token, expiresAt)
+        )
+        .catch((mailError) => {
+          // Still the same answer - the account holder can ask again
+          console.error("Error sending password reset mail:", mailError);
+        });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: FORGOT_PASSWORD_MESSAGE,
+    });
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error requesting password reset",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// POST /api/password/reset - Body: { token, newPassword }. Every session of
+// the account is logged out.
+const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body || {};
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the reset token",
+      });
+    }
+    // Checked before the token is used up
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ success: false, message: passwordError });
+    }
+
+    const resetToken = await PasswordResetToken.consume(String(token));
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_TOKEN_MESSAGE,
+      });
+    }
+
+    const account = await ACCOUNT_MODELS[resetToken.accountModel]
+      .findById(resetToken.account)
+      .select("+sessionVersion");
+    if (!account) {
+      return res.status(400).json({
+        success: false,
+        message: INVALID_TOKEN_MESSAGE,
+      });
+    }
+    if (account.isActive === false) {
+      return res.status(403).json({
+        success: false,
+        message: "Account is deactivated. Please contact administrator.",
+      });
+    }
+
+    account.password = newPassword; // Hashed by the pre-save hook
+    account.endSessions();
+    await account.save();
+    await PasswordResetToken.revokeFor(account._id);
+
+    // A locked-out owner can log in with the new password straight away
+    await clearFailedLogins(
+      resetToken.accountModel === "Admin"
+        ? accountLoginKey("admin", account.email)
+        : accountLoginKey("author", account.employee_id)
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password.",
+    });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error resetting password",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+export { changePassword, forgotPassword, resetPassword };
@@ -1,10 +1,11 @@
-import { Department, Author, Admin } from "../models/index.js";
+import { Department, AuthorProfile, Admin } from "../models/index.js";
+import { departmentScopeFilter } from "../utils/permissions.js";
 
 const getPrivateDataCounts = async (req, res) => {
   try {
     const [departmentCount, authorCount] = await Promise.all([
       Department.countDocuments(),
-      Author.countDocuments(),
+      AuthorProfile.countDocuments(departmentScopeFilter(req)),
     ]);
     res.status(200).json({
       success: true,
@@ -54,11 +55,14 @@ const getAuthorsWithPagination = async (req, res) => {
     const sortField = allowedSortFields.includes(sortBy) ? sortBy : "createdAt";
     sortOptions[sortField] = sortOrder;
 
+    // Department admins only see their own department's authors
+    const filter = departmentScopeFilter(req);
+
     // Get total count for pagination info
-    const totalUsers = await Author.countDocuments();
+    const totalUsers = await AuthorProfile.countDocuments(filter);
 
     // Fetch users with pagination and sorting
-    const users = await Author.find({})
+    const users = await AuthorProfile.find(filter)
       .select("-password") // Exclude password field
       .sort(sortOptions)
       .skip(skip)
@@ -123,16 +127,18 @@ const searchAuthorWithFullName = async (req, res) => {
     const sortField = allowedSortFields.includes(sortBy) ? sortBy : "createdAt";
     sortOptions[sortField] = sortOrder;
 
-    // Create search query - case insensitive partial match
+    // Create search query - case insensitive partial match, within the
+    // department admin's own department
     const searchQuery = {
       fullname: { $regex: fullname.trim(), $options: "i" },
+      ...departmentScopeFilter(req),
     };
 
     // Get total count for pagination
-    const totalUsers = await Author.countDocuments(searchQuery);
+    const totalUsers = await AuthorProfile.countDocuments(searchQuery);
 
     // Search users
-    const users = await Author.find(searchQuery)
+    const users = await AuthorProfile.find(searchQuery)
       .select("-password")
       .sort(sortOptions)
       .skip(skip)
@@ -198,16 +204,18 @@ const searchAuthorWithEmail = async (req, res) => {
     const sortField = allowedSortFields.includes(sortBy) ? sortBy : "createdAt";
     sortOptions[sortField] = sortOrder;
 
-    // Create search query - case insensitive partial match
+    // Create search query - case insensitive partial match, within the
+    // department admin's own department
     const searchQuery = {
       email: { $regex: email.trim(), $options: "i" },
+      ...departmentScopeFilter(req),
     };
 
     // Get total count for pagination
-    const totalUsers = await Author.countDocuments(searchQuery);
+    const totalUsers = await AuthorProfile.countDocuments(searchQuery);
 
     // Search users
-    const users = await Author.find(searchQuery)
+    const users = await AuthorProfile.find(searchQuery)
       .select("-password")
       .sort(sortOptions)
       .skip(skip)
@@ -273,16 +281,18 @@ const searchAuthorWithEmployeeId = async (req, res) => {
     const sortField = allowedSortFields.includes(sortBy) ? sortBy : "createdAt";
     sortOptions[sortField] = sortOrder;
 
-    // Create search query - case insensitive partial match
+    // Create search query - case insensitive partial match, within the
+    // department admin's own department
     const searchQuery = {
       employee_id: { $regex: employee_id.trim(), $options: "i" },
+      ...departmentScopeFilter(req),
     };
 
     // Get total count for pagination
-    const totalUsers = await Author.countDocuments(searchQuery);
+    const totalUsers = await AuthorProfile.countDocuments(searchQuery);
 
     // Search users
-    const users = await Author.find(searchQuery)
+    const users = await AuthorProfile.find(searchQuery)
       .select("-password")
       .sort(sortOptions)
       .skip(skip)
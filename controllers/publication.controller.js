@@ -0,0 +1,650 @@
+import {
+  Publication,
+  Department,
+  Journal,
+  PublicationRevision,
+} from "../models/index.js";
+import { getRequestActor } from "../utils/actor.js";
+import { isOutsideDepartmentScope } from "../utils/permissions.js";
+import { uploadFile } from "../utils/storage/index.js";
+import { computeFileChecksum } from "../utils/fileChecksum.js";
+import { normalizeDoi } from "../utils/doi.js";
+import { toCanonicalIdentifier } from "../utils/identifiers.js";
+import { PUBLICATION_TYPES } from "../models/publication.model.js";
+import {
+  TYPE_DETAIL_FIELDS,
+  isValidPublicationType,
+  readTypeDetails,
+} from "../utils/publicationTypes.js";
+import fs from "fs"; // For cleaning up temp files
+
+// Fields any owner of the publication may correct. Co-authors are edited
+// on the author list (/publications/:id/authors), not here.
+const EDITABLE_FIELDS = [
+  "title",
+  "authorName",
+  "journalType",
+  "journalName",
+  "journal",
+  "isbnIssn",
+  "doi",
+  "publicationMonth",
+  "publicationYear",
+  "publicationType",
+  "conference",
+  "book",
+  "patent",
+];
+
+// Sub-documents holding type-specific details
+const DETAIL_FIELDS = ["conference", "book", "patent"];
+
+// Fields that change who the publication belongs to - admins only
+const ADMIN_ONLY_FIELDS = ["employeeId", "authorDeptId"];
+
+// Normalize incoming values the same way registerPublication does
+const normalizeFieldValue = (field, value) => {
+  if (field === "isbnIssn") {
+    return toCanonicalIdentifier(String(value).trim().toUpperCase());
+  }
+  if (field === "doi") return normalizeDoi(value) || null;
+  if (field === "journal") return value || null;
+
+  if (typeof value === "string") return value.trim();
+  if (typeof value === "number") return value.toString();
+
+  return value;
+};
+
+const toPlainValue = (value) =>
+  value && typeof value.toObject === "function" ? value.toObject() : value;
+
+const isSameValue = (a, b) => {
+  a = toPlainValue(a);
+  b = toPlainValue(b);
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+  }
+  if (a?.constructor === Object || b?.constructor === Object) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  }
+  return String(a ?? "") === String(b ?? "");
+};
+
+// Plain JSON value for the change log (ObjectIds/arrays -> primitives)
+const toLogValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map((v) => String(v));
+  // Type details (conference, book, patent) are logged as they are
+  if (typeof value.toObject === "function") return value.toObject();
+  if (value.constructor === Object) return value;
+  if (typeof value === "object" && value.toString) return value.toString();
+  return value;
+};
+
+// PATCH /api/publications/:id - Correct fields on an existing publication
+const updatePublication = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const actor = getRequestActor(req);
+    const isAdmin = actor.model === "Admin";
+
+    const allowedFields = isAdmin
+      ? [...EDITABLE_FIELDS, ...ADMIN_ONLY_FIELDS]
+      : EDITABLE_FIELDS;
+
+    const requestedFields = Object.keys(req.body || {});
+    const forbiddenFields = requestedFields.filter(
+      (field) => !allowedFields.includes(field)
+    );
+
+    if (forbiddenFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Some fields cannot be edited",
+        forbiddenFields,
+        allowedFields,
+      });
+    }
+
+    if (requestedFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide at least one field to update",
+        allowedFields,
+      });
+    }
+
+    const publication = await Publication.findById(id).select(
+      "+changeLog +reviewHistory"
+    );
+    if (!publication) {
+      return res.status(404).json({
+        success: false,
+        message: "Publication not found",
+      });
+    }
+
+    // Authors may only edit publications they uploaded
+    if (!isAdmin && publication.employeeId !== String(req.author.employee_id)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only edit your own publications",
+      });
+    }
+
+    // Department admins can't edit, or move work into, other departments
+    if (
+      isOutsideDepartmentScope(req, publication.department) ||
+      (req.body.authorDeptId &&
+        isOutsideDepartmentScope(req, req.body.authorDeptId))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only manage publications of your own department",
+      });
+    }
+
+    if (req.body.authorDeptId) {
+      const departmentExists = await Department.findById(req.body.authorDeptId);
+      if (!departmentExists) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Department not found. Please provide a valid department ID.",
+        });
+      }
+    }
+
+    if (
+      "publicationType" in req.body &&
+      !isValidPublicationType(req.body.publicationType)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `Publication type must be one of: ${PUBLICATION_TYPES.join(
+          ", "
+        )}`,
+      });
+    }
+    const publicationType =
+      req.body.publicationType || publication.publicationType;
+
+    // Type details are merged into what is already there, so one field
+    // (e.g. book.edition) can be corrected on its own
+    const typeDetails = {};
+    for (const field of DETAIL_FIELDS.filter((f) => f in req.body)) {
+      if (TYPE_DETAIL_FIELDS[publicationType] !== field) {
+        return res.status(400).json({
+          success: false,
+          message: `A ${publicationType} has no ${field} details`,
+        });
+      }
+      typeDetails[field] = {
+        ...(toPlainValue(publication[field]) || {}),
+        ...readTypeDetails(req.body[field], field),
+      };
+    }
+
+    // A linked journal decides journalName/journalType
+    let journal = null;
+    if (req.body.journal && publicationType !== "journal-article") {
+      return res.status(400).json({
+        success: false,
+        message: "Only journal articles can be linked to a registered journal",
+      });
+    }
+    if (req.body.journal) {
+      journal = await Journal.findById(req.body.journal);
+      if (!journal) {
+        return res.status(400).json({
+          success: false,
+          message: "Journal not found. Please provide a valid journal ID.",
+        });
+      }
+    }
+    const staysLinked =
+      "journal" in req.body ? !!journal : !!publication.journal;
+    const derivedFields = ["journalName", "journalType"].filter((field) =>
+      requestedFields.includes(field)
+    );
+    if (staysLinked && derivedFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Journal name and type come from the linked journal. Unlink it (journal: null) to enter them yourself.",
+        derivedFields,
+      });
+    }
+
+    const changes = [];
+    for (const field of requestedFields) {
+      const newValue =
+        field in typeDetails
+          ? typeDetails[field]
+          : normalizeFieldValue(field, req.body[field]);
+      const oldValue = publication[field];
+
+      if (isSameValue(oldValue, newValue)) continue;
+
+      changes.push({
+        field,
+        from: toLogValue(oldValue),
+        to: toLogValue(newValue),
+      });
+      publication.set(field, newValue);
+
+      // department always mirrors authorDeptId (see registerPublication)
+      if (field === "authorDeptId") {
+        publication.set("department", newValue);
+      }
+    }
+
+    // Re-classified: details (and a journal link) of the old type go
+    const typeChanged = changes.some(
+      (change) => change.field === "publicationType"
+    );
+    if (typeChanged) {
+      for (const field of [...DETAIL_FIELDS, "journal"]) {
+        const keep =
+          field === "journal"
+            ? publicationType === "journal-article"
+            : TYPE_DETAIL_FIELDS[publicationType] === field;
+        if (keep || !publication[field]) continue;
+        changes.push({
+          field,
+          from: toLogValue(publication[field]),
+          to: null,
+        });
+        publication.set(field, field === "journal" ? null : undefined);
+      }
+    }
+
+    // New journal, or a new date that may fall in a different indexing period
+    const rederive = ["journal", "publicationMonth", "publicationYear"].some(
+      (field) => changes.some((change) => change.field === field)
+    );
+    if (publication.journal && rederive) {
+      journal = journal || (await Journal.findById(publication.journal));
+      const before = {
+        journalName: publication.journalName,
+        journalType: publication.journalType,
+      };
+      if (journal) publication.applyJournal(journal);
+      for (const field of ["journalName", "journalType"]) {
+        if (before[field] !== publication[field]) {
+          changes.push({ field, from: before[field], to: publication[field] });
+        }
+      }
+    }
+
+    // Same shape as a successful update: no changeLog or review history
+    const loadResponsePublication = () =>
+      Publication.findById(publication._id)
+        .populate("authorDeptId", "name")
+        .populate("department", "name")
+        .exec();
+
+    if (changes.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: "No changes detected",
+        publication: await loadResponsePublication(),
+      });
+    }
+
+    publication.changeLog.push({
+      changedBy: actor.id,
+      changedByModel: actor.model,
+      changedAt: new Date(),
+      changes,
+    });
+
+    // An author editing a verified record sends it back for review
+    if (!isAdmin && publication.status === "verified") {
+      publication.applyStatusTransition("submit", actor);
+    }
+
+    // Schema validators run here; the pre-save hook recomputes publication_date
+    await publication.save();
+    await PublicationRevision.record(publication, "update", actor);
+
+    const updatedPublication = await loadResponsePublication();
+
+    return res.status(200).json({
+      success: true,
+      message: "Publication updated successfully",
+      publication: updatedPublication,
+      changes,
+    });
+  } catch (error) {
+    console.error("Error updating publication:", error);
+
+    // Unreadable type details (readTypeDetails)
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+        value: err.value,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: validationErrors,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Publication with this DOI already exists",
+        error: "Duplicate DOI",
+      });
+    }
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+        error: "INVALID_ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+const removeTempFile = (file) => {
+  if (file && file.path && fs.existsSync(file.path)) {
+    fs.unlinkSync(file.path);
+  }
+};
+
+// PUT /api/publications/:id/file - Upload a new PDF, keeping the old ones
+const replacePublicationFile = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const actor = getRequestActor(req);
+    const isAdmin = actor.model === "Admin";
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "PDF file is required",
+      });
+    }
+
+    const publication = await Publication.findById(id).select(
+      "+changeLog +reviewHistory +fileVersions"
+    );
+    if (!publication) {
+      removeTempFile(req.file);
+      return res.status(404).json({
+        success: false,
+        message: "Publication not found",
+      });
+    }
+
+    if (!isAdmin && publication.employeeId !== String(req.author.employee_id)) {
+      removeTempFile(req.file);
+      return res.status(403).json({
+        success: false,
+        message: "You can only replace files on your own publications",
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, publication.department)) {
+      removeTempFile(req.file);
+      return res.status(403).json({
+        success: false,
+        message: "You can only manage publications of your own department",
+      });
+    }
+
+    const checksum = await computeFileChecksum(req.file.path);
+    const currentVersion = publication.getCurrentFileVersion();
+    if (currentVersion && currentVersion.checksum === checksum) {
+      removeTempFile(req.file);
+      return res.status(409).json({
+        success: false,
+        message: "This file is identical to the current version",
+        currentVersion: currentVersion.version,
+      });
+    }
+
+    const fileUploadResult = await uploadFile(req.file.path, {
+      fileName: req.file.originalname,
+    });
+    if (!fileUploadResult || !fileUploadResult.url) {
+      return res.status(500).json({
+        success: false,
+        message: "File upload to storage failed",
+        error: "Please check storage configuration",
+      });
+    }
+
+    const previousUrl = publication.file_url;
+    const newVersion = publication.addFileVersion(
+      {
+        url: fileUploadResult.url,
+        fileId: fileUploadResult.fileId,
+        provider: fileUploadResult.provider,
+        originalName: req.file.originalname,
+        size: req.file.size,
+        checksum,
+      },
+      actor
+    );
+
+    publication.changeLog.push({
+      changedBy: actor.id,
+      changedByModel: actor.model,
+      changedAt: new Date(),
+      changes: [{ field: "file_url", from: previousUrl, to: newVersion.url }],
+    });
+
+    // Same rule as editing: a new file on a verified record needs review again
+    if (!isAdmin && publication.status === "verified") {
+      publication.applyStatusTransition("submit", actor);
+    }
+
+    await publication.save();
+    await PublicationRevision.record(publication, "update", actor);
+
+    return res.status(200).json({
+      success: true,
+      message: `File replaced (version ${newVersion.version})`,
+      file_url: publication.file_url,
+      fileVersion: newVersion,
+      status: publication.status,
+    });
+  } catch (error) {
+    console.error("Error replacing publication file:", error);
+    removeTempFile(req.file);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+        error: "INVALID_ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// GET /api/publications/:id/file/versions
+const getPublicationFileVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const actor = getRequestActor(req);
+
+    const publication = await Publication.findById(id)
+      .select("+fileVersions")
+      .populate("fileVersions.uploadedBy", "fullname author_name employee_id");
+    if (!publication) {
+      return res.status(404).json({
+        success: false,
+        message: "Publication not found",
+      });
+    }
+
+    if (
+      actor.model === "Author" &&
+      publication.employeeId !== String(req.author.employee_id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only view files of your own publications",
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, publication.department)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only manage publications of your own department",
+      });
+    }
+
+    const versions = [...publication.fileVersions]
+      .sort((a, b) => b.version - a.version)
+      .map((entry) => ({
+        ...entry.toObject(),
+        isCurrent: entry.url === publication.file_url,
+      }));
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${versions.length} file versions`,
+      file_url: publication.file_url,
+      versions,
+    });
+  } catch (error) {
+    console.error("Error fetching publication file versions:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+        error: "INVALID_ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// POST /api/publications/:id/file/rollback - Admins point file_url at an older version
+const rollbackPublicationFile = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.body?.version, 10);
+    const actor = getRequestActor(req);
+
+    if (isNaN(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid file version number",
+      });
+    }
+
+    const publication = await Publication.findById(id).select(
+      "+changeLog +fileVersions"
+    );
+    if (!publication) {
+      return res.status(404).json({
+        success: false,
+        message: "Publication not found",
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, publication.department)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only manage publications of your own department",
+      });
+    }
+
+    const target = publication.fileVersions.find(
+      (entry) => entry.version === version
+    );
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: `File version ${version} not found`,
+      });
+    }
+
+    if (target.url === publication.file_url) {
+      return res.status(400).json({
+        success: false,
+        message: `File version ${version} is already the current file`,
+      });
+    }
+
+    const previousUrl = publication.file_url;
+    publication.file_url = target.url;
+    publication.file_id = target.fileId;
+    publication.file_provider = target.provider;
+    publication.changeLog.push({
+      changedBy: actor.id,
+      changedByModel: actor.model,
+      changedAt: new Date(),
+      changes: [{ field: "file_url", from: previousUrl, to: target.url }],
+    });
+
+    await publication.save();
+    await PublicationRevision.record(publication, "update", actor);
+
+    return res.status(200).json({
+      success: true,
+      message: `Rolled back to file version ${version}`,
+      file_url: publication.file_url,
+      fileVersion: target,
+    });
+  } catch (error) {
+    console.error("Error rolling back publication file:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+        error: "INVALID_ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+export {
+  updatePublication,
+  replacePublicationFile,
+  getPublicationFileVersions,
+  rollbackPublicationFile,
+};
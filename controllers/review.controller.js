@@ -0,0 +1,173 @@
+import { Publication } from "../models/index.js";
+import { STATUS_TRANSITIONS } from "../models/publication.model.js";
+import { getRequestActor } from "../utils/actor.js";
+import {
+  departmentScopeFilter,
+  isOutsideDepartmentScope,
+} from "../utils/permissions.js";
+
+// Shared handler for every review action (submit, verify, reject, request-changes)
+const transitionPublicationStatus = (action) => async (req, res) => {
+  try {
+    const { id } = req.params;
+    const reason = req.body?.reason ? String(req.body.reason).trim() : null;
+    const actor = getRequestActor(req);
+    const transition = STATUS_TRANSITIONS[action];
+
+    if (transition.requiresReason && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required for this action",
+      });
+    }
+
+    const publication = await Publication.findById(id).select("+reviewHistory");
+    if (!publication) {
+      return res.status(404).json({
+        success: false,
+        message: "Publication not found",
+      });
+    }
+
+    // Authors can only submit their own publications
+    if (
+      actor.model === "Author" &&
+      publication.employeeId !== String(req.author.employee_id)
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only submit your own publications",
+      });
+    }
+
+    // Department admins review their own department's work
+    if (isOutsideDepartmentScope(req, publication.department)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only manage publications of your own department",
+      });
+    }
+
+    if (!Publication.canTransition(publication.status, action)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${action} a publication that is ${publication.status}`,
+        currentStatus: publication.status,
+        allowedFrom: transition.from,
+      });
+    }
+
+    // Imported records start without a PDF
+    if (action === "submit" && !publication.file_url) {
+      return res.status(400).json({
+        success: false,
+        message: "Attach a PDF before submitting this publication",
+      });
+    }
+
+    publication.applyStatusTransition(action, actor, reason);
+    await publication.save();
+
+    return res.status(200).json({
+      success: true,
+      message: `Publication is now ${publication.status}`,
+      publication: {
+        _id: publication._id,
+        title: publication.title,
+        status: publication.status,
+        submittedAt: publication.submittedAt,
+        reviewedAt: publication.reviewedAt,
+        reviewedBy: publication.reviewedBy,
+        reviewNote: publication.reviewNote,
+      },
+    });
+  } catch (error) {
+    console.error(`Error during publication ${action}:`, error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+        error: "INVALID_ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+const submitPublication = transitionPublicationStatus("submit");
+const verifyPublication = transitionPublicationStatus("verify");
+const rejectPublication = transitionPublicationStatus("reject");
+const requestPublicationChanges =
+  transitionPublicationStatus("request-changes");
+
+// GET /api/review/queue - Publications waiting for an admin decision
+const getReviewQueue = async (req, res) => {
+  try {
+    const { status = "submitted", page = 1, limit = 10 } = req.query;
+
+    const allowedStatuses = ["draft", "submitted", "verified", "rejected"];
+    if (!allowedStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${allowedStatuses.join(", ")}`,
+      });
+    }
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.max(1, Math.min(100, parseInt(limit, 10) || 10));
+
+    // Department admins only see their own department's queue
+    const filter = { status, ...departmentScopeFilter(req) };
+
+    // Oldest submissions first so nothing waits forever
+    const [publications, totalCount] = await Promise.all([
+      Publication.find(filter)
+        .sort({ submittedAt: 1, createdAt: 1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .select("+reviewHistory")
+        .populate("department", "name")
+        .populate("authorDeptId", "name")
+        .populate("reviewedBy", "fullname email")
+        .exec(),
+      Publication.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${totalCount} ${status} publications`,
+      publications,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        totalCount,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching review queue:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching review queue",
+      error: error.message,
+    });
+  }
+};
+
+export {
+  submitPublication,
+  verifyPublication,
+  rejectPublication,
+  requestPublicationChanges,
+  getReviewQueue,
+};
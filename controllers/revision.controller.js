@@ -0,0 +1,307 @@
+import { Publication, PublicationRevision } from "../models/index.js";
+import { getRequestActor } from "../utils/actor.js";
+import {
+  getDepartmentScope,
+  isOutsideDepartmentScope,
+} from "../utils/permissions.js";
+
+// Department admins only read the history of their own department's
+// publications. Purged ones are judged by their last revision.
+const isHistoryOutsideScope = async (req, publicationId) => {
+  if (!getDepartmentScope(req)) return false;
+
+  const publication = await Publication.findById(publicationId)
+    .withDeleted()
+    .select("department")
+    .lean();
+  if (publication) return isOutsideDepartmentScope(req, publication.department);
+
+  const latest = await PublicationRevision.findOne({
+    publication: publicationId,
+  })
+    .sort({ version: -1 })
+    .select("snapshot.department")
+    .lean();
+  return !!latest && isOutsideDepartmentScope(req, latest.snapshot?.department);
+};
+
+const outsideScopeResponse = (res) =>
+  res.status(403).json({
+    success: false,
+    message: "You can only manage publications of your own department",
+  });
+
+// GET /api/publications/:id/revisions - Revision history, newest first
+const getPublicationRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { includeSnapshot = "false" } = req.query;
+
+    if (await isHistoryOutsideScope(req, id)) return outsideScopeResponse(res);
+
+    let query = PublicationRevision.find({ publication: id })
+      .sort({ version: -1 })
+      .populate("changedBy", "fullname author_name employee_id");
+
+    if (includeSnapshot !== "true") {
+      query = query.select("-snapshot");
+    }
+
+    const revisions = await query.lean();
+
+    if (revisions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: "No revisions found for this publication",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${revisions.length} revisions`,
+      revisions,
+    });
+  } catch (error) {
+    console.error("Error fetching publication revisions:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+        error: "INVALID_ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching publication revisions",
+      error: error.message,
+    });
+  }
+};
+
+// GET /api/publications/:id/revisions/diff?from=1&to=3
+// Defaults: `to` is the latest revision, `from` the one before it
+const diffPublicationRevisions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (await isHistoryOutsideScope(req, id)) return outsideScopeResponse(res);
+
+    const latest = await PublicationRevision.findOne({ publication: id })
+      .sort({ version: -1 })
+      .select("version")
+      .lean();
+
+    if (!latest) {
+      return res.status(404).json({
+        success: false,
+        message: "No revisions found for this publication",
+      });
+    }
+
+    const toVersion = req.query.to
+      ? parseInt(req.query.to, 10)
+      : latest.version;
+    const fromVersion = req.query.from
+      ? parseInt(req.query.from, 10)
+      : toVersion - 1;
+
+    if (isNaN(fromVersion) || isNaN(toVersion) || fromVersion < 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide valid 'from' and 'to' revision numbers",
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      PublicationRevision.findOne({ publication: id, version: fromVersion }),
+      PublicationRevision.findOne({ publication: id, version: toVersion }),
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+        missingVersions: [
+          !fromRevision && fromVersion,
+          !toRevision && toVersion,
+        ].filter(Boolean),
+      });
+    }
+
+    const changes = PublicationRevision.diffSnapshots(
+      fromRevision.snapshot,
+      toRevision.snapshot
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: `${changes.length} field(s) changed between revision ${fromVersion} and ${toVersion}`,
+      from: {
+        version: fromRevision.version,
+        action: fromRevision.action,
+        createdAt: fromRevision.createdAt,
+      },
+      to: {
+        version: toRevision.version,
+        action: toRevision.action,
+        createdAt: toRevision.createdAt,
+      },
+      changes,
+    });
+  } catch (error) {
+    console.error("Error diffing publication revisions:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+        error: "INVALID_ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Error comparing publication revisions",
+      error: error.message,
+    });
+  }
+};
+
+// POST /api/publications/:id/revisions/:version/restore
+// Reverts a live publication's fields. Trashed ones come back through the
+// trash; purged ones can't come back (their PDF is gone).
+const restorePublicationRevision = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const actor = getRequestActor(req);
+
+    const revision = await PublicationRevision.findOne({
+      publication: id,
+      version: parseInt(version, 10),
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Revision not found",
+      });
+    }
+
+    const publication = await Publication.findById(id)
+      .withDeleted()
+      .select("+changeLog");
+
+    // Department admins can't restore another department's publication, nor
+    // a revision from when it belonged to one
+    if (
+      isOutsideDepartmentScope(req, revision.snapshot?.department) ||
+      (publication && isOutsideDepartmentScope(req, publication.department))
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only manage publications of your own department",
+      });
+    }
+
+    // Trashed records come back through the trash, which also re-links authors
+    if (publication && publication.isDeleted()) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This publication is in the trash. Restore it from the trash first.",
+      });
+    }
+
+    // Purged from the trash: its stored PDF went with it, so the record
+    // can't come back as it was
+    if (!publication) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "This publication was purged along with its PDF. Please register it again and re-upload the PDF.",
+      });
+    }
+
+    const changes = PublicationRevision.diffSnapshots(
+      PublicationRevision.toSnapshot(publication),
+      revision.snapshot
+    );
+
+    if (changes.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: "Publication already matches this revision",
+      });
+    }
+
+    for (const { field, to } of changes) {
+      publication.set(field, to === null ? undefined : to);
+    }
+
+    publication.changeLog.push({
+      changedBy: actor.id,
+      changedByModel: actor.model,
+      changedAt: new Date(),
+      changes,
+    });
+
+    await publication.save();
+    await PublicationRevision.record(publication, "restore", actor, {
+      restoredFromVersion: revision.version,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Publication restored to revision ${revision.version}`,
+      publication: await Publication.findById(id)
+        .populate("authorDeptId", "name")
+        .populate("department", "name"),
+      changes,
+    });
+  } catch (error) {
+    console.error("Error restoring publication revision:", error);
+
+    if (error.name === "ValidationError") {
+      const validationErrors = Object.values(error.errors).map((err) => ({
+        field: err.path,
+        message: err.message,
+      }));
+
+      return res.status(400).json({
+        success: false,
+        message: "Revision can no longer be restored",
+        errors: validationErrors,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: "Restoring would create a duplicate publication",
+        keyValue: error.keyValue,
+      });
+    }
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+        error: "INVALID_ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+export {
+  getPublicationRevisions,
+  diffPublicationRevisions,
+  restorePublicationRevision,
+};
@@ -0,0 +1,140 @@
+import { LoginAttempt, SecurityEvent } from "../models/index.js";
+import { SECURITY_EVENT_TYPES } from "../models/securityEvent.model.js";
+import { accountLoginKey, ipLoginKey } from "../utils/loginThrottle.js";
+
+// GET /api/security/lockouts - Accounts and IPs locked out right now
+const getLockouts = async (req, res) => {
+  try {
+    const lockouts = await LoginAttempt.find({
+      lockedUntil: { $gt: new Date() },
+    })
+      .sort({ lockedUntil: -1 })
+      .select("key scope lockedUntil lockCount lastFailureAt")
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${lockouts.length} active lockout(s)`,
+      lockouts,
+    });
+  } catch (error) {
+    console.error("Error fetching lockouts:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching lockouts",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// POST /api/security/unlock - Body: one of { email } (admin account),
+// { employee_id } (author account) or { ip }. Clears the failures and
+// backoff too, so the next mistake doesn't lock straight away.
+const unlockLogin = async (req, res) => {
+  try {
+    const { email, employee_id, ip } = req.body || {};
+    const given = [email, employee_id, ip].filter(Boolean);
+    if (given.length !== 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide exactly one of: email, employee_id, ip",
+      });
+    }
+
+    let key = ipLoginKey(ip);
+    if (email) key = accountLoginKey("admin", email);
+    if (employee_id) key = accountLoginKey("author", Number(employee_id));
+
+    const attempt = await LoginAttempt.findOneAndDelete({
+      key,
+      lockedUntil: { $gt: new Date() },
+    });
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        message: "No active lockout found",
+      });
+    }
+
+    await SecurityEvent.create({
+      type: "unlock",
+      key,
+      scope: attempt.scope,
+      ip: req.ip,
+      lockedUntil: attempt.lockedUntil,
+      lockCount: attempt.lockCount,
+      actor: req.user._id,
+    });
+    console.log(`Login lockout of ${key} lifted by ${req.user.email}`);
+
+    return res.status(200).json({
+      success: true,
+      message: "Lockout lifted",
+      key,
+    });
+  } catch (error) {
+    console.error("Error lifting lockout:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error lifting lockout",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+// GET /api/security/events?type=lockout&key=ip:10.0.0.7 - Newest first
+const getSecurityEvents = async (req, res) => {
+  try {
+    const { type, key, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (type) {
+      if (!SECURITY_EVENT_TYPES.includes(type)) {
+        return res.status(400).json({
+          success: false,
+          message: `Type must be one of: ${SECURITY_EVENT_TYPES.join(", ")}`,
+        });
+      }
+      filter.type = type;
+    }
+    if (key) filter.key = String(key).toLowerCase().trim();
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.max(1, Math.min(100, parseInt(limit, 10) || 20));
+
+    const [events, totalCount] = await Promise.all([
+      SecurityEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .populate("actor", "fullname email")
+        .lean(),
+      SecurityEvent.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${totalCount} security event(s)`,
+      events,
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        totalCount,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching security events:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching security events",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+export { getLockouts, unlockLogin, getSecurityEvents };
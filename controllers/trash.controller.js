@@ -0,0 +1,223 @@
+import {
+  AuthorProfile,
+  Authorship,
+  Department,
+  Publication,
+  PublicationRevision,
+} from "../models/index.js";
+import { getPurgeDate } from "../jobs/purgeTrash.job.js";
+import { getRequestActor } from "../utils/actor.js";
+import {
+  departmentScopeFilter,
+  getDepartmentScope,
+  isOutsideDepartmentScope,
+} from "../utils/permissions.js";
+
+// What the trash listing shows for each kind of record
+const TRASH_TYPES = {
+  publications: {
+    model: Publication,
+    select:
+      "title employeeId authorName journalName isbnIssn status department deletedAt deletedBy deletedByModel",
+  },
+  authors: {
+    model: AuthorProfile,
+    select:
+      "employee_id author_name department deletedAt deletedBy deletedByModel",
+  },
+  departments: {
+    model: Department,
+    select: "name university deletedAt deletedBy deletedByModel",
+  },
+};
+
+const invalidTypeResponse = (res) =>
+  res.status(400).json({
+    success: false,
+    message: `Type must be one of: ${Object.keys(TRASH_TYPES).join(", ")}`,
+  });
+
+// Department admins see their department's publications and authors only;
+// departments themselves are left to the other admins
+const departmentsOutOfScopeResponse = (res) =>
+  res.status(403).json({
+    success: false,
+    message: "Department admins cannot manage departments in the trash",
+  });
+
+// GET /api/trash?type=publications - Soft-deleted records, newest first
+const getTrash = async (req, res) => {
+  try {
+    const { type = "publications", page = 1, limit = 10 } = req.query;
+    const trashType = TRASH_TYPES[type];
+    if (!trashType) return invalidTypeResponse(res);
+    if (type === "departments" && getDepartmentScope(req)) {
+      return departmentsOutOfScopeResponse(res);
+    }
+
+    const filter = departmentScopeFilter(req);
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const limitNumber = Math.max(1, Math.min(100, parseInt(limit, 10) || 10));
+
+    const [items, totalCount] = await Promise.all([
+      trashType.model
+        .find(filter)
+        .onlyDeleted()
+        .sort({ deletedAt: -1 })
+        .skip((pageNumber - 1) * limitNumber)
+        .limit(limitNumber)
+        .select(trashType.select)
+        .populate("deletedBy", "fullname author_name employee_id")
+        .lean(),
+      trashType.model.countDocuments(filter).onlyDeleted(),
+    ]);
+
+    const totalPages = Math.ceil(totalCount / limitNumber);
+
+    return res.status(200).json({
+      success: true,
+      message: `Found ${totalCount} ${type} in trash`,
+      type,
+      items: items.map((item) => ({
+        ...item,
+        purgeAt: getPurgeDate(item.deletedAt),
+      })),
+      pagination: {
+        page: pageNumber,
+        limit: limitNumber,
+        totalCount,
+        totalPages,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching trash:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Error fetching trash",
+      error: error.message,
+    });
+  }
+};
+
+const restorePublication = async (publication, actor) => {
+  const department = await Department.findById(
+    publication.department
+  ).withDeleted();
+  if (department && department.isDeleted()) {
+    return {
+      status: 409,
+      message:
+        "The publication's department is in the trash. Restore it first.",
+    };
+  }
+
+  // Re-link exactly the assignments that were trashed with the publication
+  const deletedAt = publication.deletedAt;
+  const restoredAssignments = await Authorship.restoreMany({
+    publication: publication._id,
+    deletedAt,
+  });
+
+  await publication.restore();
+  await Publication.syncAuthorList(publication._id);
+  await PublicationRevision.record(publication, "restore", actor);
+
+  return {
+    status: 200,
+    message: "Publication restored",
+    restoredAuthorAssignments: restoredAssignments.modifiedCount,
+  };
+};
+
+const restoreAuthor = async (author) => {
+  const activeRegistration = await AuthorProfile.findOne({
+    employee_id: author.employee_id,
+  });
+  if (activeRegistration) {
+    return {
+      status: 409,
+      message: `Employee ID ${author.employee_id} has been registered again since this author was deleted`,
+    };
+  }
+
+  const department = await Department.findById(author.department).withDeleted();
+  if (department && department.isDeleted()) {
+    return {
+      status: 409,
+      message: "The author's department is in the trash. Restore it first.",
+    };
+  }
+
+  await author.restore();
+  return { status: 200, message: "Author restored" };
+};
+
+const restoreDepartment = async (department) => {
+  await department.restore();
+  return { status: 200, message: "Department restored" };
+};
+
+const restoreHandlers = {
+  publications: restorePublication,
+  authors: restoreAuthor,
+  departments: restoreDepartment,
+};
+
+// POST /api/trash/:type/:id/restore
+const restoreFromTrash = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const trashType = TRASH_TYPES[type];
+    if (!trashType) return invalidTypeResponse(res);
+    if (type === "departments" && getDepartmentScope(req)) {
+      return departmentsOutOfScopeResponse(res);
+    }
+
+    const record = await trashType.model.findOne({ _id: id }).onlyDeleted();
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found in trash",
+      });
+    }
+
+    if (isOutsideDepartmentScope(req, record.department)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only manage records of your own department",
+      });
+    }
+
+    const { status, message, ...details } = await restoreHandlers[type](
+      record,
+      getRequestActor(req)
+    );
+
+    return res.status(status).json({
+      success: status === 200,
+      message,
+      ...details,
+      ...(status === 200 && { id: record._id }),
+    });
+  } catch (error) {
+    console.error("Error restoring from trash:", error);
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+        error: "INVALID_ID",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      ...(process.env.NODE_ENV === "development" && { error: error.message }),
+    });
+  }
+};
+
+export { getTrash, restoreFromTrash };
@@ -1,5 +1,45 @@
-import { UploadOnImageKit } from "../utils/ImageKit.js";
-import { Author, Department, Publication, Admin } from "../models/index.js";
+import { deleteStoredFiles, uploadFile } from "../utils/storage/index.js";
+import {
+  AuthorProfile,
+  Authorship,
+  Department,
+  Publication,
+  Admin,
+  PublicationRevision,
+  DuplicateFlag,
+  Journal,
+  ExternalContributor,
+} from "../models/index.js";
+import { getRequestActor } from "../utils/actor.js";
+import {
+  accountLoginKey,
+  clearFailedLogins,
+  getLoginLock,
+  lockedOutResponse,
+  recordFailedLogin,
+} from "../utils/loginThrottle.js";
+import {
+  ADMIN_ROLES,
+  departmentScopeFilter,
+  getRolePermissions,
+  isOutsideDepartmentScope,
+} from "../utils/permissions.js";
+import { computeFileChecksum } from "../utils/fileChecksum.js";
+import { isValidDoi } from "../utils/doi.js";
+import { findPossibleDuplicates } from "../utils/duplicateDetector.js";
+import {
+  AUTHORS_POPULATE,
+  PUBLICATION_TYPES,
+} from "../models/publication.model.js";
+import {
+  TYPE_DETAIL_FIELDS,
+  isValidPublicationType,
+  readTypeDetails,
+} from "../utils/publicationTypes.js";
+import {
+  addExternalAuthors,
+  readExternalAuthors,
+} from "../utils/externalAuthors.js";
 import fs from "fs"; // For cleaning up temp files
 
 // Fixed controller with proper field mapping and publication_date
@@ -16,29 +56,100 @@ const registerPublication = async (req, res) => {
     title,
     coAuthors,
     coAuthorCount,
+    doi,
+    journalId,
+    publicationType = "journal-article",
   } = req.body;
 
   console.log("Request body:", req.body);
   console.log("Request file:", req.file);
 
-  // Validate required fields
+  if (!isValidPublicationType(publicationType)) {
+    return res.status(400).json({
+      message: `Publication type must be one of: ${PUBLICATION_TYPES.join(
+        ", "
+      )}`,
+    });
+  }
+  const isArticle = publicationType === "journal-article";
+  const isBook = TYPE_DETAIL_FIELDS[publicationType] === "book";
+
+  // Validate required fields. Journal name/type come from the registry when
+  // a journal is picked (journalId). Other types only need what they are
+  // identified by: chapters the book title, books their ISBN.
   if (
     !employeeId ||
     !authorName ||
     !authorDeptId ||
-    !journalType ||
-    !journalName ||
-    !isbnIssn ||
+    (isArticle && !journalId && (!journalType || !journalName)) ||
+    (publicationType === "book-chapter" && !journalName) ||
+    ((isArticle || isBook) && !isbnIssn) ||
     !publicationMonth ||
     !publicationYear ||
     !title
   ) {
+    let typeFields = "";
+    if (isArticle) {
+      typeFields = "journalType and journalName (or journalId), isbnIssn, ";
+    } else if (publicationType === "book-chapter") {
+      typeFields = "journalName (book title), isbnIssn, ";
+    } else if (isBook) {
+      typeFields = "isbnIssn, ";
+    }
     return res.status(400).json({
-      message:
-        "Please provide all required fields: employeeId, authorName, authorDeptId, journalType, journalName, isbnIssn, publicationMonth, publicationYear, title",
+      message: `Please provide all required fields: employeeId, authorName, authorDeptId, ${typeFields}publicationMonth, publicationYear, title`,
+    });
+  }
+
+  // Faculty only add publications of their own, under their department
+  if (
+    req.author &&
+    (String(employeeId).trim() !== String(req.author.employee_id) ||
+      String(authorDeptId) !== String(req.author.department))
+  ) {
+    return res.status(403).json({
+      message: "You can only add publications under your own employee ID",
+    });
+  }
+
+  // Department admins only add publications to their own department
+  if (isOutsideDepartmentScope(req, authorDeptId)) {
+    return res.status(403).json({
+      message: "You can only add publications to your own department",
     });
   }
 
+  if (journalId && !isArticle) {
+    return res.status(400).json({
+      message: "Only journal articles can be linked to a registered journal",
+    });
+  }
+
+  // Details for the type: conference, book or patent
+  const detailField = TYPE_DETAIL_FIELDS[publicationType];
+  let typeDetails = null;
+  if (detailField) {
+    try {
+      typeDetails = readTypeDetails(req.body[detailField], detailField);
+    } catch (error) {
+      return res.status(error.status || 400).json({ message: error.message });
+    }
+    if (!typeDetails) {
+      return res.status(400).json({
+        message: `Please provide ${detailField} details for a ${publicationType}`,
+      });
+    }
+  }
+
+  // Co-authors from outside the university: names, or objects with their
+  // affiliation, email, ORCID iD and country
+  let externalAuthors = [];
+  try {
+    externalAuthors = readExternalAuthors(coAuthors);
+  } catch (error) {
+    return res.status(error.status || 400).json({ message: error.message });
+  }
+
   // Validate journal type enum
   const validJournalTypes = [
     "SCI/ESCI",
@@ -48,7 +159,7 @@ const registerPublication = async (req, res) => {
     "ICI",
     "OTHER",
   ];
-  if (!validJournalTypes.includes(journalType)) {
+  if (journalType && !validJournalTypes.includes(journalType)) {
     return res.status(400).json({
       message: `Journal type must be one of: ${validJournalTypes.join(", ")}`,
     });
@@ -78,7 +189,7 @@ const registerPublication = async (req, res) => {
       .status(400)
       .json({ message: "Author name must be max 100 characters" });
   }
-  if (journalName.length > 200) {
+  if (journalName && journalName.length > 200) {
     return res
       .status(400)
       .json({ message: "Journal name must be max 200 characters" });
@@ -89,6 +200,13 @@ const registerPublication = async (req, res) => {
       .json({ message: "Title must be max 200 characters" });
   }
 
+  // DOI is optional, but must be well-formed when given
+  if (doi && !isValidDoi(doi)) {
+    return res
+      .status(400)
+      .json({ message: "Invalid DOI. Expected a DOI like 10.1000/xyz123" });
+  }
+
   // Validate coAuthorCount if provided
   if (
     coAuthorCount !== undefined &&
@@ -103,6 +221,9 @@ const registerPublication = async (req, res) => {
     }
   }
 
+  // Stored file, removed again if the record can't be saved
+  let fileUploadResult = null;
+
   try {
     // Validate file upload
     if (!req.file) {
@@ -111,30 +232,28 @@ const registerPublication = async (req, res) => {
 
     console.log("Uploaded file:", req.file);
 
-    // Upload file to Cloudinary
-    console.log("Uploading file to ImageKit:", req.file.path);
-    const fileUploadResult = await UploadOnImageKit(req.file.path);
-
-    if (!fileUploadResult || !fileUploadResult.url) {
-      console.error("ImageKit upload failed");
-      // Clean up temp file if upload failed
-      if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-      return res.status(500).json({
-        message: "File upload to ImageKit failed",
-        error: "Please check ImageKit configuration",
+    // Registered journal: picked in the form, or recognised by its ISSN
+    let journal = null;
+    if (journalId) journal = await Journal.findById(journalId);
+    else if (isArticle) journal = await Journal.findByIssn(isbnIssn);
+    if (journalId && !journal) {
+      if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+      return res.status(400).json({
+        message: "Journal not found. Please provide a valid journal ID.",
       });
     }
 
-    console.log(
-      "File uploaded successfully to ImageKit:",
-      fileUploadResult.url
-    );
-
     // Create publication_date from month and year
     const publicationDate = new Date(yearNum, monthNum - 1, 1); // Month is 0-indexed in Date constructor
 
+    // Admins key in already-vetted records; everyone else goes through review
+    const actor = getRequestActor(req);
+    const isAdminUpload = actor && actor.model === "Admin";
+    const saveAsDraft = req.body.saveAsDraft === "true";
+    let status = "submitted";
+    if (isAdminUpload) status = "verified";
+    else if (saveAsDraft) status = "draft";
+
     // Create new publication
     const newPublication = new Publication({
       employeeId: employeeId.trim(),
@@ -142,21 +261,137 @@ const registerPublication = async (req, res) => {
       authorDeptId,
       department: authorDeptId, // FIX: Map authorDeptId to department
       journalType,
-      journalName: journalName.trim(),
+      journalName: journalName?.trim(),
       title: title.trim(),
       publicationMonth: publicationMonth.toString(),
       publicationYear: publicationYear.toString(),
       publication_date: publicationDate, // FIX: Set publication_date explicitly
-      isbnIssn: isbnIssn.toUpperCase(),
-      file_url: fileUploadResult.url,
-      coAuthors: coAuthors,
+      publicationType,
+      ...(detailField && { [detailField]: typeDetails }),
+      isbnIssn: isbnIssn ? isbnIssn.toUpperCase() : undefined,
+      doi: doi || undefined,
+      coAuthors: externalAuthors.map((entry) => entry.name).filter(Boolean),
       coAuthorCount: coAuthorCount ? parseInt(coAuthorCount) : 0,
+      status,
+      submittedAt: status === "submitted" ? new Date() : null,
+      reviewedAt: isAdminUpload ? new Date() : null,
+      reviewedBy: isAdminUpload ? actor.id : null,
+    });
+
+    // The journal's indexing replaces the self-declared type
+    if (journal) newPublication.applyJournal(journal);
+
+    // Type-specific details are checked before the file goes to storage
+    const validationError = newPublication.validateSync({
+      pathsToSkip: ["file_url"],
     });
+    if (validationError) throw validationError;
+
+    // ...and so are the external co-authors (a mistyped ORCID iD, say)
+    for (const entry of externalAuthors) {
+      if (!entry.contributorId) {
+        const contributorError = new ExternalContributor(entry).validateSync();
+        if (contributorError) throw contributorError;
+      } else if (
+        !(await ExternalContributor.exists({ _id: entry.contributorId }))
+      ) {
+        throw Object.assign(
+          new Error(`External contributor ${entry.contributorId} not found`),
+          { status: 404 }
+        );
+      }
+    }
+
+    // A DOI already on record (or in the trash) is refused before the
+    // file goes to storage
+    if (newPublication.doi) {
+      const existing = await Publication.findOne({ doi: newPublication.doi })
+        .withDeleted()
+        .select("title deletedAt")
+        .lean();
+      if (existing) {
+        if (fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
+        return res.status(400).json({
+          message: existing.deletedAt
+            ? `DOI ${newPublication.doi} belongs to a publication in the trash`
+            : `DOI ${newPublication.doi} already exists ("${existing.title}")`,
+          error: "Duplicate DOI",
+        });
+      }
+    }
+
+    // Checksum before upload - the upload helper removes the temp file
+    const checksum = await computeFileChecksum(req.file.path);
+
+    // Upload file to the configured storage provider
+    console.log("Uploading file to storage:", req.file.path);
+    fileUploadResult = await uploadFile(req.file.path, {
+      fileName: req.file.originalname,
+    });
+
+    if (!fileUploadResult || !fileUploadResult.url) {
+      console.error("Storage upload failed");
+      return res.status(500).json({
+        message: "File upload to storage failed",
+        error: "Please check storage configuration",
+      });
+    }
+
+    console.log("File uploaded successfully to storage:", fileUploadResult.url);
+    newPublication.file_url = fileUploadResult.url;
+
+    newPublication.addFileVersion(
+      {
+        url: fileUploadResult.url,
+        fileId: fileUploadResult.fileId,
+        provider: fileUploadResult.provider,
+        originalName: req.file.originalname,
+        size: req.file.size,
+        checksum,
+      },
+      actor
+    );
 
     console.log("Attempting to save publication:", newPublication);
     await newPublication.save();
     console.log("Publication saved successfully");
 
+    // Without its co-authors the record is incomplete: take it (and the
+    // upload) out again so the uploader can simply retry
+    try {
+      await addExternalAuthors(newPublication._id, externalAuthors);
+    } catch (error) {
+      await Authorship.deleteMany({ publication: newPublication._id })
+        .withDeleted()
+        .catch((cleanupError) =>
+          console.error("Error removing author links:", cleanupError)
+        );
+      await Publication.deleteOne({ _id: newPublication._id })
+        .withDeleted()
+        .catch((cleanupError) =>
+          console.error("Error removing publication:", cleanupError)
+        );
+      await deleteStoredFiles([
+        {
+          fileId: fileUploadResult.fileId,
+          provider: fileUploadResult.provider,
+        },
+      ]);
+      fileUploadResult = null;
+      throw error;
+    }
+
+    await PublicationRevision.record(newPublication, "create", actor);
+
+    // Same work already on record? Saved anyway, but the uploader is warned
+    // and the pair lands on the admin duplicates report.
+    const possibleDuplicates = await findPossibleDuplicates(newPublication);
+    await DuplicateFlag.recordMatches(
+      newPublication._id,
+      possibleDuplicates,
+      "upload"
+    );
+
     // Clean up temp file after successful upload
     if (fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
@@ -166,12 +401,19 @@ const registerPublication = async (req, res) => {
     const populatedPublication = await Publication.findById(newPublication._id)
       .populate("authorDeptId", "name")
       .populate("department", "name")
+      .populate("journal", "name printIssn eIssn")
+      .populate(AUTHORS_POPULATE)
       .exec();
 
     return res.status(201).json({
       message: "Publication registered successfully",
       publication: populatedPublication,
       file_url: fileUploadResult.url,
+      possibleDuplicates,
+      ...(possibleDuplicates.length > 0 && {
+        warning:
+          "This looks like a publication that is already registered. An admin will review the match.",
+      }),
     });
   } catch (error) {
     console.error("Error registering publication:", error);
@@ -179,6 +421,10 @@ const registerPublication = async (req, res) => {
 
     if (error.name === "ValidationError") {
       console.error("Validation errors:", error.errors);
+      // Rejected before the upload, so the temp file is still there
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
       return res.status(400).json({
         message: "Validation error",
         errors: error.errors,
@@ -186,11 +432,33 @@ const registerPublication = async (req, res) => {
       });
     }
 
-    // Handle duplicate key error
+    if (error.status) {
+      if (req.file && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    // Handle duplicate key error (a DOI saved since the check above)
     if (error.code === 11000) {
+      if (fileUploadResult) {
+        await deleteStoredFiles([
+          {
+            fileId: fileUploadResult.fileId,
+            provider: fileUploadResult.provider,
+          },
+        ]);
+      }
+      // An external co-author saved by someone else at the same moment
+      if (!error.keyPattern?.doi) {
+        return res.status(409).json({
+          message:
+            "A co-author was being added elsewhere at the same time. Please try again.",
+        });
+      }
       return res.status(400).json({
-        message: "Publication with this ISBN/ISSN already exists",
-        error: "Duplicate ISBN/ISSN",
+        message: "Publication with this DOI already exists",
+        error: "Duplicate DOI",
       });
     }
 
@@ -206,7 +474,7 @@ const registerPublication = async (req, res) => {
   }
 };
 const registerAuthor = async (req, res) => {
-  const { employee_id, author_name, password, department } = req.body;
+  const { employee_id, author_name, password, department, email } = req.body;
 
   // Validate required fields
   if (!employee_id || !author_name || !department || !password) {
@@ -223,6 +491,12 @@ const registerAuthor = async (req, res) => {
     });
   }
 
+  if (isOutsideDepartmentScope(req, department)) {
+    return res.status(403).json({
+      message: "You can only register authors in your own department",
+    });
+  }
+
   // Validate field lengths
   if (author_name.length > 100) {
     return res.status(400).json({
@@ -231,10 +505,9 @@ const registerAuthor = async (req, res) => {
   }
 
   try {
-    // Check if author already exists with this employee_id
-    const existingAuthor = await Author.findOne({
+    // One profile per employee, active or not
+    const existingAuthor = await AuthorProfile.findOne({
       employee_id: employeeIdNum,
-      isActive: true,
     });
 
     if (existingAuthor) {
@@ -256,14 +529,13 @@ const registerAuthor = async (req, res) => {
       });
     }
 
-    // Create new author (unassigned to any publication)
-    const newAuthor = new Author({
+    // Create the author's profile (not on any publication yet)
+    const newAuthor = new AuthorProfile({
       employee_id: employeeIdNum,
       author_name: author_name.trim(),
       password: password.trim(),
       department,
-      publication_id: null, // Explicitly set to null
-      author_order: null, // Explicitly set to null
+      email: email || null, // Optional; needed for password reset links
       isActive: true,
     });
 
@@ -280,6 +552,7 @@ const registerAuthor = async (req, res) => {
         employee_id: newAuthor.employee_id,
         author_name: newAuthor.author_name,
         department: newAuthor.department,
+        email: newAuthor.email,
         isActive: newAuthor.isActive,
         createdAt: newAuthor.createdAt,
       },
@@ -301,18 +574,6 @@ const registerAuthor = async (req, res) => {
       if (error.keyPattern?.employee_id) {
         message = `Employee ID ${error.keyValue?.employee_id} is already registered.`;
         errorType = "DUPLICATE_EMPLOYEE_ID";
-      } else if (
-        error.keyPattern?.publication_id &&
-        error.keyPattern?.author_order
-      ) {
-        message =
-          "Database index error: Cannot create multiple unassigned authors. This indicates a database configuration issue.";
-        errorType = "INDEX_CONFIGURATION_ERROR";
-
-        // Log additional info for debugging
-        console.log("CRITICAL: Problematic index still exists!");
-        console.log("This should not happen with proper partial indexes.");
-        console.log("Manual database intervention required.");
       }
 
       return res.status(400).json({
@@ -320,9 +581,6 @@ const registerAuthor = async (req, res) => {
         error: errorType,
         keyPattern: error.keyPattern,
         keyValue: error.keyValue,
-        ...(errorType === "INDEX_CONFIGURATION_ERROR" && {
-          solution: "Contact administrator to fix database indexes",
-        }),
       });
     }
 
@@ -359,8 +617,11 @@ const registerAuthor = async (req, res) => {
   }
 };
 // 2. ASSIGN AUTHOR TO PUBLICATION
+// Adds an Authorship linking the employee's profile to the publication at
+// `author_order`. Body: { employee_id, publication_id, author_order,
+// isCorresponding }
 const assignAuthorToPublication = async (req, res) => {
-  const { employee_id, publication_id, author_order, author_name, department } =
+  const { employee_id, publication_id, author_order, isCorresponding } =
     req.body;
 
   if (!employee_id || !publication_id || !author_order) {
@@ -378,46 +639,19 @@ const assignAuthorToPublication = async (req, res) => {
       });
     }
 
-    console.log("🔍 DEBUGGING: Starting assignment process for:", {
-      employee_id: employeeIdNum,
-      publication_id,
-      author_order,
-    });
-
-    // DIAGNOSTIC: Check for old problematic indexes
-    const indexes = await Author.collection.getIndexes();
-    const hasProblematicIndex = indexes.hasOwnProperty("employee_id_1");
-
-    if (hasProblematicIndex) {
-      console.log("❌ WARNING: Found problematic employee_id_1 index");
-      console.log(
-        "This index needs to be removed to allow multiple publications per employee"
-      );
-
-      // Try to remove the problematic index
-      try {
-        await Author.collection.dropIndex("employee_id_1");
-        console.log("✅ Successfully removed problematic employee_id_1 index");
-      } catch (indexError) {
-        console.log(
-          "⚠️ Could not remove employee_id_1 index:",
-          indexError.message
-        );
-        return res.status(500).json({
-          message: "Database index conflict. Please contact administrator.",
-          error: "INDEX_CONFLICT",
-        });
-      }
+    // Validate author order is positive integer
+    if (!Number.isInteger(author_order) || author_order < 1) {
+      return res.status(400).json({
+        message: "Author order must be a positive integer starting from 1",
+      });
     }
 
-    // Check if author exists in the system (registered author with no publication)
-    const existingAuthor = await Author.findOne({
+    const profile = await AuthorProfile.findOne({
       employee_id: employeeIdNum,
-      publication_id: null,
       isActive: true,
     });
 
-    if (!existingAuthor) {
+    if (!profile) {
       return res.status(404).json({
         message:
           "Author not found or not registered. Please register the author first.",
@@ -432,117 +666,79 @@ const assignAuthorToPublication = async (req, res) => {
       });
     }
 
-    // Check if author is already assigned to this publication
-    const existingAssignment = await Author.findOne({
-      employee_id: employeeIdNum,
-      publication_id,
-      isActive: true,
-    });
+    // Department admins may add anyone, but only to their department's work
+    if (isOutsideDepartmentScope(req, publication.department)) {
+      return res.status(403).json({
+        message: "You can only manage publications of your own department",
+      });
+    }
+
+    // Trashed authorships still hold their slot in the unique indexes
+    const existingAssignments = await Authorship.find({
+      publication: publication._id,
+    })
+      .withDeleted()
+      .populate("profile", "author_name employee_id");
 
+    const existingAssignment = existingAssignments.find((assignment) =>
+      assignment.profile?._id.equals(profile._id)
+    );
     if (existingAssignment) {
       return res.status(400).json({
         message: "Author is already assigned to this publication",
         existingAssignment: {
           id: existingAssignment._id,
-          author_order: existingAssignment.author_order,
+          author_order: existingAssignment.order,
         },
       });
     }
 
-    // Check if author order is already taken for this publication
-    const existingOrder = await Author.findOne({
-      publication_id,
-      author_order,
-      isActive: true,
-    });
-
+    const existingOrder = existingAssignments.find(
+      (assignment) => assignment.order === author_order
+    );
     if (existingOrder) {
       return res.status(400).json({
         message: `Author order ${author_order} is already taken for this publication`,
         conflictingAuthor: {
           id: existingOrder._id,
-          author_name: existingOrder.author_name,
-          employee_id: existingOrder.employee_id,
+          author_name: existingOrder.profile?.author_name,
+          employee_id: existingOrder.profile?.employee_id,
         },
       });
     }
 
-    // Validate author order is positive integer
-    if (!Number.isInteger(author_order) || author_order < 1) {
-      return res.status(400).json({
-        message: "Author order must be a positive integer starting from 1",
-      });
-    }
-
-    // FIXED: Create assignment without duplicating email
-    const authorAssignment = new Author({
-      employee_id: existingAuthor.employee_id,
-      author_name: author_name || existingAuthor.author_name,
-      password: existingAuthor.password,
-      department: department || existingAuthor.department,
-      publication_id,
-      author_order,
-      isActive: true,
-    });
-
-    console.log("🔍 DEBUGGING: About to save assignment:", {
-      employee_id: authorAssignment.employee_id,
-      publication_id: authorAssignment.publication_id,
-      author_order: authorAssignment.author_order,
+    const authorship = new Authorship({
+      profile: profile._id,
+      publication: publication._id,
+      order: author_order,
+      isCorresponding: isCorresponding === true || isCorresponding === "true",
     });
+    await authorship.save();
 
-    await authorAssignment.save();
-
-    console.log(
-      "✅ Author assignment saved successfully:",
-      authorAssignment._id
-    );
-
-    // Populate the response with department info
-    await authorAssignment.populate("department", "name");
-    await authorAssignment.populate("publication_id", "title");
+    await profile.populate("department", "name");
 
     return res.status(201).json({
       message: "Author assigned to publication successfully",
       assignment: {
-        id: authorAssignment._id,
-        employee_id: authorAssignment.employee_id,
-        author_name: authorAssignment.author_name,
-        department: authorAssignment.department,
-        publication: authorAssignment.publication_id,
-        author_order: authorAssignment.author_order,
-        isActive: authorAssignment.isActive,
-        createdAt: authorAssignment.createdAt,
+        id: authorship._id,
+        employee_id: profile.employee_id,
+        author_name: profile.author_name,
+        department: profile.department,
+        publication: { _id: publication._id, title: publication.title },
+        author_order: authorship.order,
+        isCorresponding: authorship.isCorresponding,
+        createdAt: authorship.createdAt,
       },
     });
   } catch (error) {
-    console.error("❌ Error assigning author to publication:", error);
+    console.error("Error assigning author to publication:", error);
 
-    // Handle specific MongoDB errors
+    // Two requests racing for the same author or position
     if (error.code === 11000) {
-      console.log("🔍 Duplicate key error details:");
-      console.log("- Key pattern:", error.keyPattern);
-      console.log("- Key value:", error.keyValue);
-
-      let message = "Duplicate assignment detected.";
-
-      // Handle different types of duplicate key errors
-      if (error.keyPattern?.employee_id) {
-        message = `Employee ID ${error.keyValue?.employee_id} constraint violation. There may be a problematic unique index on employee_id.`;
-      } else if (
-        error.keyPattern?.publication_id &&
-        error.keyPattern?.employee_id
-      ) {
-        message = "Author is already assigned to this publication.";
-      } else if (
-        error.keyPattern?.publication_id &&
-        error.keyPattern?.author_order
-      ) {
-        message = `Author order ${error.keyValue?.author_order} is already taken for this publication.`;
-      }
-
       return res.status(400).json({
-        message,
+        message: error.keyPattern?.order
+          ? `Author order ${error.keyValue?.order} is already taken for this publication.`
+          : "Author is already assigned to this publication.",
         error: "DUPLICATE_KEY_ERROR",
         keyPattern: error.keyPattern,
         keyValue: error.keyValue,
@@ -579,10 +775,9 @@ const assignAuthorToPublication = async (req, res) => {
 // 3. GET UNASSIGNED AUTHORS
 const getUnassignedAuthors = async (req, res) => {
   try {
-    const unassignedAuthors = await Author.find({
-      publication_id: null,
-      isActive: true,
-    }).select("employee_id author_name department");
+    const unassignedAuthors = await AuthorProfile.getUnassignedAuthors(
+      departmentScopeFilter(req)
+    );
 
     return res.status(200).json({
       message: "Unassigned authors retrieved successfully",
@@ -599,12 +794,12 @@ const getAuthorPublications = async (req, res) => {
   const { employee_id } = req.params;
 
   try {
-    const authorPublications = await Author.find({
-      employee_id,
-      publication_id: { $ne: null }, // Only get publication assignments
-    })
-      .populate("publication_id", "title journal_name publication_date")
-      .select("publication_id author_order role");
+    const profile = await AuthorProfile.findOne({ employee_id });
+    const authorPublications = profile
+      ? await Authorship.find({ profile: profile._id })
+          .populate("publication", "title journalName publication_date")
+          .select("publication order isCorresponding")
+      : [];
 
     return res.status(200).json({
       message: "Author publications retrieved successfully",
@@ -629,7 +824,16 @@ const registerDepartment = async (req, res) => {
       .json({ message: "Please provide all required fields" });
 
   try {
-    const existingDepartment = await Department.findOne({ name, university });
+    const existingDepartment = await Department.findOne({
+      name,
+      university,
+    }).withDeleted();
+    if (existingDepartment && existingDepartment.isDeleted())
+      return res.status(409).json({
+        message:
+          "A department with this name is in the trash. Restore it instead.",
+        department_id: existingDepartment._id,
+      });
     if (existingDepartment)
       return res.status(400).json({ message: "Department already exists" });
     const newDepartment = new Department({
@@ -647,10 +851,12 @@ const registerDepartment = async (req, res) => {
   }
 };
 
-// Enhanced admin registration controller with automatic session creation
+// Register another admin account (superadmins). The creator stays logged in
+// as themselves.
 const registerAdmin = async (req, res) => {
   try {
-    const { employee_id, fullname, email, password, role, phone } = req.body;
+    const { employee_id, fullname, email, password, role, phone, department } =
+      req.body;
 
     // Keep your original logging for debugging (remove in production)
     console.log("Admin registration attempt:", {
@@ -680,12 +886,33 @@ const registerAdmin = async (req, res) => {
     }
 
     // Role validation for security - prevent unauthorized role assignment
-    const allowedRoles = ["admin", "super-admin", "moderator"];
-    if (!allowedRoles.includes(role)) {
+    if (!ADMIN_ROLES.includes(role)) {
       return res.status(400).json({
         success: false,
         message: "Invalid role specified",
-        allowedRoles: allowedRoles,
+        allowedRoles: ADMIN_ROLES,
+      });
+    }
+
+    // Department admins manage one department, which must exist
+    if (role === "department-admin") {
+      if (!department) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide the department a department admin manages",
+        });
+      }
+      if (!(await Department.exists({ _id: department }))) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Department not found. Please provide a valid department ID.",
+        });
+      }
+    } else if (department) {
+      return res.status(400).json({
+        success: false,
+        message: "Only department admins are tied to a department",
       });
     }
 
@@ -721,8 +948,9 @@ const registerAdmin = async (req, res) => {
       employee_id,
       fullname: fullname.trim(), // Remove extra whitespace
       email: email.toLowerCase().trim(), // Normalize email
-      password, // Your model should handle hashing in pre-save hook
+      password, // Hashed by the Admin pre-save hook
       role,
+      department: role === "department-admin" ? department : null,
       phone: phone.trim(),
       isActive: true, // Explicitly set as active
     });
@@ -730,61 +958,28 @@ const registerAdmin = async (req, res) => {
     // Save admin to database
     const savedAdmin = await newAdmin.save();
 
-    // ===== AUTOMATIC SESSION CREATION =====
-    // This is the key enhancement - auto-login after registration
-    req.session.userId = savedAdmin._id;
-    req.session.userRole = savedAdmin.role;
-    req.session.userEmail = savedAdmin.email;
-    req.session.isAuthenticated = true;
-    req.session.lastAccessed = new Date();
-
-    // Set session expiration (24 hours) - can be configured
-    req.session.cookie.maxAge = 24 * 60 * 60 * 1000;
-
-    // Regenerate session ID for security (prevents session fixation)
-    req.session.regenerate((err) => {
-      if (err) {
-        console.error("Session regeneration error:", err);
-        // Continue anyway, session is still valid
-      }
-    });
-
     // Prepare response data - remove sensitive information
     const adminResponse = {
       _id: savedAdmin._id,
       fullname: savedAdmin.fullname,
       email: savedAdmin.email,
       role: savedAdmin.role,
+      department: savedAdmin.department,
+      permissions: getRolePermissions(savedAdmin.role),
       phone: savedAdmin.phone,
       isActive: savedAdmin.isActive,
       createdAt: savedAdmin.createdAt,
       updatedAt: savedAdmin.updatedAt,
     };
 
-    // Success response with session information
     return res.status(201).json({
       success: true,
-      message: "Admin registered and logged in successfully",
+      message: "Admin registered successfully",
       admin: adminResponse,
-      session: {
-        isLoggedIn: true,
-        sessionId: req.sessionID,
-        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
-        role: savedAdmin.role,
-      },
     });
   } catch (error) {
     console.error("Error registering admin:", error);
 
-    // Session cleanup if registration failed after session creation
-    if (req.session && req.session.userId) {
-      req.session.destroy((sessionErr) => {
-        if (sessionErr) {
-          console.error("Error cleaning up failed session:", sessionErr);
-        }
-      });
-    }
-
     // Handle specific MongoDB errors
     if (error.code === 11000) {
       // Duplicate key error
@@ -807,6 +1002,13 @@ const registerAdmin = async (req, res) => {
       });
     }
 
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${error.path}: ${error.value}`,
+      });
+    }
+
     // Generic server error
     return res.status(500).json({
       success: false,
@@ -841,16 +1043,23 @@ const loginAdmin = async (req, res) => {
       });
     }
 
+    // Locked out (this account or this IP)?
+    const loginKey = accountLoginKey("admin", email);
+    const lock = await getLoginLock(req, loginKey);
+    if (lock) return lockedOutResponse(res, lock);
+
     // Find admin by email and explicitly include password field
     const admin = await Admin.findOne({
       email: email.toLowerCase().trim(),
-    }).select("+password +role +isActive");
+    }).select("+password +role +isActive +sessionVersion");
 
     console.log("Admin found:", admin ? admin.email : "No admin found");
     console.log("Admin isActive:", admin ? admin.isActive : "N/A");
 
     // Check if admin exists
     if (!admin) {
+      const lockout = await recordFailedLogin(req, loginKey);
+      if (lockout) return lockedOutResponse(res, lockout);
       return res.status(401).json({
         success: false,
         message: "Invalid email or password", // Generic message for security
@@ -865,19 +1074,20 @@ const loginAdmin = async (req, res) => {
       });
     }
 
-    // Verify password - Direct string comparison since you're not using bcrypt
-    const isPasswordValid = admin.password === password;
-    // console.log(`Password validation for ${admin.email}: ${isPasswordValid}`);
-    //  console.log(`Stored password: ${admin.password}`);
-    //  console.log(`Provided password: ${password}`);
+    // Verify password against the bcrypt hash
+    const isPasswordValid = await admin.comparePassword(password);
 
     if (!isPasswordValid) {
+      const lockout = await recordFailedLogin(req, loginKey);
+      if (lockout) return lockedOutResponse(res, lockout);
       return res.status(401).json({
         success: false,
         message: "Invalid email or password", // Same message as user not found for security
       });
     }
 
+    await clearFailedLogins(loginKey);
+
     // Check if user is already logged in (optional check)
     if (req.session && req.session.userId) {
       console.log(
@@ -889,6 +1099,7 @@ const loginAdmin = async (req, res) => {
     req.session.userId = admin._id;
     req.session.userRole = admin.role;
     req.session.userEmail = admin.email;
+    req.session.sessionVersion = admin.sessionVersion;
     req.session.isAuthenticated = true;
     req.session.loginTime = new Date();
     req.session.lastAccessed = new Date();
@@ -910,6 +1121,7 @@ const loginAdmin = async (req, res) => {
       req.session.userId = admin._id;
       req.session.userRole = admin.role;
       req.session.userEmail = admin.email;
+      req.session.sessionVersion = admin.sessionVersion;
       req.session.isAuthenticated = true;
       req.session.loginTime = new Date();
       req.session.lastAccessed = new Date();
@@ -921,6 +1133,9 @@ const loginAdmin = async (req, res) => {
         fullname: admin.fullname,
         email: admin.email,
         role: admin.role,
+        department: admin.department,
+        // What the UI may offer (the server checks again on every request)
+        permissions: getRolePermissions(admin.role),
         phone: admin.phone,
         isActive: admin.isActive,
         createdAt: admin.createdAt,
@@ -1079,11 +1294,7 @@ const deleteUnassignedAuthor = async (req, res) => {
       });
     }
 
-    // Find only unassigned authors (publication_id is null)
-    const author = await Author.findOne({
-      employee_id,
-      publication_id: null, // Only unassigned authors
-    });
+    const author = await AuthorProfile.findOne({ employee_id });
 
     if (!author) {
       return res.status(404).json({
@@ -1092,10 +1303,16 @@ const deleteUnassignedAuthor = async (req, res) => {
       });
     }
 
+    if (isOutsideDepartmentScope(req, author.department)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only manage authors of your own department",
+      });
+    }
+
     // Check if author has any publication assignments
-    const hasAssignments = await Author.countDocuments({
-      employee_id,
-      publication_id: { $ne: null },
+    const hasAssignments = await Authorship.countDocuments({
+      profile: author._id,
     });
 
     if (hasAssignments > 0) {
@@ -1107,11 +1324,12 @@ const deleteUnassignedAuthor = async (req, res) => {
       });
     }
 
-    await Author.findByIdAndDelete(author._id);
+    // Move to the trash - purged after the retention period
+    await author.softDelete(getRequestActor(req));
 
     return res.status(200).json({
       success: true,
-      message: "Unassigned author deleted successfully",
+      message: "Unassigned author moved to trash",
       deletedAuthor: {
         employee_id: author.employee_id,
         author_name: author.author_name,
@@ -1156,11 +1374,11 @@ const deleteAdmin = async (req, res) => {
       });
     }
 
-    // Optional: Prevent deletion of super-admin (if you have role hierarchy)
-    if (admin.role === "super-admin") {
+    // Optional: Prevent deletion of superadmin (if you have role hierarchy)
+    if (admin.role === "superadmin") {
       return res.status(403).json({
         success: false,
-        message: "Cannot delete super-admin account",
+        message: "Cannot delete superadmin account",
       });
     }
 
@@ -1211,7 +1429,7 @@ const deleteDepartment = async (req, res) => {
     }
 
     // Check if department has associated authors
-    const authorsCount = await Author.countDocuments({
+    const authorsCount = await AuthorProfile.countDocuments({
       department: department_id,
     });
 
@@ -1239,11 +1457,12 @@ const deleteDepartment = async (req, res) => {
       university: department.university,
     };
 
-    await Department.findByIdAndDelete(department_id);
+    // Move to the trash - purged after the retention period
+    await department.softDelete(getRequestActor(req));
 
     return res.status(200).json({
       success: true,
-      message: "Department deleted successfully",
+      message: "Department moved to trash",
       deletedDepartment: deletedDepartmentInfo,
     });
   } catch (error) {
@@ -1259,7 +1478,9 @@ const deleteDepartment = async (req, res) => {
 // 4. DELETE PUBLICATION
 const deletePublication = async (req, res) => {
   try {
-    const { publication_id } = req.params;
+    // Accept the ID in the body like the other /private-data/delete routes
+    const publication_id =
+      req.params.publication_id || req.body?.publication_id;
 
     if (!publication_id) {
       return res.status(400).json({
@@ -1277,9 +1498,16 @@ const deletePublication = async (req, res) => {
       });
     }
 
+    if (isOutsideDepartmentScope(req, publication.department)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only manage publications of your own department",
+      });
+    }
+
     // Check if publication has associated authors
-    const associatedAuthors = await Author.find({
-      publication_id: publication_id,
+    const associatedAuthors = await Authorship.find({
+      publication: publication._id,
     });
 
     // Store publication info for response
@@ -1290,39 +1518,33 @@ const deletePublication = async (req, res) => {
       file_url: publication.file_url,
     };
 
-    // Delete associated author assignments first
+    const actor = getRequestActor(req);
+    // One timestamp for the publication and its assignments, so restoring the
+    // publication can bring back exactly the assignments trashed with it
+    const deletedAt = new Date();
+
+    // Trash associated author assignments first
     if (associatedAuthors.length > 0) {
-      await Author.deleteMany({ publication_id: publication_id });
+      await Authorship.softDeleteMany(
+        { publication: publication._id },
+        actor,
+        deletedAt
+      );
       console.log(
-        `Deleted ${associatedAuthors.length} author assignments for publication ${publication_id}`
+        `Trashed ${associatedAuthors.length} author assignments for publication ${publication_id}`
       );
     }
 
-    // Optional: Delete file from Cloudinary
-    if (publication.file_url) {
-      try {
-        // Extract public_id from Cloudinary URL for deletion
-        const urlParts = publication.file_url.split("/");
-        const publicIdWithExtension = urlParts[urlParts.length - 1];
-        const publicId = publicIdWithExtension.split(".")[0];
-
-        // You'll need to implement this function in your cloudinary utils
-        // await deleteFromCloudinary(publicId);
-        console.log(
-          `File deletion from Cloudinary needed for public_id: ${publicId}`
-        );
-      } catch (cloudinaryError) {
-        console.error("Error deleting file from Cloudinary:", cloudinaryError);
-        // Continue with publication deletion even if file deletion fails
-      }
-    }
+    // Keep a final snapshot so the record can be restored later
+    await PublicationRevision.record(publication, "delete", actor);
 
-    // Delete the publication
-    await Publication.findByIdAndDelete(publication_id);
+    // Move the publication to the trash. Stored PDFs are kept until the
+    // trash is purged so a restore gets its files back too.
+    await publication.softDelete(actor, deletedAt);
 
     return res.status(200).json({
       success: true,
-      message: "Publication deleted successfully",
+      message: "Publication moved to trash",
       deletedPublication: deletedPublicationInfo,
       removedAuthorAssignments: associatedAuthors.length,
     });
@@ -0,0 +1,32 @@
+import { DuplicateFlag, Publication } from "../models/index.js";
+import { findPossibleDuplicates } from "../utils/duplicateDetector.js";
+
+// Run the duplicate detector over every live publication and raise flags for
+// pairs not seen before. Catches records that predate the upload-time check
+// or were edited into a duplicate later. Dismissed pairs stay dismissed.
+const scanForDuplicates = async () => {
+  const report = { scanned: 0, matches: 0, newFlags: 0 };
+
+  const cursor = Publication.find()
+    .select(
+      "title journalName publicationYear isbnIssn doi authorName coAuthors"
+    )
+    .lean()
+    .cursor();
+
+  for await (const publication of cursor) {
+    report.scanned++;
+
+    const matches = await findPossibleDuplicates(publication);
+    report.matches += matches.length;
+    report.newFlags += await DuplicateFlag.recordMatches(
+      publication._id,
+      matches,
+      "scan"
+    );
+  }
+
+  return report;
+};
+
+export { scanForDuplicates };
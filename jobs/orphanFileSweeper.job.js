@@ -0,0 +1,74 @@
+import { Publication } from "../models/index.js";
+import {
+  getStorageDriverName,
+  listFiles,
+  deleteStoredFiles,
+} from "../utils/storage/index.js";
+
+// Files younger than this may belong to an upload whose publication is still
+// being saved, so they are never treated as orphans.
+const DEFAULT_MIN_AGE_HOURS = 24;
+
+// Every file ID and URL any Publication references (current file + versions).
+// Reads the raw collection so no query filters can hide a record.
+const getReferencedFiles = async () => {
+  const fileIds = new Set();
+  const urls = new Set();
+
+  const cursor = Publication.collection.find(
+    {},
+    { projection: { file_id: 1, file_url: 1, fileVersions: 1 } }
+  );
+
+  for await (const doc of cursor) {
+    if (doc.file_id) fileIds.add(doc.file_id);
+    if (doc.file_url) urls.add(doc.file_url);
+    for (const entry of doc.fileVersions || []) {
+      if (entry.fileId) fileIds.add(entry.fileId);
+      if (entry.url) urls.add(entry.url);
+    }
+  }
+
+  return { fileIds, urls };
+};
+
+// Reconcile stored files against Publication records.
+// Reports orphans by default; pass remove: true to delete them.
+const sweepOrphanFiles = async ({
+  provider = getStorageDriverName(),
+  remove = false,
+  minAgeHours = DEFAULT_MIN_AGE_HOURS,
+} = {}) => {
+  const startedAt = new Date();
+  const cutoff = new Date(Date.now() - minAgeHours * 60 * 60 * 1000);
+
+  const [storedFiles, referenced] = await Promise.all([
+    listFiles(provider),
+    getReferencedFiles(),
+  ]);
+
+  const orphans = storedFiles.filter(
+    (file) =>
+      !referenced.fileIds.has(file.fileId) &&
+      !referenced.urls.has(file.url) &&
+      (!file.createdAt || file.createdAt < cutoff)
+  );
+
+  const removal = remove ? await deleteStoredFiles(orphans) : null;
+
+  return {
+    provider,
+    startedAt,
+    finishedAt: new Date(),
+    minAgeHours,
+    scanned: storedFiles.length,
+    referenced: storedFiles.length - orphans.length,
+    orphanCount: orphans.length,
+    orphanBytes: orphans.reduce((total, file) => total + (file.size || 0), 0),
+    orphans,
+    removed: removal ? removal.deleted.length : 0,
+    failed: removal ? removal.failed : [],
+  };
+};
+
+export { sweepOrphanFiles };
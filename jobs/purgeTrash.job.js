@@ -0,0 +1,96 @@
+import {
+  AuthorProfile,
+  Authorship,
+  Department,
+  DuplicateFlag,
+  Publication,
+} from "../models/index.js";
+import { deleteStoredFiles } from "../utils/storage/index.js";
+
+// How long trashed records are kept before they are removed for good
+const getTrashRetentionDays = () =>
+  parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+const getPurgeDate = (deletedAt) =>
+  new Date(
+    new Date(deletedAt).getTime() +
+      getTrashRetentionDays() * 24 * 60 * 60 * 1000
+  );
+
+// Permanently remove trashed publications, authors and departments older than
+// the retention period. Publications take their stored PDFs and author
+// assignments with them; departments still referenced by anything are kept.
+const purgeTrash = async ({ retentionDays = getTrashRetentionDays() } = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+  const report = {
+    cutoff,
+    publications: 0,
+    authorAssignments: 0,
+    authors: 0,
+    departments: 0,
+    departmentsKept: 0,
+    files: { deleted: 0, failed: 0, skipped: 0 },
+  };
+
+  const publications = await Publication.find(expired)
+    .withDeleted()
+    .select("+fileVersions");
+
+  for (const publication of publications) {
+    const fileCleanup = await deleteStoredFiles(publication.getStoredFiles());
+    report.files.deleted += fileCleanup.deleted.length;
+    report.files.failed += fileCleanup.failed.length;
+    report.files.skipped += fileCleanup.skipped.length;
+
+    const assignments = await Authorship.deleteMany({
+      publication: publication._id,
+    }).withDeleted();
+    report.authorAssignments += assignments.deletedCount;
+
+    // Flags pointing at a record that no longer exists are meaningless
+    await DuplicateFlag.deleteMany({ publications: publication._id });
+
+    await Publication.deleteOne({ _id: publication._id }).withDeleted();
+    report.publications++;
+  }
+
+  // An author's links go with their profile, so none point at nothing
+  const expiredAuthors = await AuthorProfile.find(expired)
+    .withDeleted()
+    .distinct("_id");
+  if (expiredAuthors.length > 0) {
+    const links = await Authorship.deleteMany({
+      profile: { $in: expiredAuthors },
+    }).withDeleted();
+    report.authorAssignments += links.deletedCount;
+  }
+
+  const authors = await AuthorProfile.deleteMany({
+    _id: { $in: expiredAuthors },
+  }).withDeleted();
+  report.authors = authors.deletedCount;
+
+  const departments = await Department.find(expired).withDeleted();
+  for (const department of departments) {
+    const [authorCount, publicationCount] = await Promise.all([
+      AuthorProfile.countDocuments({
+        department: department._id,
+      }).withDeleted(),
+      Publication.countDocuments({ department: department._id }).withDeleted(),
+    ]);
+
+    if (authorCount > 0 || publicationCount > 0) {
+      report.departmentsKept++;
+      continue;
+    }
+
+    await Department.deleteOne({ _id: department._id }).withDeleted();
+    report.departments++;
+  }
+
+  return report;
+};
+
+export { purgeTrash, getTrashRetentionDays, getPurgeDate };
@@ -1,4 +1,28 @@
 import { Admin } from "../models/admin.model.js";
+import { AuthorProfile } from "../models/authorProfile.model.js";
+import {
+  ADMIN_ROLES,
+  getRequestRole,
+  hasPermission,
+} from "../utils/permissions.js";
+
+// Sessions started before the account was logged out everywhere (see
+// Admin.sessionVersion) are no longer valid
+const isSessionRevoked = (req, user) =>
+  (req.session.sessionVersion || 0) !== (user.sessionVersion || 0);
+
+const sessionRevokedResponse = (req, res) => {
+  req.session.destroy((err) => {
+    if (err) {
+      console.error("Error destroying session:", err);
+    }
+  });
+
+  return res.status(401).json({
+    success: false,
+    message: "Your session has ended. Please log in again.",
+  });
+};
 
 export const requireAdmin = async (req, res, next) => {
   try {
@@ -21,7 +45,9 @@ export const requireAdmin = async (req, res, next) => {
     }
 
     // Step 3: Fetch user from database using session data
-    const user = await Admin.findById(userId).select("+role +isActive");
+    const user = await Admin.findById(userId).select(
+      "+role +isActive +sessionVersion"
+    );
 
     if (!user) {
       // Step 4: Handle case where user exists in session but not in database
@@ -38,8 +64,8 @@ export const requireAdmin = async (req, res, next) => {
       });
     }
 
-    // Step 5: Verify admin role (FIXED: Changed || to &&)
-    if (user.role !== "admin" && user.role !== "super-admin") {
+    // Step 5: Verify admin role
+    if (!ADMIN_ROLES.includes(user.role)) {
       return res.status(403).json({
         success: false,
         message: "Access denied. Admin privileges required.",
@@ -61,6 +87,8 @@ export const requireAdmin = async (req, res, next) => {
       });
     }
 
+    if (isSessionRevoked(req, user)) return sessionRevokedResponse(req, res);
+
     // Step 7: Update session with fresh user data (optional but recommended)
     req.session.lastAccessed = new Date();
 
@@ -91,7 +119,9 @@ export const requireAuthentication = async (req, res, next) => {
     }
 
     // Verify user still exists
-    const user = await Admin.findById(req.session.userId);
+    const user = await Admin.findById(req.session.userId).select(
+      "+sessionVersion"
+    );
     if (!user) {
       req.session.destroy();
       return res.status(401).json({
@@ -109,6 +139,8 @@ export const requireAuthentication = async (req, res, next) => {
       });
     }
 
+    if (isSessionRevoked(req, user)) return sessionRevokedResponse(req, res);
+
     req.user = user;
     next();
   } catch (error) {
@@ -118,3 +150,153 @@ export const requireAuthentication = async (req, res, next) => {
     });
   }
 };
+
+// Author (faculty) session guard - mirrors requireAdmin but for Author accounts
+export const requireAuthor = async (req, res, next) => {
+  try {
+    if (!req.session) {
+      return res.status(500).json({
+        success: false,
+        message: "Session middleware not configured properly",
+      });
+    }
+
+    const authorId = req.session.authorId;
+
+    if (!authorId) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required. Please log in as an author first.",
+      });
+    }
+
+    const author = await AuthorProfile.findById(authorId).select(
+      "-password +sessionVersion"
+    );
+
+    if (!author) {
+      req.session.destroy((err) => {
+        if (err) {
+          console.error("Error destroying session:", err);
+        }
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid session. Please log in again.",
+      });
+    }
+
+    if (author.isActive === false) {
+      req.session.destroy((err) => {
+        if (err) {
+          console.error("Error destroying session:", err);
+        }
+      });
+
+      return res.status(403).json({
+        success: false,
+        message: "Account is deactivated. Please contact administrator.",
+      });
+    }
+
+    if (isSessionRevoked(req, author)) return sessionRevokedResponse(req, res);
+
+    req.session.lastAccessed = new Date();
+    req.author = author;
+    next();
+  } catch (error) {
+    console.error("Author middleware error:", error);
+
+    return res.status(500).json({
+      success: false,
+      message: "Server error during authorization",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+};
+
+// Either an admin or an author session is accepted (e.g. editing a publication).
+// Sets req.user for admins and req.author for authors.
+export const requireAdminOrAuthor = (req, res, next) => {
+  if (req.session && req.session.userId) {
+    return requireAuthentication(req, res, next);
+  }
+
+  if (req.session && req.session.authorId) {
+    return requireAuthor(req, res, next);
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: "Authentication required. Please log in first.",
+  });
+};
+
+// Route guard by named permission (see utils/permissions.js), for admin and
+// author sessions alike. With several permissions, all are required.
+// Department admins pass here; the controllers keep them to their department.
+// The guard carries its permissions so test/routeGuards.test.js can
+// read them back.
+export const requirePermission = (...permissions) => {
+  const checkPermissions = (req, res, next) => {
+    const role = getRequestRole(req);
+    const missing = permissions.filter(
+      (permission) => !hasPermission(role, permission)
+    );
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to do this",
+        missingPermissions: missing,
+      });
+    }
+    next();
+  };
+
+  const permissionGuard = (req, res, next) =>
+    requireAdminOrAuthor(req, res, () => checkPermissions(req, res, next));
+  permissionGuard.permissions = permissions;
+  return permissionGuard;
+};
+
+// "GET /publications/:id/related" -> method and a regex for the path
+const compileRoute = (route) => {
+  const [method, path] = route.split(" ");
+  const pattern = path
+    .split("/")
+    .map((part) =>
+      part.startsWith(":")
+        ? "[^/]+"
+        : part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+    )
+    .join("/");
+  return { method, regex: new RegExp(`^${pattern}/?$`, "i") };
+};
+
+// Deny by default: mounted ahead of every route, it turns away requests
+// without a session unless the route is on the public allowlist. A route
+// added without a guard is therefore still closed to anonymous visitors;
+// the route's own guard then decides who of the logged-in users may use it.
+export const requireLoginUnlessPublic = (publicRoutes) => {
+  const allowlist = publicRoutes.map(compileRoute);
+
+  const denyUnlessPublic = (req, res, next) => {
+    // HEAD is answered by GET routes
+    const method = req.method === "HEAD" ? "GET" : req.method;
+    const isPublic = allowlist.some(
+      (route) => route.method === method && route.regex.test(req.path)
+    );
+    if (isPublic) return next();
+
+    if (req.session && (req.session.userId || req.session.authorId)) {
+      return next();
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: "Authentication required. Please log in first.",
+    });
+  };
+  return denyUnlessPublic;
+};
@@ -32,3 +32,50 @@ export const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
 });
+
+// Accept files by extension. Browsers report CSV/BibTeX/RIS under all sorts
+// of MIME types, so the extension decides.
+const extensionFileFilter = (extensions, message) => (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (extensions.includes(extension)) {
+    cb(null, true);
+  } else {
+    cb(new Error(message), false);
+  }
+};
+
+// Spreadsheets for bulk imports (CSV/XLSX)
+export const spreadsheetUpload = multer({
+  storage,
+  fileFilter: extensionFileFilter(
+    [".csv", ".xlsx"],
+    "Only CSV or XLSX files are allowed!"
+  ),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+});
+
+// Journal indexing lists (CSV/XLSX) - much longer than publication imports
+export const indexingListUpload = multer({
+  storage,
+  fileFilter: extensionFileFilter(
+    [".csv", ".xlsx"],
+    "Only CSV or XLSX files are allowed!"
+  ),
+  limits: {
+    fileSize: 25 * 1024 * 1024, // 25MB limit
+  },
+});
+
+// Reference manager exports (BibTeX/RIS)
+export const citationUpload = multer({
+  storage,
+  fileFilter: extensionFileFilter(
+    [".bib", ".ris"],
+    "Only BibTeX (.bib) or RIS (.ris) files are allowed!"
+  ),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+});
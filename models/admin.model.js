@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { hashPasswordOnSave, comparePassword } from "../utils/password.js";
+import { ADMIN_ROLES } from "../utils/permissions.js";
 
 const adminSchema = new mongoose.Schema({
   employee_id: {
@@ -19,11 +21,27 @@ const adminSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // What the admin may do - see utils/permissions.js
   role: {
     type: String,
-    enum: ["superadmin", "admin"],
+    enum: {
+      values: ADMIN_ROLES,
+      message: `Role must be one of: ${ADMIN_ROLES.join(", ")}`,
+    },
     required: true,
   },
+  // The only department a department admin manages
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+    default: null,
+    required: [
+      function () {
+        return this.role === "department-admin";
+      },
+      "A department admin needs a department",
+    ],
+  },
   phone: {
     type: String,
     required: true,
@@ -32,6 +50,30 @@ const adminSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Sessions remember the version they were started with; bumping it logs
+  // the admin out everywhere (deactivation, password reset)
+  sessionVersion: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
 });
 
+// Hash plaintext passwords before they hit the database
+adminSchema.pre("save", hashPasswordOnSave);
+
+adminSchema.methods.comparePassword = function (plainPassword) {
+  return comparePassword(plainPassword, this.password);
+};
+
+// Ends every session of this admin once saved. Load with +sessionVersion.
+adminSchema.methods.endSessions = function () {
+  this.sessionVersion = (this.sessionVersion || 0) + 1;
+};
+
+// Superadmins who can still log in - there must always be one
+adminSchema.statics.countActiveSuperadmins = function () {
+  return this.countDocuments({ role: "superadmin", isActive: true });
+};
+
 export const Admin = mongoose.model("Admin", adminSchema);
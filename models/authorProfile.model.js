@@ -0,0 +1,128 @@
+import { mongoose, Schema } from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.plugin.js";
+import { hashPasswordOnSave, comparePassword } from "../utils/password.js";
+
+// One profile (and login account) per employee. Which publications they are
+// an author of lives in Authorship.
+const authorProfileSchema = new Schema(
+  {
+    employee_id: {
+      type: Number,
+      required: [true, "Employee ID is required"],
+      min: [1, "Employee ID must be a positive number"],
+    },
+    author_name: {
+      type: String,
+      required: [true, "Author name is required"],
+      trim: true,
+      maxLength: [100, "Author name must be max 100 characters"],
+    },
+    password: {
+      type: String,
+      required: true,
+    },
+    department: {
+      type: Schema.Types.ObjectId,
+      ref: "Department",
+      required: [true, "Department is required!"],
+    },
+    // Where password reset links go; authors without one ask an admin
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Please provide a valid email"],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Bumped to log the author out everywhere (see Admin.sessionVersion)
+    sessionVersion: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// One live profile per employee. A trashed profile doesn't block
+// registering the employee again.
+authorProfileSchema.index(
+  { employee_id: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { deletedAt: { $type: "null" } },
+  }
+);
+
+// For searching authors by name
+authorProfileSchema.index({ author_name: 1, employee_id: 1 });
+
+// For department-based queries
+authorProfileSchema.index({ department: 1 });
+
+// For password reset requests
+authorProfileSchema.index({ email: 1 });
+
+// Publications this author is on, in no particular order
+authorProfileSchema.virtual("authorships", {
+  ref: "Authorship",
+  localField: "_id",
+  foreignField: "profile",
+});
+
+// Virtual to get author's basic profile
+authorProfileSchema.virtual("basicProfile").get(function () {
+  return {
+    name: this.author_name,
+    department: this.department,
+    employee_id: this.employee_id,
+  };
+});
+
+// Profiles not on any publication yet
+// `filter` narrows the list further, e.g. to one department
+authorProfileSchema.statics.getUnassignedAuthors = async function (
+  filter = {}
+) {
+  const assigned = await mongoose.model("Authorship").distinct("profile");
+  return this.find({ ...filter, _id: { $nin: assigned }, isActive: true })
+    .select("author_name department employee_id")
+    .sort({ author_name: 1 });
+};
+
+authorProfileSchema.statics.searchAuthorsByName = function (authorName) {
+  return this.find({
+    author_name: { $regex: authorName, $options: "i" },
+    isActive: true,
+  })
+    .sort({ author_name: 1 })
+    .select("author_name department employee_id");
+};
+
+// Hash plaintext passwords before they hit the database
+authorProfileSchema.pre("save", hashPasswordOnSave);
+
+authorProfileSchema.methods.comparePassword = function (plainPassword) {
+  return comparePassword(plainPassword, this.password);
+};
+
+// Ends every session of this author once saved. Load with +sessionVersion.
+authorProfileSchema.methods.endSessions = function () {
+  this.sessionVersion = (this.sessionVersion || 0) + 1;
+};
+
+// Deleted records go to the trash (deletedAt) instead of being removed
+authorProfileSchema.plugin(softDeletePlugin);
+
+// Registered as "Author": that name is stored in every refPath that points
+// at an author (changedByModel, deletedByModel...) and in the actor of
+// logged-in faculty
+export const AuthorProfile = mongoose.model("Author", authorProfileSchema);
@@ -0,0 +1,184 @@
+import { mongoose, Schema } from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.plugin.js";
+
+// One place on a publication's author list: a registered author (profile)
+// or someone from outside the university (contributor), never both
+const authorshipSchema = new Schema(
+  {
+    profile: {
+      type: Schema.Types.ObjectId,
+      ref: "Author",
+      default: null,
+      index: true,
+    },
+    contributor: {
+      type: Schema.Types.ObjectId,
+      ref: "ExternalContributor",
+      default: null,
+      index: true,
+    },
+    publication: {
+      type: Schema.Types.ObjectId,
+      ref: "Publication",
+      required: [true, "Publication is required"],
+    },
+    // Position in the author list, 1 = first author
+    order: {
+      type: Number,
+      required: [true, "Author order is required"],
+      min: [1, "Author order must start from 1"],
+      validate: {
+        validator: Number.isInteger,
+        message: "Author order must be an integer",
+      },
+    },
+    isCorresponding: {
+      type: Boolean,
+      default: false,
+    },
+    // "These authors contributed equally" (co-first authors and the like)
+    equalContribution: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// An author appears once per publication, and each position once. Trashed
+// authorships keep their slot so a restore can't clash.
+authorshipSchema.index(
+  { publication: 1, profile: 1 },
+  { unique: true, partialFilterExpression: { profile: { $type: "objectId" } } }
+);
+authorshipSchema.index(
+  { publication: 1, contributor: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { contributor: { $type: "objectId" } },
+  }
+);
+authorshipSchema.index({ publication: 1, order: 1 }, { unique: true });
+
+authorshipSchema.pre("validate", function (next) {
+  if (!this.profile === !this.contributor) {
+    this.invalidate(
+      "profile",
+      "An author is either a registered author or an external contributor"
+    );
+  }
+  next();
+});
+
+// Name as it appears on the author list (profile/contributor populated)
+authorshipSchema.virtual("displayName").get(function () {
+  return this.profile?.author_name || this.contributor?.name || null;
+});
+
+authorshipSchema.virtual("isExternal").get(function () {
+  return !!this.contributor;
+});
+
+const syncPublication = async (publicationId) => {
+  try {
+    await mongoose.model("Publication").syncAuthorList(publicationId);
+  } catch (error) {
+    console.error("Error updating the publication's author list:", error);
+  }
+};
+
+// Keep Publication.coAuthorCount/coAuthors in step with single-document
+// changes; bulk changes call Publication.syncAuthorList themselves
+authorshipSchema.post("save", async function () {
+  await syncPublication(this.publication);
+});
+
+authorshipSchema.post("findOneAndDelete", async function (doc) {
+  if (doc) await syncPublication(doc.publication);
+});
+
+// Authorships of a publication in author order, with who they are
+authorshipSchema.statics.getByPublication = function (publicationId) {
+  return this.find({ publication: publicationId })
+    .sort({ order: 1 })
+    .populate("profile", "author_name employee_id department")
+    .populate("contributor", "name affiliation email orcid country");
+};
+
+// Put a publication's authors in the given order: Authorship ids, every
+// live link exactly once. The unique { publication, order } index rules out
+// moving positions one at a time, so all links first step aside to
+// temporary negative positions, then take their new ones. Trashed links go
+// after the live ones. Both passes run in one transaction, so nobody sees
+// the temporary positions and a failure leaves the old order in place
+// (needs a replica set, as Atlas has).
+authorshipSchema.statics.reorder = async function (publicationId, orderedIds) {
+  const links = await this.find({ publication: publicationId })
+    .withDeleted()
+    .select("order deletedAt");
+
+  const live = links.filter((link) => !link.deletedAt);
+  const ids = orderedIds.map(String);
+  const known = new Set(live.map((link) => String(link._id)));
+  if (
+    ids.length !== live.length ||
+    new Set(ids).size !== ids.length ||
+    !ids.every((id) => known.has(id))
+  ) {
+    throw Object.assign(
+      new Error("The new order must list every author of the publication once"),
+      { status: 400 }
+    );
+  }
+
+  const trashed = links
+    .filter((link) => link.deletedAt)
+    .sort((a, b) => a.order - b.order)
+    .map((link) => String(link._id));
+  const position = new Map(
+    [...ids, ...trashed].map((id, index) => [id, index + 1])
+  );
+
+  const moveTo = (positions, session) =>
+    this.bulkWrite(
+      [
+        ...links.map((link, index) => ({
+          updateOne: {
+            filter: { _id: link._id },
+            update: { $set: { order: -(index + 1) } },
+          },
+        })),
+        ...links.map((link) => ({
+          updateOne: {
+            filter: { _id: link._id },
+            update: { $set: { order: positions.get(String(link._id)) } },
+          },
+        })),
+      ],
+      { ordered: true, session }
+    );
+
+  // A concurrent change to the list aborts the transaction; withTransaction
+  // retries it
+  const session = await this.db.startSession();
+  try {
+    await session.withTransaction(() => moveTo(position, session));
+  } finally {
+    await session.endSession();
+  }
+
+  await syncPublication(publicationId);
+};
+
+authorshipSchema.methods.isPrimary = function () {
+  return this.order === 1;
+};
+
+// Deleted records go to the trash (deletedAt) instead of being removed
+authorshipSchema.plugin(softDeletePlugin);
+
+export const Authorship = mongoose.model("Authorship", authorshipSchema);
@@ -1,5 +1,6 @@
 // department.model.js
 import mongoose from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.plugin.js";
 
 const departmentSchema = new mongoose.Schema(
   {
@@ -22,4 +23,7 @@ const departmentSchema = new mongoose.Schema(
   }
 );
 
+// Deleted records go to the trash (deletedAt) instead of being removed
+departmentSchema.plugin(softDeletePlugin);
+
 export const Department = mongoose.model("Department", departmentSchema);
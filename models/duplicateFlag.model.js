@@ -0,0 +1,116 @@
+import { mongoose, Schema } from "mongoose";
+
+// A pair of publications that look like the same work entered twice.
+// Raised at upload/import time and by the scan job; an admin either merges
+// the pair or dismisses it. Dismissed pairs are never raised again.
+const duplicateFlagSchema = new Schema(
+  {
+    // Always stored in ascending id order so a pair has one flag
+    publications: {
+      type: [{ type: Schema.Types.ObjectId, ref: "Publication" }],
+      validate: {
+        validator: (ids) => ids.length === 2,
+        message: "A duplicate flag links exactly two publications",
+      },
+      index: true,
+    },
+    pairKey: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    score: {
+      type: Number,
+      min: 0,
+      max: 1,
+      required: true,
+    },
+    reasons: {
+      type: [String],
+      default: [],
+    },
+    // Where the pair was spotted
+    detectedBy: {
+      type: String,
+      enum: ["upload", "import", "scan"],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "dismissed", "merged"],
+      default: "open",
+      index: true,
+    },
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+      refPath: "resolvedByModel",
+      default: null,
+    },
+    resolvedByModel: {
+      type: String,
+      enum: ["Admin", "Author"],
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    resolutionNote: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // Publication that was kept when the pair was merged
+    mergedInto: {
+      type: Schema.Types.ObjectId,
+      ref: "Publication",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const toPair = (a, b) => [String(a), String(b)].sort();
+
+// Flag `publicationId` against each detector match
+// ([{ publication: { _id }, score, reasons }]). Existing flags - including
+// dismissed ones - are left untouched. Returns how many new flags were raised.
+duplicateFlagSchema.statics.recordMatches = async function (
+  publicationId,
+  matches,
+  detectedBy
+) {
+  if (!matches || matches.length === 0) return 0;
+
+  const result = await this.bulkWrite(
+    matches.map(({ publication, score, reasons }) => {
+      const pair = toPair(publicationId, publication._id);
+      return {
+        updateOne: {
+          filter: { pairKey: pair.join(":") },
+          update: {
+            $setOnInsert: {
+              publications: pair,
+              pairKey: pair.join(":"),
+              score,
+              reasons,
+              detectedBy,
+              status: "open",
+            },
+          },
+          upsert: true,
+        },
+      };
+    }),
+    { ordered: false }
+  );
+
+  return result.upsertedCount;
+};
+
+export const DuplicateFlag = mongoose.model(
+  "DuplicateFlag",
+  duplicateFlagSchema
+);
@@ -0,0 +1,86 @@
+import { mongoose, Schema } from "mongoose";
+import { normalizeOrcid } from "../utils/identifiers.js";
+
+// A co-author from outside the university. Sits on publication author lists
+// next to registered authors (see Authorship.contributor).
+const externalContributorSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Contributor name is required"],
+      trim: true,
+      maxLength: [100, "Contributor name must be max 100 characters"],
+    },
+    affiliation: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Affiliation must be max 200 characters"],
+      default: null,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, "Invalid email address"],
+      default: null,
+    },
+    orcid: {
+      type: String,
+      // Keep unparseable input so the validator can reject it
+      set: (v) => normalizeOrcid(v) || (v ? String(v).trim() : null),
+      validate: {
+        validator: (v) => !v || normalizeOrcid(v) === v,
+        message:
+          "Invalid ORCID iD. Expected one like 0000-0002-1825-0097 with a valid check digit",
+      },
+      default: null,
+    },
+    country: {
+      type: String,
+      trim: true,
+      maxLength: [100, "Country must be max 100 characters"],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// An ORCID iD belongs to one person
+externalContributorSchema.index(
+  { orcid: 1 },
+  { unique: true, partialFilterExpression: { orcid: { $type: "string" } } }
+);
+externalContributorSchema.index({ name: 1 });
+externalContributorSchema.index({ email: 1 });
+
+// Publications this contributor is on
+externalContributorSchema.virtual("authorships", {
+  ref: "Authorship",
+  localField: "_id",
+  foreignField: "contributor",
+});
+
+// Name, email or ORCID search for picking an existing contributor
+externalContributorSchema.statics.search = function (query, limit = 10) {
+  const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const orcid = normalizeOrcid(query);
+  return this.find({
+    $or: [
+      { name: { $regex: escaped, $options: "i" } },
+      { email: { $regex: escaped, $options: "i" } },
+      ...(orcid ? [{ orcid }] : []),
+    ],
+  })
+    .sort({ name: 1 })
+    .limit(limit)
+    .select("name affiliation email orcid country");
+};
+
+export const ExternalContributor = mongoose.model(
+  "ExternalContributor",
+  externalContributorSchema
+);
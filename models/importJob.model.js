@@ -0,0 +1,120 @@
+import { mongoose, Schema } from "mongoose";
+
+// Outcome of one spreadsheet row or citation entry. "valid"/"invalid" come
+// from the dry run; "imported"/"failed"/"skipped" (not selected) from the commit.
+const importRowSchema = new Schema(
+  {
+    rowNumber: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ["valid", "invalid", "imported", "failed", "skipped"],
+      required: true,
+    },
+    issues: [
+      {
+        _id: false,
+        field: { type: String, default: null },
+        message: { type: String, required: true },
+      },
+    ],
+    warnings: { type: [String], default: [] },
+    // Publication fields as they will be saved (department already resolved)
+    data: { type: Schema.Types.Mixed, default: null },
+    publication: {
+      type: Schema.Types.ObjectId,
+      ref: "Publication",
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const importJobSchema = new Schema(
+  {
+    format: {
+      type: String,
+      enum: ["csv", "xlsx", "bibtex", "ris"],
+      required: true,
+    },
+    originalName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    // validated = dry run done, waiting for commit; committing = a commit
+    // request is saving the rows right now; failed = the commit broke off
+    // after creating publications, so it can't be run again
+    status: {
+      type: String,
+      enum: ["validated", "committing", "committed", "failed"],
+      default: "validated",
+      index: true,
+    },
+    createdBy: {
+      type: Schema.Types.ObjectId,
+      refPath: "createdByModel",
+      default: null,
+    },
+    createdByModel: {
+      type: String,
+      enum: ["Admin", "Author"],
+      default: null,
+    },
+    committedAt: {
+      type: Date,
+      default: null,
+    },
+    summary: {
+      total: { type: Number, default: 0 },
+      valid: { type: Number, default: 0 },
+      invalid: { type: Number, default: 0 },
+      imported: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      skipped: { type: Number, default: 0 },
+    },
+    rows: {
+      type: [importRowSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Recount the summary from the row statuses
+importJobSchema.methods.refreshSummary = function () {
+  const count = (status) =>
+    this.rows.filter((row) => row.status === status).length;
+
+  this.summary = {
+    total: this.rows.length,
+    valid: count("valid"),
+    invalid: count("invalid"),
+    imported: count("imported"),
+    failed: count("failed"),
+    skipped: count("skipped"),
+  };
+
+  return this.summary;
+};
+
+// Claim a validated import for committing, in one write. When two commit
+// requests race (a double click), only the first gets true back.
+importJobSchema.statics.claimForCommit = async function (id) {
+  const result = await this.updateOne(
+    { _id: id, status: "validated" },
+    { $set: { status: "committing" } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Hand a claimed import back when its commit failed, so it can be retried
+importJobSchema.statics.releaseCommit = function (id) {
+  return this.updateOne(
+    { _id: id, status: "committing" },
+    { $set: { status: "validated" } }
+  );
+};
+
+export const ImportJob = mongoose.model("ImportJob", importJobSchema);
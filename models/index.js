@@ -1,7 +1,30 @@
-import { Author } from "./author.model.js";
+import { AuthorProfile } from "./authorProfile.model.js";
+import { Authorship } from "./authorship.model.js";
 import { Publication } from "./publication.model.js";
 import { Department } from "./department.model.js";
 import { Admin } from "./admin.model.js";
+import { PublicationRevision } from "./publicationRevision.model.js";
+import { ImportJob } from "./importJob.model.js";
+import { DuplicateFlag } from "./duplicateFlag.model.js";
+import { Journal } from "./journal.model.js";
+import { ExternalContributor } from "./externalContributor.model.js";
+import { PasswordResetToken } from "./passwordResetToken.model.js";
+import { LoginAttempt } from "./loginAttempt.model.js";
+import { SecurityEvent } from "./securityEvent.model.js";
 
 // Import Mongoose and define the schema for each model
-export { Author, Publication, Department, Admin };
+export {
+  AuthorProfile,
+  Authorship,
+  Publication,
+  Department,
+  Admin,
+  PublicationRevision,
+  ImportJob,
+  DuplicateFlag,
+  Journal,
+  ExternalContributor,
+  PasswordResetToken,
+  LoginAttempt,
+  SecurityEvent,
+};
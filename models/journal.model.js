@@ -0,0 +1,213 @@
+import { mongoose, Schema } from "mongoose";
+import { isValidIssn, normalizeIssn } from "../utils/identifiers.js";
+import { normalizeTitle } from "../utils/similarity.js";
+
+// Indexing lists a journal can be on, strongest first. Same values as
+// Publication.journalType (minus "OTHER"), which is derived from them.
+export const INDEXING_LISTS = [
+  "SCI/ESCI",
+  "WEB OF SCIENCE",
+  "SCOPUS",
+  "UGC CARE",
+  "ICI",
+];
+
+const issnField = (label) => ({
+  type: String,
+  // Keep unparseable input so the validator can reject it
+  set: (v) => normalizeIssn(v) || (v ? String(v).trim() : undefined),
+  validate: {
+    validator: (v) => isValidIssn(v),
+    message: `Invalid ${label}. Expected an ISSN like 0317-8471 with a valid check digit`,
+  },
+});
+
+// Membership of one indexing list. validTo = null means still listed;
+// validFrom = null means listed since before we have records.
+const indexingSchema = new Schema(
+  {
+    list: {
+      type: String,
+      enum: {
+        values: INDEXING_LISTS,
+        message: `Indexing list must be one of: ${INDEXING_LISTS.join(", ")}`,
+      },
+      required: true,
+    },
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+    validTo: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (v) {
+          return !v || !this.validFrom || v >= this.validFrom;
+        },
+        message: "Indexing end date must be after its start date",
+      },
+    },
+    // "import" = from an uploaded indexing list
+    source: {
+      type: String,
+      enum: ["manual", "import"],
+      default: "manual",
+    },
+  },
+  { _id: false }
+);
+
+const journalSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Journal name is required"],
+      trim: true,
+      maxLength: [200, "Journal name must be max 200 characters"],
+    },
+    // Other spellings seen for the same journal (abbreviations, old names)
+    alternateNames: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+    // Normalized name + alternate names, for lookups by name
+    nameKeys: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    printIssn: issnField("print ISSN"),
+    eIssn: issnField("e-ISSN"),
+    publisher: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Publisher must be max 200 characters"],
+      default: null,
+    },
+    indexing: {
+      type: [indexingSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// An ISSN belongs to one journal
+journalSchema.index(
+  { printIssn: 1 },
+  { unique: true, partialFilterExpression: { printIssn: { $type: "string" } } }
+);
+journalSchema.index(
+  { eIssn: 1 },
+  { unique: true, partialFilterExpression: { eIssn: { $type: "string" } } }
+);
+
+journalSchema.pre("validate", function () {
+  this.nameKeys = [
+    ...new Set(
+      [this.name, ...this.alternateNames]
+        .map((name) => normalizeTitle(name || ""))
+        .filter(Boolean)
+    ),
+  ];
+});
+
+// Indexing lists the journal was on at `date`
+journalSchema.methods.getIndexingOn = function (date = new Date()) {
+  return this.indexing.filter(
+    (entry) =>
+      (!entry.validFrom || entry.validFrom <= date) &&
+      (!entry.validTo || entry.validTo >= date)
+  );
+};
+
+// Publication.journalType for a paper published on `date`: the strongest
+// list the journal was on at the time
+journalSchema.methods.getJournalType = function (date = new Date()) {
+  const lists = this.getIndexingOn(date).map((entry) => entry.list);
+  return INDEXING_LISTS.find((list) => lists.includes(list)) || "OTHER";
+};
+
+journalSchema.virtual("currentIndexing").get(function () {
+  return [...new Set(this.getIndexingOn().map((entry) => entry.list))];
+});
+
+journalSchema.statics.findByIssn = async function (issn) {
+  const normalized = normalizeIssn(issn);
+  if (!normalized) return null;
+  return this.findOne({
+    $or: [{ printIssn: normalized }, { eIssn: normalized }],
+  });
+};
+
+journalSchema.statics.findByName = async function (name) {
+  const key = normalizeTitle(name || "");
+  if (!key) return null;
+  return this.findOne({ nameKeys: key });
+};
+
+// Re-derive journalName/journalType on every publication linked to the
+// journal, e.g. after its name or indexing changed. Returns how many changed.
+journalSchema.statics.syncPublications = async function (journal) {
+  const Publication = mongoose.model("Publication");
+  const publications = await Publication.find({ journal: journal._id })
+    .withDeleted()
+    .select("journalName journalType publication_date")
+    .lean();
+
+  const updates = [];
+  for (const publication of publications) {
+    const journalType = journal.getJournalType(publication.publication_date);
+    if (
+      publication.journalName === journal.name &&
+      publication.journalType === journalType
+    ) {
+      continue;
+    }
+    updates.push({
+      updateOne: {
+        filter: { _id: publication._id },
+        update: { journalName: journal.name, journalType },
+      },
+    });
+  }
+
+  if (updates.length > 0) {
+    await Publication.bulkWrite(updates, { ordered: false });
+  }
+  return updates.length;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Link unlinked publications that name this journal - by ISSN, or by its
+// name or an alternate spelling - then re-derive their name and type.
+// Returns how many were linked.
+journalSchema.statics.linkPublications = async function (journal) {
+  const Publication = mongoose.model("Publication");
+  // Publications may store the ISSN with or without its hyphen
+  const issns = [journal.printIssn, journal.eIssn]
+    .filter(Boolean)
+    .flatMap((issn) => [issn, issn.replace("-", "")]);
+  const names = [journal.name, ...journal.alternateNames].map(
+    (name) => new RegExp(`^\\s*${escapeRegex(name.trim())}\\s*$`, "i")
+  );
+
+  const result = await Publication.updateMany(
+    {
+      journal: null,
+      $or: [{ isbnIssn: { $in: issns } }, { journalName: { $in: names } }],
+    },
+    { journal: journal._id }
+  ).withDeleted();
+
+  if (result.modifiedCount > 0) await this.syncPublications(journal);
+  return result.modifiedCount;
+};
+
+export const Journal = mongoose.model("Journal", journalSchema);
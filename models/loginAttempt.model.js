@@ -0,0 +1,131 @@
+import { mongoose, Schema } from "mongoose";
+
+// Failed logins for one key - an account ("admin:<email>",
+// "author:<employee_id>") or a client IP ("ip:<address>"). Counted in Mongo
+// so every app process sees the same numbers. See utils/loginThrottle.js.
+const loginAttemptSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    scope: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    // Failures in the current window
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    // Lockouts so far; each one lasts twice as long as the one before
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Quiet keys are forgotten (and their backoff with them)
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginAttemptSchema.index({ lockedUntil: 1 });
+
+// Count a failure. The window restarts when the last failure is older than
+// `windowMs`. Returns the updated record.
+loginAttemptSchema.statics.recordFailure = function (
+  key,
+  scope,
+  { windowMs, forgetAfterMs }
+) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - windowMs);
+
+  // A pipeline update, so the window check and the increment are one write
+  return this.findOneAndUpdate(
+    { key },
+    [
+      {
+        $set: {
+          scope,
+          failures: {
+            $cond: [
+              { $lt: ["$lastFailureAt", windowStart] },
+              1,
+              { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+            ],
+          },
+          lastFailureAt: now,
+          lockCount: { $ifNull: ["$lockCount", 0] },
+          lockedUntil: { $ifNull: ["$lockedUntil", null] },
+          expiresAt: {
+            $max: [
+              new Date(now.getTime() + forgetAfterMs),
+              { $ifNull: ["$expiresAt", now] },
+            ],
+          },
+          createdAt: { $ifNull: ["$createdAt", now] },
+          updatedAt: now,
+        },
+      },
+    ],
+    // Timestamps are set by the pipeline itself
+    { upsert: true, new: true, timestamps: false }
+  );
+};
+
+// Lock a key that reached `maxFailures` and isn't locked already. Only one
+// of several racing requests gets the lock back (and records the event);
+// the others get null.
+loginAttemptSchema.statics.lockIfOverLimit = async function (
+  key,
+  { maxFailures, baseLockMs, maxLockMs, forgetAfterMs }
+) {
+  const now = new Date();
+  const attempt = await this.findOne({
+    key,
+    failures: { $gte: maxFailures },
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  });
+  if (!attempt) return null;
+
+  const lockMs = Math.min(baseLockMs * 2 ** attempt.lockCount, maxLockMs);
+  const lockedUntil = new Date(now.getTime() + lockMs);
+
+  return this.findOneAndUpdate(
+    { _id: attempt._id, lockCount: attempt.lockCount },
+    {
+      $set: {
+        lockedUntil,
+        failures: 0,
+        expiresAt: new Date(lockedUntil.getTime() + forgetAfterMs),
+      },
+      $inc: { lockCount: 1 },
+    },
+    { new: true }
+  );
+};
+
+// The lock that ends last among `keys`, or null when none is locked
+loginAttemptSchema.statics.findActiveLock = function (keys) {
+  return this.findOne({
+    key: { $in: keys },
+    lockedUntil: { $gt: new Date() },
+  }).sort({ lockedUntil: -1 });
+};
+
+export const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,96 @@
+import crypto from "crypto";
+import { mongoose, Schema } from "mongoose";
+
+// How long a reset link works
+const getResetTokenTtlMinutes = () =>
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+// Only the SHA-256 of a token is stored; the token itself is in the link
+// mailed to the account owner
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const passwordResetTokenSchema = new Schema(
+  {
+    account: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      refPath: "accountModel",
+    },
+    accountModel: {
+      type: String,
+      required: true,
+      enum: ["Admin", "Author"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the token is used - a token works once
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+    requestedIp: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// MongoDB removes tokens once they expire
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+passwordResetTokenSchema.index({ account: 1, usedAt: 1 });
+
+// New token for an account. Earlier unused tokens stop working, so only the
+// latest link does. Returns the token to put in the link.
+passwordResetTokenSchema.statics.issue = async function (
+  account,
+  accountModel,
+  { ip = null } = {}
+) {
+  await this.revokeFor(account._id);
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const resetToken = await this.create({
+    account: account._id,
+    accountModel,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + getResetTokenTtlMinutes() * 60 * 1000),
+    requestedIp: ip,
+  });
+
+  return { token, expiresAt: resetToken.expiresAt };
+};
+
+// Use a token: marks it used and returns it, or null when it is unknown,
+// expired or already used. One atomic update, so two requests racing with
+// the same token can't both succeed.
+passwordResetTokenSchema.statics.consume = function (token) {
+  if (!token) return null;
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+// Drop every unused token of an account (issued again, or password changed)
+passwordResetTokenSchema.statics.revokeFor = function (accountId) {
+  return this.deleteMany({ account: accountId, usedAt: null });
+};
+
+export const PasswordResetToken = mongoose.model(
+  "PasswordResetToken",
+  passwordResetTokenSchema
+);
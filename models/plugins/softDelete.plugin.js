@@ -0,0 +1,107 @@
+import { Schema } from "mongoose";
+
+// Query operations that should never see soft-deleted documents
+const FILTERED_QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "updateOne",
+  "updateMany",
+  "deleteOne",
+  "deleteMany",
+];
+
+// Soft deletion: adds deletedAt/deletedBy and hides deleted documents from every
+// query and aggregation. Opt out per query with .withDeleted() (or the
+// `withDeleted: true` query option); list the trash with .onlyDeleted().
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: Schema.Types.ObjectId,
+      refPath: "deletedByModel",
+      default: null,
+    },
+    deletedByModel: {
+      type: String,
+      enum: ["Admin", "Author"],
+      default: null,
+    },
+  });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (this.getOptions().withDeleted) return;
+    // Respect queries that filter on deletedAt themselves
+    if (this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.query.withDeleted = function () {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.query.onlyDeleted = function () {
+    return this.setOptions({ withDeleted: true }).where({
+      deletedAt: { $ne: null },
+    });
+  };
+
+  schema.methods.isDeleted = function () {
+    return !!this.deletedAt;
+  };
+
+  const deletionFields = (actor, deletedAt) => ({
+    deletedAt,
+    deletedBy: actor ? actor.id : null,
+    deletedByModel: actor ? actor.model : null,
+  });
+
+  // Written with updateOne so legacy documents that no longer pass
+  // validation can still be moved to / out of the trash
+  schema.methods.softDelete = async function (
+    actor = null,
+    deletedAt = new Date()
+  ) {
+    const fields = deletionFields(actor, deletedAt);
+    await this.constructor
+      .updateOne({ _id: this._id }, { $set: fields })
+      .withDeleted();
+    this.set(fields);
+    return this;
+  };
+
+  schema.methods.restore = async function () {
+    const fields = deletionFields(null, null);
+    await this.constructor
+      .updateOne({ _id: this._id }, { $set: fields })
+      .withDeleted();
+    this.set(fields);
+    return this;
+  };
+
+  schema.statics.softDeleteMany = function (
+    filter,
+    actor = null,
+    deletedAt = new Date()
+  ) {
+    return this.updateMany(filter, { $set: deletionFields(actor, deletedAt) });
+  };
+
+  schema.statics.restoreMany = function (filter) {
+    return this.updateMany(filter, {
+      $set: deletionFields(null, null),
+    }).withDeleted();
+  };
+};
@@ -1,4 +1,241 @@
 import { mongoose, Schema } from "mongoose";
+import { softDeletePlugin } from "./plugins/softDelete.plugin.js";
+import { DOI_PATTERN, normalizeDoi } from "../utils/doi.js";
+import {
+  IDENTIFIER_TYPES,
+  parseIdentifier,
+  toCanonicalIdentifier,
+} from "../utils/identifiers.js";
+
+// One entry per edit: who changed which fields, and when
+const changeLogSchema = new Schema(
+  {
+    changedBy: {
+      type: Schema.Types.ObjectId,
+      refPath: "changeLog.changedByModel",
+      required: true,
+    },
+    changedByModel: {
+      type: String,
+      enum: ["Admin", "Author"],
+      required: true,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    changes: [
+      {
+        _id: false,
+        field: { type: String, required: true },
+        from: Schema.Types.Mixed,
+        to: Schema.Types.Mixed,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// One entry per review step: submit, verify, reject, request-changes
+const reviewHistorySchema = new Schema(
+  {
+    action: {
+      type: String,
+      enum: ["submit", "verify", "reject", "request-changes"],
+      required: true,
+    },
+    from: { type: String, required: true },
+    to: { type: String, required: true },
+    by: {
+      type: Schema.Types.ObjectId,
+      refPath: "reviewHistory.byModel",
+      default: null,
+    },
+    byModel: {
+      type: String,
+      enum: ["Admin", "Author"],
+      default: null,
+    },
+    reason: { type: String, trim: true, default: null },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Every PDF ever attached to a publication; file_url/file_id point at the current one
+const fileVersionSchema = new Schema(
+  {
+    version: { type: Number, required: true, min: 1 },
+    url: { type: String, required: true, trim: true },
+    fileId: { type: String, default: null }, // Storage provider's file ID
+    provider: { type: String, default: null }, // imagekit | cloudinary | local
+    originalName: { type: String, default: null },
+    size: { type: Number, default: null }, // Bytes
+    checksum: { type: String, default: null }, // SHA-256 hex
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      refPath: "fileVersions.uploadedByModel",
+      default: null,
+    },
+    uploadedByModel: {
+      type: String,
+      enum: ["Admin", "Author"],
+      default: null,
+    },
+    uploadedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Review workflow: which status each action moves a publication from/to.
+// "request-changes" sends the record back to the author as a draft.
+export const STATUS_TRANSITIONS = {
+  submit: { from: ["draft", "rejected"], to: "submitted" },
+  verify: { from: ["submitted"], to: "verified" },
+  reject: { from: ["submitted"], to: "rejected", requiresReason: true },
+  "request-changes": {
+    from: ["submitted", "verified"],
+    to: "draft",
+    requiresReason: true,
+  },
+};
+
+// Populate options for the `authors` virtual: each Authorship with the
+// registered author's name and employee ID, or the external contributor.
+// Public listings and exports use this, so it leaves out contributors'
+// emails - those are only shown by the author list and contributor routes.
+export const AUTHORS_POPULATE = {
+  path: "authors",
+  select: "profile contributor order isCorresponding equalContribution",
+  populate: [
+    { path: "profile", select: "author_name employee_id department" },
+    { path: "contributor", select: "name affiliation orcid country" },
+  ],
+};
+
+// Kinds of output we record. Journal articles are the original (and default)
+// kind; the others keep their own details in the matching sub-document.
+export const PUBLICATION_TYPES = [
+  "journal-article",
+  "conference-paper",
+  "book-chapter",
+  "book",
+  "edited-volume",
+  "patent",
+];
+
+const BOOK_TYPES = ["book-chapter", "book", "edited-volume"];
+
+// Legacy records have no publicationType and are journal articles
+const getPublicationType = (doc) => doc?.publicationType || "journal-article";
+
+const conferenceSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Conference name is required"],
+      trim: true,
+      maxLength: [200, "Conference name must be max 200 characters"],
+    },
+    location: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Conference location must be max 200 characters"],
+      default: null,
+    },
+    startDate: {
+      type: Date,
+      default: null,
+    },
+    endDate: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (v) {
+          return !v || !this.startDate || v >= this.startDate;
+        },
+        message: "Conference end date must be on or after its start date",
+      },
+    },
+  },
+  { _id: false }
+);
+
+// Books, edited volumes and the books chapters appear in. The book title
+// itself is `title` (books) or `journalName` (chapters).
+const bookSchema = new Schema(
+  {
+    publisher: {
+      type: String,
+      required: [true, "Publisher is required"],
+      trim: true,
+      maxLength: [200, "Publisher must be max 200 characters"],
+    },
+    edition: {
+      type: String,
+      trim: true,
+      maxLength: [50, "Edition must be max 50 characters"],
+      default: null,
+    },
+    editors: {
+      type: [{ type: String, trim: true }],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+export const PATENT_STATUSES = [
+  "filed",
+  "published",
+  "granted",
+  "expired",
+  "abandoned",
+];
+
+const patentSchema = new Schema(
+  {
+    // Application number until granted, then the patent number
+    number: {
+      type: String,
+      required: [true, "Patent number is required"],
+      trim: true,
+      maxLength: [50, "Patent number must be max 50 characters"],
+    },
+    status: {
+      type: String,
+      required: [true, "Patent status is required"],
+      enum: {
+        values: PATENT_STATUSES,
+        message: `Patent status must be one of: ${PATENT_STATUSES.join(", ")}`,
+      },
+    },
+    // Patent office: "IN", "US", "EP", "WO"...
+    jurisdiction: {
+      type: String,
+      required: [true, "Patent jurisdiction is required"],
+      trim: true,
+      uppercase: true,
+      maxLength: [10, "Patent jurisdiction must be max 10 characters"],
+    },
+    filingDate: {
+      type: Date,
+      default: null,
+    },
+    grantDate: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (v) {
+          return !v || !this.filingDate || v >= this.filingDate;
+        },
+        message: "Grant date must be on or after the filing date",
+      },
+    },
+  },
+  { _id: false }
+);
+
 // Fixed schema with improved ISBN/ISSN validation
 const publicationSchema = new Schema(
   {
@@ -21,9 +258,26 @@ const publicationSchema = new Schema(
       required: [true, "Author department is required"],
       index: true,
     },
+    publicationType: {
+      type: String,
+      enum: {
+        values: PUBLICATION_TYPES,
+        message: `Publication type must be one of: ${PUBLICATION_TYPES.join(
+          ", "
+        )}`,
+      },
+      default: "journal-article",
+      index: true,
+    },
+    // Indexing of the journal (or proceedings) - only required for articles
     journalType: {
       type: String,
-      required: [true, "Journal type is required"],
+      required: [
+        function () {
+          return getPublicationType(this) === "journal-article";
+        },
+        "Journal type is required",
+      ],
       trim: true,
       enum: {
         values: [
@@ -39,13 +293,30 @@ const publicationSchema = new Schema(
       },
       index: true,
     },
+    // Where it appeared: the journal, the proceedings, or the book a chapter
+    // is in
     journalName: {
       type: String,
-      required: [true, "Journal name is required"],
+      required: [
+        function () {
+          return ["journal-article", "book-chapter"].includes(
+            getPublicationType(this)
+          );
+        },
+        "Journal name (book title for chapters) is required",
+      ],
       trim: true,
       maxLength: [200, "Journal name must be max 200 characters"],
       index: true,
     },
+    // Registry entry for the journal. When set, journalName and journalType
+    // are copied from it (see applyJournal) instead of being self-declared.
+    journal: {
+      type: Schema.Types.ObjectId,
+      ref: "Journal",
+      default: null,
+      index: true,
+    },
     title: {
       type: String,
       required: [true, "Title is required"],
@@ -81,39 +352,77 @@ const publicationSchema = new Schema(
         message: "Publication year must be a valid year",
       },
     },
+    // Stored in canonical form: ISSN with its hyphen, ISBNs as bare digits
     isbnIssn: {
       type: String,
+      set: (v) => (v ? toCanonicalIdentifier(String(v).trim()) : v),
+      validate: [
+        // Shape and check digit (see utils/identifiers.js). Only checked
+        // when the number is entered or changed: records from before the
+        // check (listed by scripts/normalize-identifiers.js) must still save
+        // when they are reviewed, edited or trashed.
+        {
+          validator: function (v) {
+            if (
+              this instanceof mongoose.Document &&
+              !this.isNew &&
+              !this.isModified("isbnIssn")
+            ) {
+              return true;
+            }
+            return !!parseIdentifier(v)?.valid;
+          },
+          message: (props) => parseIdentifier(props.value).message,
+        },
+        // Books are identified by ISBN, never ISSN
+        {
+          validator: function (v) {
+            return (
+              !BOOK_TYPES.includes(getPublicationType(this)) ||
+              parseIdentifier(v)?.type !== "issn"
+            );
+          },
+          message: "Books and book chapters need an ISBN, not an ISSN",
+        },
+      ],
+      required: [
+        function () {
+          const type = getPublicationType(this);
+          return type === "journal-article" || BOOK_TYPES.includes(type);
+        },
+        "ISBN/ISSN is required",
+      ],
+      // Not unique: every paper in a journal shares its ISSN. Duplicates are
+      // caught by utils/duplicateDetector.js instead.
+      index: true,
+      uppercase: true,
+    },
+    // What isbnIssn is; set from it on validate
+    identifierType: {
+      type: String,
+      enum: IDENTIFIER_TYPES,
+      default: null,
+    },
+    // Digital Object Identifier - optional, unique when present
+    doi: {
+      type: String,
+      set: (v) => normalizeDoi(v) || undefined,
       validate: {
         validator: function (v) {
-          // Remove hyphens and spaces for validation
-          const cleaned = v.replace(/[-\s]/g, "");
-
-          // ISBN-10: 9 digits + 1 check digit (can be X)
-          const isbn10Pattern = /^[0-9]{9}[0-9X]$/;
-
-          // ISBN-13: 13 digits starting with 978 or 979
-          const isbn13Pattern = /^(978|979)[0-9]{10}$/;
-
-          // ISSN: 4 digits + hyphen + 3 digits + check digit (can be X)
-          // For ISSN, we check the original format with hyphen
-          const issnPattern = /^\d{4}-\d{3}[\dX]$/;
-
-          return (
-            isbn10Pattern.test(cleaned) ||
-            isbn13Pattern.test(cleaned) ||
-            issnPattern.test(v)
-          );
+          return DOI_PATTERN.test(v);
         },
-        message:
-          "Invalid ISBN/ISSN format. Use ISBN-10, ISBN-13, or ISSN format",
+        message: "Invalid DOI. Expected a DOI like 10.1000/xyz123",
       },
-      required: [true, "ISBN/ISSN is required"],
-      unique: true,
-      uppercase: true,
     },
     file_url: {
       type: String,
-      required: [true, "File URL is required"],
+      // Imported records get their PDF attached afterwards
+      required: [
+        function () {
+          return this.source === "upload";
+        },
+        "File URL is required",
+      ],
       trim: true,
       maxLength: [500, "File URL must be max 500 characters"],
       validate: {
@@ -123,27 +432,123 @@ const publicationSchema = new Schema(
         message: "File URL must be a valid HTTP/HTTPS URL",
       },
     },
+    // Storage provider's ID for file_url, needed to delete/replace the file
+    file_id: {
+      type: String,
+      default: null,
+    },
+    // Storage driver file_id belongs to (see utils/storage)
+    file_provider: {
+      type: String,
+      default: null,
+    },
+    fileVersions: {
+      type: [fileVersionSchema],
+      default: [],
+      select: false,
+    },
     department: {
       type: Schema.Types.ObjectId,
       ref: "Department",
       required: [true, "Department is required"],
       index: true,
     },
+    // How the record entered the system
+    source: {
+      type: String,
+      enum: ["upload", "bulk-import", "citation-import"],
+      default: "upload",
+      index: true,
+    },
+    // Spreadsheet/citation import that created the record, if any
+    importJob: {
+      type: Schema.Types.ObjectId,
+      ref: "ImportJob",
+      default: null,
+    },
+    // Type-specific details; only the one matching publicationType is kept
+    conference: {
+      type: conferenceSchema,
+      default: undefined,
+      required: [
+        function () {
+          return getPublicationType(this) === "conference-paper";
+        },
+        "Conference details are required for conference papers",
+      ],
+    },
+    book: {
+      type: bookSchema,
+      default: undefined,
+      required: [
+        function () {
+          return BOOK_TYPES.includes(getPublicationType(this));
+        },
+        "Publisher details are required for books and book chapters",
+      ],
+    },
+    patent: {
+      type: patentSchema,
+      default: undefined,
+      required: [
+        function () {
+          return getPublicationType(this) === "patent";
+        },
+        "Patent details are required for patents",
+      ],
+    },
+    // Names of the external contributors on the author list, in order.
+    // Kept in step by syncAuthorList - edit the list through Authorship.
     coAuthors: {
       type: [String],
       default: [],
-      validate: {
-        validator: function (v) {
-          return v && v.length <= 10;
-        },
-        message: "Cannot have more than 10 co-authors",
-      },
     },
     coAuthorCount: {
       type: Number,
       default: 0,
       min: [0, "Co-author count cannot be negative"],
     },
+    // Review workflow - only "verified" publications are publicly listed
+    status: {
+      type: String,
+      enum: {
+        values: ["draft", "submitted", "verified", "rejected"],
+        message: "Status must be one of: draft, submitted, verified, rejected",
+      },
+      default: "submitted",
+      index: true,
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+    // Latest rejection reason / requested changes, shown to the author
+    reviewNote: {
+      type: String,
+      trim: true,
+      maxLength: [1000, "Review note must be max 1000 characters"],
+      default: null,
+    },
+    reviewHistory: {
+      type: [reviewHistorySchema],
+      default: [],
+      select: false,
+    },
+    // Edit history - excluded from queries by default to keep listings small
+    changeLog: {
+      type: [changeLogSchema],
+      default: [],
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -168,6 +573,38 @@ publicationSchema.virtual("departmentName", {
   justOne: true,
 });
 
+publicationSchema.pre("validate", function () {
+  this.identifierType = parseIdentifier(this.isbnIssn)?.type || null;
+});
+
+// Details (and a journal link) that don't fit the type are dropped, e.g.
+// after an article is re-classified as a conference paper
+const TYPE_DETAILS = {
+  conference: ["conference-paper"],
+  book: BOOK_TYPES,
+  patent: ["patent"],
+  journal: ["journal-article"],
+};
+
+publicationSchema.pre("validate", function () {
+  const type = getPublicationType(this);
+  for (const [path, types] of Object.entries(TYPE_DETAILS)) {
+    if (!types.includes(type) && this.get(path)) {
+      this.set(path, path === "journal" ? null : undefined);
+    }
+  }
+});
+
+// Filter for one publication type. Records from before types existed have
+// no publicationType and count as journal articles.
+publicationSchema.statics.getTypeFilter = function (publicationType) {
+  if (!publicationType) return {};
+  if (publicationType === "journal-article") {
+    return { publicationType: { $in: ["journal-article", null] } };
+  }
+  return { publicationType };
+};
+
 // Pre-save middleware to construct publication_date from publicationMonth and publicationYear
 publicationSchema.pre("save", function (next) {
   if (this.publicationMonth && this.publicationYear) {
@@ -190,29 +627,31 @@ publicationSchema.virtual("formattedPublicationDate").get(function () {
   }
   return null;
 });
-// Virtual for authors (unchanged)
+// The author list: Authorship entries (order, isCorresponding) with the
+// registered author's profile or the external contributor. Populate with
+// AUTHORS_POPULATE.
 publicationSchema.virtual("authors", {
-  ref: "Author",
+  ref: "Authorship",
   localField: "_id",
-  foreignField: "publication_id",
-  options: { sort: { author_order: 1 } }, // Always return authors in order
+  foreignField: "publication",
+  options: { sort: { order: 1 } }, // Always return authors in order
 });
 
 // Virtual for dynamic co-author count (real-time count)
 publicationSchema.virtual("dynamicCoAuthorCount", {
-  ref: "Author",
+  ref: "Authorship",
   localField: "_id",
-  foreignField: "publication_id",
+  foreignField: "publication",
   count: true,
 });
 
-// Virtual for primary author
+// Virtual for primary author (the first Authorship)
 publicationSchema.virtual("primaryAuthor", {
-  ref: "Author",
+  ref: "Authorship",
   localField: "_id",
-  foreignField: "publication_id",
+  foreignField: "publication",
   justOne: true,
-  options: { sort: { author_order: 1 } },
+  options: { sort: { order: 1 } },
 });
 
 // Virtual for author department reference
@@ -224,6 +663,11 @@ publicationSchema.virtual("authorDepartment", {
 });
 
 // Compound indexes for better query performance
+publicationSchema.index(
+  { doi: 1 },
+  { unique: true, partialFilterExpression: { doi: { $type: "string" } } }
+);
+publicationSchema.index({ status: 1, submittedAt: 1 }); // Review queue
 publicationSchema.index({ department: 1, publication_date: -1 });
 publicationSchema.index({ authorDeptId: 1, publication_date: -1 }); // NEW: For author department queries
 publicationSchema.index({ employeeId: 1, publication_date: -1 }); // NEW: For employee-based queries
@@ -276,6 +720,73 @@ publicationSchema.pre("save", function (next) {
   next();
 });
 
+// Registered authors of each publication, in order, with their names
+const authorsLookupStage = {
+  $lookup: {
+    from: "authorships",
+    localField: "_id",
+    foreignField: "publication",
+    as: "authors",
+    pipeline: [
+      // Nested lookups skip the soft-delete filter
+      { $match: { deletedAt: null } },
+      { $sort: { order: 1 } },
+      {
+        $lookup: {
+          from: "authors",
+          localField: "profile",
+          foreignField: "_id",
+          as: "profile",
+          pipeline: [
+            { $match: { deletedAt: null } },
+            { $project: { author_name: 1, employee_id: 1 } },
+          ],
+        },
+      },
+      {
+        $lookup: {
+          from: "externalcontributors",
+          localField: "contributor",
+          foreignField: "_id",
+          as: "contributor",
+          pipeline: [{ $project: { name: 1, affiliation: 1, orcid: 1 } }],
+        },
+      },
+      { $unwind: { path: "$profile", preserveNullAndEmptyArrays: true } },
+      { $unwind: { path: "$contributor", preserveNullAndEmptyArrays: true } },
+      // Links to a trashed profile drop out
+      {
+        $match: {
+          $or: [
+            { profile: { $exists: true } },
+            { contributor: { $exists: true } },
+          ],
+        },
+      },
+      {
+        $project: {
+          profile: 1,
+          contributor: 1,
+          order: 1,
+          isCorresponding: 1,
+          equalContribution: 1,
+        },
+      },
+    ],
+  },
+};
+
+// The uploader's name or the name of anyone on the author list matches
+const authorNameMatchStage = (authorQuery) => ({
+  $match: {
+    $or: [
+      { authorName: { $regex: authorQuery, $options: "i" } },
+      { "authors.profile.author_name": { $regex: authorQuery, $options: "i" } },
+      { "authors.contributor.name": { $regex: authorQuery, $options: "i" } },
+    ],
+  },
+});
+
 // Updated static method to search publications by author (now includes authorName field)
 publicationSchema.statics.searchByAuthor = async function (
   authorQuery,
@@ -286,42 +797,18 @@ publicationSchema.statics.searchByAuthor = async function (
     limit = 10,
     sortBy = "publication_date",
     order = "desc",
+    publicationType,
   } = options;
 
   const sortOrder = order === "asc" ? 1 : -1;
 
   return this.aggregate([
+    // Public search only sees verified records
     {
-      $lookup: {
-        from: "authors",
-        localField: "_id",
-        foreignField: "publication_id",
-        as: "authors",
-        pipeline: [
-          { $sort: { author_order: 1 } },
-          { $project: { fullname: 1, email: 1, author_order: 1 } },
-        ],
-      },
-    },
-    {
-      $match: {
-        $or: [
-          // NEW: Search in authorName field directly
-          { authorName: { $regex: authorQuery, $options: "i" } },
-          // Also search in related authors
-          {
-            authors: {
-              $elemMatch: {
-                $or: [
-                  { fullname: { $regex: authorQuery, $options: "i" } },
-                  { email: { $regex: authorQuery, $options: "i" } },
-                ],
-              },
-            },
-          },
-        ],
-      },
+      $match: { status: "verified", ...this.getTypeFilter(publicationType) },
     },
+    authorsLookupStage,
+    authorNameMatchStage(authorQuery),
     { $sort: { [sortBy]: sortOrder } },
     { $skip: (page - 1) * limit },
     { $limit: limit },
@@ -353,35 +840,16 @@ publicationSchema.statics.searchByAuthor = async function (
 };
 
 // Updated static method to get author search count
-publicationSchema.statics.getAuthorSearchCount = async function (authorQuery) {
+publicationSchema.statics.getAuthorSearchCount = async function (
+  authorQuery,
+  { publicationType } = {}
+) {
   const result = await this.aggregate([
     {
-      $lookup: {
-        from: "authors",
-        localField: "_id",
-        foreignField: "publication_id",
-        as: "authors",
-      },
-    },
-    {
-      $match: {
-        $or: [
-          // NEW: Search in authorName field directly
-          { authorName: { $regex: authorQuery, $options: "i" } },
-          // Also search in related authors
-          {
-            authors: {
-              $elemMatch: {
-                $or: [
-                  { fullname: { $regex: authorQuery, $options: "i" } },
-                  { email: { $regex: authorQuery, $options: "i" } },
-                ],
-              },
-            },
-          },
-        ],
-      },
+      $match: { status: "verified", ...this.getTypeFilter(publicationType) },
     },
+    authorsLookupStage,
+    authorNameMatchStage(authorQuery),
     { $count: "total" },
   ]);
 
@@ -417,11 +885,7 @@ publicationSchema.statics.searchByJournal = async function (
     .limit(limit)
     .populate("department", "name")
     .populate("authorDepartment", "name") // NEW: Populate author department
-    .populate({
-      path: "authors",
-      select: "fullname email author_order",
-      options: { sort: { author_order: 1 } },
-    });
+    .populate(AUTHORS_POPULATE);
 };
 
 // NEW: Static method to get publications by employee
@@ -444,11 +908,7 @@ publicationSchema.statics.getPublicationsByEmployee = async function (
     .limit(limit)
     .populate("department", "name")
     .populate("authorDepartment", "name")
-    .populate({
-      path: "authors",
-      select: "fullname email author_order",
-      options: { sort: { author_order: 1 } },
-    });
+    .populate(AUTHORS_POPULATE);
 };
 
 // NEW: Static method to get publications by journal type
@@ -471,11 +931,7 @@ publicationSchema.statics.getPublicationsByJournalType = async function (
     .limit(limit)
     .populate("department", "name")
     .populate("authorDepartment", "name")
-    .populate({
-      path: "authors",
-      select: "fullname email author_order",
-      options: { sort: { author_order: 1 } },
-    });
+    .populate(AUTHORS_POPULATE);
 };
 
 // Updated static method to get publications by year (now uses publicationYear field as well)
@@ -490,12 +946,15 @@ publicationSchema.statics.getPublicationsByYear = async function (
     order = "desc",
     populateAuthors = true,
     populateDepartment = true,
+    publicationType,
   } = options;
 
   const sortOrder = order === "asc" ? 1 : -1;
 
   // Use both publication_date and publicationYear for flexibility
   let query = this.find({
+    status: "verified", // Public search only sees verified records
+    ...this.getTypeFilter(publicationType),
     $or: [
       {
         publication_date: {
@@ -520,19 +979,20 @@ publicationSchema.statics.getPublicationsByYear = async function (
   }
 
   if (populateAuthors) {
-    query = query.populate({
-      path: "authors",
-      select: "fullname email author_order",
-      options: { sort: { author_order: 1 } },
-    });
+    query = query.populate(AUTHORS_POPULATE);
   }
 
   return query.exec();
 };
 
 // Updated static method to get count of publications by year
-publicationSchema.statics.getPublicationCountByYear = async function (year) {
+publicationSchema.statics.getPublicationCountByYear = async function (
+  year,
+  { publicationType } = {}
+) {
   return this.countDocuments({
+    status: "verified",
+    ...this.getTypeFilter(publicationType),
     $or: [
       {
         publication_date: {
@@ -646,6 +1106,168 @@ publicationSchema.statics.getAnalyticsByJournalType = async function (
   ]);
 };
 
+// Apply a review workflow action (see STATUS_TRANSITIONS). Callers are expected
+// to check canTransition first; the document is modified but not saved.
+publicationSchema.methods.applyStatusTransition = function (
+  action,
+  actor = null,
+  reason = null
+) {
+  const transition = STATUS_TRANSITIONS[action];
+  const previousStatus = this.status;
+  const now = new Date();
+
+  this.status = transition.to;
+
+  if (action === "submit") {
+    this.submittedAt = now;
+    this.reviewNote = null;
+  } else {
+    this.reviewedAt = now;
+    this.reviewedBy = actor && actor.model === "Admin" ? actor.id : null;
+    this.reviewNote = reason;
+  }
+
+  this.reviewHistory.push({
+    action,
+    from: previousStatus,
+    to: transition.to,
+    by: actor ? actor.id : null,
+    byModel: actor ? actor.model : null,
+    reason,
+    at: now,
+  });
+};
+
+publicationSchema.statics.canTransition = function (currentStatus, action) {
+  const transition = STATUS_TRANSITIONS[action];
+  return !!transition && transition.from.includes(currentStatus);
+};
+
+// Attach a newly uploaded file as the current version (document is not saved)
+publicationSchema.methods.addFileVersion = function (file, actor = null) {
+  // Records uploaded before version tracking: keep their original file as v1
+  if (
+    this.fileVersions.length === 0 &&
+    this.file_url &&
+    this.file_url !== file.url
+  ) {
+    this.fileVersions.push({
+      version: 1,
+      url: this.file_url,
+      fileId: this.file_id || null,
+      provider: this.file_provider || null,
+      uploadedAt: this.createdAt || new Date(),
+    });
+  }
+
+  const latestVersion = this.fileVersions.reduce(
+    (max, entry) => Math.max(max, entry.version),
+    0
+  );
+
+  const entry = {
+    version: latestVersion + 1,
+    url: file.url,
+    fileId: file.fileId || null,
+    provider: file.provider || null,
+    originalName: file.originalName || null,
+    size: file.size ?? null,
+    checksum: file.checksum || null,
+    uploadedBy: actor ? actor.id : null,
+    uploadedByModel: actor ? actor.model : null,
+    uploadedAt: new Date(),
+  };
+
+  this.fileVersions.push(entry);
+  this.file_url = entry.url;
+  this.file_id = entry.fileId;
+  this.file_provider = entry.provider;
+
+  return entry;
+};
+
+// The fileVersions entry file_url currently points at
+publicationSchema.methods.getCurrentFileVersion = function () {
+  return (this.fileVersions || []).find((entry) => entry.url === this.file_url);
+};
+
+// Every stored file this publication owns (current + previous versions),
+// de-duplicated. Records from before provider tracking were all on ImageKit.
+publicationSchema.methods.getStoredFiles = function () {
+  const files = new Map();
+  const addFile = (url, fileId, provider) => {
+    if (!url) return;
+    files.set(fileId || url, {
+      url,
+      fileId: fileId || null,
+      provider: provider || "imagekit",
+    });
+  };
+
+  addFile(this.file_url, this.file_id, this.file_provider);
+  for (const entry of this.fileVersions || []) {
+    addFile(entry.url, entry.fileId, entry.provider);
+  }
+
+  return [...files.values()];
+};
+
+// Publications belonging to an employee: the ones they uploaded themselves
+// (employeeId) plus the ones they were assigned to as co-author
+publicationSchema.statics.getEmployeeFilter = async function (employeeId) {
+  const profile = await mongoose
+    .model("Author")
+    .findOne({ employee_id: employeeId })
+    .select("_id");
+  const publicationIds = profile
+    ? await mongoose
+        .model("Authorship")
+        .distinct("publication", { profile: profile._id })
+    : [];
+
+  return {
+    $or: [{ employeeId: String(employeeId) }, { _id: { $in: publicationIds } }],
+  };
+};
+
+// Link a registry journal: its name, and the indexing it had when this paper
+// came out, replace whatever was declared
+publicationSchema.methods.applyJournal = function (journal) {
+  const publishedOn = new Date(
+    parseInt(this.publicationYear),
+    parseInt(this.publicationMonth) - 1,
+    1
+  );
+
+  this.journal = journal._id;
+  this.journalName = journal.name;
+  this.journalType = journal.getJournalType(
+    isNaN(publishedOn) ? this.publication_date : publishedOn
+  );
+  return this;
+};
+
+// Refresh coAuthorCount and the coAuthors names from the author list after
+// bulk changes that skip Authorship's hooks
+publicationSchema.statics.syncAuthorList = async function (publicationId) {
+  const authorships = await mongoose
+    .model("Authorship")
+    .find({ publication: publicationId })
+    .sort({ order: 1 })
+    .select("contributor")
+    .populate("contributor", "name");
+
+  const coAuthors = authorships
+    .map((authorship) => authorship.contributor?.name)
+    .filter(Boolean);
+  await this.updateOne(
+    { _id: publicationId },
+    { coAuthorCount: authorships.length, coAuthors }
+  ).withDeleted();
+  return authorships.length;
+};
+
 // Instance method to check if publication is recent (within last year) - unchanged
 publicationSchema.methods.isRecent = function () {
   const oneYearAgo = new Date();
@@ -664,4 +1286,7 @@ publicationSchema.methods.getFormattedInfo = function () {
     authorDepartment: this.authorDepartment?.name || "Unknown",
   };
 };
+// Deleted records go to the trash (deletedAt) instead of being removed
+publicationSchema.plugin(softDeletePlugin);
+
 export const Publication = mongoose.model("Publication", publicationSchema);
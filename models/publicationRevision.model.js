@@ -0,0 +1,161 @@
+import { mongoose, Schema } from "mongoose";
+
+// Bookkeeping paths that are not part of a publication's content.
+// Review fields are excluded so restoring a revision never bypasses review.
+const NON_CONTENT_FIELDS = [
+  "_id",
+  "__v",
+  "id",
+  "changeLog",
+  "createdAt",
+  "updatedAt",
+  "status",
+  "submittedAt",
+  "reviewedAt",
+  "reviewedBy",
+  "reviewNote",
+  "reviewHistory",
+  "fileVersions",
+  // Storage and trash bookkeeping. The PDF has its own history
+  // (fileVersions, rolled back through /file/rollback).
+  "file_url",
+  "file_id",
+  "file_provider",
+  "deletedAt",
+  "deletedBy",
+  "deletedByModel",
+  "source",
+  "importJob",
+  // Derived from the author list (Authorship), which has its own history
+  "coAuthors",
+  "coAuthorCount",
+];
+
+const publicationRevisionSchema = new Schema(
+  {
+    publication: {
+      type: Schema.Types.ObjectId,
+      ref: "Publication",
+      required: [true, "Publication is required"],
+      index: true,
+    },
+    // 1, 2, 3... per publication
+    version: {
+      type: Number,
+      required: true,
+      min: [1, "Version must start from 1"],
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "delete", "restore"],
+      required: true,
+    },
+    // Full copy of the publication's content at this point in time
+    snapshot: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    changedBy: {
+      type: Schema.Types.ObjectId,
+      refPath: "changedByModel",
+      default: null,
+    },
+    changedByModel: {
+      type: String,
+      enum: ["Admin", "Author"],
+      default: null,
+    },
+    // For restores: the version that was brought back
+    restoredFromVersion: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+publicationRevisionSchema.index(
+  { publication: 1, version: 1 },
+  { unique: true }
+);
+
+// Plain content snapshot of a publication document
+publicationRevisionSchema.statics.toSnapshot = function (publication) {
+  const plain = publication.toObject({
+    virtuals: false,
+    depopulate: true,
+    versionKey: false,
+  });
+
+  for (const field of NON_CONTENT_FIELDS) {
+    delete plain[field];
+  }
+
+  return plain;
+};
+
+// Append a revision for a publication. `actor` comes from getRequestActor(req)
+// and may be null for system changes.
+publicationRevisionSchema.statics.record = async function (
+  publication,
+  action,
+  actor = null,
+  extra = {}
+) {
+  const snapshot = this.toSnapshot(publication);
+
+  // Retry on a version clash when two edits land at the same time
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await this.findOne({ publication: publication._id })
+      .sort({ version: -1 })
+      .select("version")
+      .lean();
+
+    try {
+      return await this.create({
+        publication: publication._id,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        snapshot,
+        changedBy: actor ? actor.id : null,
+        changedByModel: actor ? actor.model : null,
+        ...extra,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 2) throw error;
+    }
+  }
+};
+
+// Field-by-field differences between two snapshots
+publicationRevisionSchema.statics.diffSnapshots = function (
+  fromSnapshot = {},
+  toSnapshot = {}
+) {
+  const fields = new Set([
+    ...Object.keys(fromSnapshot),
+    ...Object.keys(toSnapshot),
+  ]);
+
+  const changes = [];
+  for (const field of fields) {
+    // Older snapshots may still carry fields that are no longer content
+    if (NON_CONTENT_FIELDS.includes(field)) continue;
+
+    const from = fromSnapshot[field] ?? null;
+    const to = toSnapshot[field] ?? null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  }
+
+  return changes;
+};
+
+export const PublicationRevision = mongoose.model(
+  "PublicationRevision",
+  publicationRevisionSchema
+);
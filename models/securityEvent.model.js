@@ -0,0 +1,53 @@
+import { mongoose, Schema } from "mongoose";
+
+export const SECURITY_EVENT_TYPES = ["lockout", "unlock"];
+
+// Audit trail of login lockouts and who lifted them
+const securityEventSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: SECURITY_EVENT_TYPES,
+      required: true,
+    },
+    // The LoginAttempt key, e.g. "admin:someone@rimt.ac.in" or "ip:10.0.0.7"
+    key: {
+      type: String,
+      required: true,
+    },
+    scope: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    // Where the request that caused the event came from
+    ip: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Which lockout of the key this was (1 = first)
+    lockCount: {
+      type: Number,
+      default: null,
+    },
+    // The admin who lifted a lockout
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "Admin",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+securityEventSchema.index({ createdAt: -1 });
+securityEventSchema.index({ key: 1, createdAt: -1 });
+
+export const SecurityEvent = mongoose.model(
+  "SecurityEvent",
+  securityEventSchema
+);
@@ -26,33 +26,207 @@ import {
   getDepartments,
   getAdminCounts,
 } from "../controllers/privateData.controller.js";
+import {
+  loginAuthor,
+  logoutAuthor,
+  getCurrentAuthor,
+  getOwnPublications,
+  submitOwnPublication,
+} from "../controllers/author.controller.js";
+import {
+  updatePublication,
+  replacePublicationFile,
+  getPublicationFileVersions,
+  rollbackPublicationFile,
+} from "../controllers/publication.controller.js";
+import {
+  getPublicationRevisions,
+  diffPublicationRevisions,
+  restorePublicationRevision,
+} from "../controllers/revision.controller.js";
+import {
+  submitPublication,
+  verifyPublication,
+  rejectPublication,
+  requestPublicationChanges,
+  getReviewQueue,
+} from "../controllers/review.controller.js";
+import {
+  getOrphanFiles,
+  removeOrphanFiles,
+} from "../controllers/maintenance.controller.js";
+import { getTrash, restoreFromTrash } from "../controllers/trash.controller.js";
+import { lookupDoiMetadata } from "../controllers/doi.controller.js";
+import { validateIdentifier } from "../controllers/identifier.controller.js";
+import {
+  getPublicationAuthors,
+  addPublicationExternalAuthors,
+  reorderPublicationAuthors,
+  removePublicationAuthor,
+  updatePublicationAuthorRoles,
+} from "../controllers/authorship.controller.js";
+import {
+  searchContributors,
+  getContributor,
+  updateContributor,
+} from "../controllers/contributor.controller.js";
+import {
+  exportPublication,
+  exportSearchResults,
+  exportAuthorPublications,
+  exportDepartmentPublications,
+} from "../controllers/export.controller.js";
+import {
+  previewPublicationImport,
+  commitPublicationImport,
+  getPublicationImports,
+  getPublicationImport,
+  downloadPublicationImportReport,
+} from "../controllers/import.controller.js";
+import {
+  previewCitationImport,
+  getCitationImport,
+  confirmCitationImport,
+} from "../controllers/citationImport.controller.js";
+import {
+  checkForDuplicates,
+  getDuplicateFlags,
+  dismissDuplicateFlag,
+  mergeDuplicateFlag,
+} from "../controllers/duplicate.controller.js";
+import {
+  createJournal,
+  getJournals,
+  autocompleteJournals,
+  getJournalById,
+  updateJournal,
+  deleteJournal,
+  linkJournalPublications,
+  importJournalIndexing,
+} from "../controllers/journal.controller.js";
+import {
+  listAdmins,
+  getAdmin,
+  updateAdmin,
+  deactivateAdmin,
+  reactivateAdmin,
+  resetAdminPassword,
+  transferSuperadmin,
+} from "../controllers/admin.controller.js";
+import {
+  changePassword,
+  forgotPassword,
+  resetPassword,
+} from "../controllers/password.controller.js";
+import {
+  getLockouts,
+  unlockLogin,
+  getSecurityEvents,
+} from "../controllers/security.controller.js";
 import { Router } from "express";
 
 //middlewares
-import { upload } from "../middlewares/multer.middleware.js";
 import {
-  requireAdmin,
+  upload,
+  spreadsheetUpload,
+  citationUpload,
+  indexingListUpload,
+} from "../middlewares/multer.middleware.js";
+import {
   requireAuthentication,
+  requireAuthor,
+  requireAdminOrAuthor,
+  requireLoginUnlessPublic,
+  requirePermission,
 } from "../middlewares/auth.middleware.js";
 
+// The only routes open without logging in. Everything else is closed to
+// anonymous visitors, even if its own guard is forgotten. Keep in sync with
+// test/routeGuards.test.js (npm test).
+export const PUBLIC_ROUTES = [
+  "POST /admin/login",
+  "POST /author/login",
+  "POST /password/forgot",
+  "POST /password/reset",
+  "GET /counts",
+  "GET /authors/employee-id",
+  "GET /publications",
+  "GET /publications/search",
+  "GET /publications/text-search",
+  "GET /publications/author-search",
+  "GET /publications/:id/related",
+  "GET /export/publications/:id",
+  "GET /export/search",
+  "GET /export/authors/:employeeId",
+  "GET /export/departments/:id",
+  "GET /journals",
+  "GET /journals/autocomplete",
+  "GET /journals/:id",
+];
+
 const router = Router();
 
+// Deny by default - see requireLoginUnlessPublic
+router.use(requireLoginUnlessPublic(PUBLIC_ROUTES));
+
 // Public routes (no authentication required)
 router.post("/admin/login", loginAdmin);
-router.post("/publication", upload.single("pdfFile"), registerPublication);
-router.post("/authors/assign-publication", assignAuthorToPublication);
-// Protected routes (require authentication)
-router.post("/register/admin", requireAuthentication, registerAdmin);
-router.post("/register/author", requireAuthentication, registerAuthor);
-router.post("/register/department", requireAuthentication, registerDepartment);
+// Protected routes: each needs a permission (see utils/permissions.js)
+router.post(
+  "/authors/assign-publication",
+  requirePermission("author:assign"),
+  assignAuthorToPublication
+);
+router.post(
+  "/publication",
+  requirePermission("publication:create"),
+  upload.single("pdfFile"),
+  registerPublication
+);
+router.post(
+  "/register/admin",
+  requirePermission("admin:manage"),
+  registerAdmin
+);
+router.post(
+  "/register/author",
+  requirePermission("author:create"),
+  registerAuthor
+);
+router.post(
+  "/register/department",
+  requirePermission("department:create"),
+  registerDepartment
+);
 router.post("/admin/logout", requireAuthentication, logoutAdmin);
 
+// Author (faculty) self-service portal
+router.post("/author/login", loginAuthor);
+router.post("/author/logout", requireAuthor, logoutAuthor);
+router.get("/author/me", requireAuthor, getCurrentAuthor);
+router.get("/author/publications", requireAuthor, getOwnPublications);
+router.post(
+  "/author/publications",
+  requireAuthor,
+  upload.single("pdfFile"),
+  submitOwnPublication
+);
+
+// Passwords (admins and authors alike)
+router.post("/password/change", requireAdminOrAuthor, changePassword);
+router.post("/password/forgot", forgotPassword);
+router.post("/password/reset", resetPassword);
+
 // Data retrieval routes
 router.get("/counts", getAllCounts); //deaprtment, publication, users count
-router.get("/authors/unassigned", requireAuthentication, getUnassignedAuthors);
+router.get(
+  "/authors/unassigned",
+  requirePermission("author:read"),
+  getUnassignedAuthors
+);
 router.get(
   "/authors/publications",
-  requireAuthentication,
+  requirePermission("author:read"),
   getAuthorPublications
 );
 router.get("/authors/employee-id", getAuthorByEmployeeId); // New author by employee ID search for auto pick
@@ -63,23 +237,169 @@ router.get("/publications/text-search", simpleTextSearch); // Simple text search
 router.get("/publications/author-search", searchByAuthor); // Author search
 router.get("/publications/:id/related", getRelatedPublications); // Related publications
 
+// DOI metadata lookup to pre-fill the upload form
+router.get(
+  "/doi/lookup",
+  requirePermission("publication:submit"),
+  lookupDoiMetadata
+);
+// ISBN/ISSN check-digit validation for the upload form
+router.get(
+  "/identifiers/validate",
+  requirePermission("publication:submit"),
+  validateIdentifier
+);
+// Possible-duplicate warning for the upload form
+router.post(
+  "/publications/duplicates/check",
+  requirePermission("publication:submit"),
+  checkForDuplicates
+);
+
+// Citation export (BibTeX, RIS, CSL-JSON, CSV) - verified publications only
+router.get("/export/publications/:id", exportPublication);
+router.get("/export/search", exportSearchResults);
+router.get("/export/authors/:employeeId", exportAuthorPublications);
+router.get("/export/departments/:id", exportDepartmentPublications);
+router.patch(
+  "/publications/:id",
+  requirePermission("publication:update"),
+  updatePublication
+); // Edit publication
+
+// Author lists: registered and external authors in one order
+router.get(
+  "/publications/:id/authors",
+  requirePermission("publication:update"),
+  getPublicationAuthors
+);
+router.post(
+  "/publications/:id/authors/external",
+  requirePermission("publication:update"),
+  addPublicationExternalAuthors
+);
+router.put(
+  "/publications/:id/authors/order",
+  requirePermission("publication:update"),
+  reorderPublicationAuthors
+);
+router.patch(
+  "/publications/:id/authors/:authorshipId",
+  requirePermission("publication:update"),
+  updatePublicationAuthorRoles
+);
+router.delete(
+  "/publications/:id/authors/:authorshipId",
+  requirePermission("publication:update"),
+  removePublicationAuthor
+);
+router.get(
+  "/contributors",
+  requirePermission("publication:submit"),
+  searchContributors
+);
+router.get(
+  "/contributors/:id",
+  requirePermission("publication:submit"),
+  getContributor
+);
+router.patch(
+  "/contributors/:id",
+  requirePermission("contributor:update"),
+  updateContributor
+);
+
+// Publication PDF versions
+router.put(
+  "/publications/:id/file",
+  requirePermission("publication:update"),
+  upload.single("pdfFile"),
+  replacePublicationFile
+);
+router.get(
+  "/publications/:id/file/versions",
+  requirePermission("publication:update"),
+  getPublicationFileVersions
+);
+router.post(
+  "/publications/:id/file/rollback",
+  requirePermission("publication:restore"),
+  rollbackPublicationFile
+);
+
+// Review workflow: authors submit, admins verify/reject/request changes
+router.post(
+  "/publications/:id/submit",
+  requirePermission("publication:submit"),
+  submitPublication
+);
+router.post(
+  "/publications/:id/verify",
+  requirePermission("publication:review"),
+  verifyPublication
+);
+router.post(
+  "/publications/:id/reject",
+  requirePermission("publication:review"),
+  rejectPublication
+);
+router.post(
+  "/publications/:id/request-changes",
+  requirePermission("publication:review"),
+  requestPublicationChanges
+);
+router.get(
+  "/review/queue",
+  requirePermission("publication:review"),
+  getReviewQueue
+);
+
+// Publication revision history
+router.get(
+  "/publications/:id/revisions",
+  requirePermission("publication:history"),
+  getPublicationRevisions
+);
+router.get(
+  "/publications/:id/revisions/diff",
+  requirePermission("publication:history"),
+  diffPublicationRevisions
+);
+router.post(
+  "/publications/:id/revisions/:version/restore",
+  requirePermission("publication:restore"),
+  restorePublicationRevision
+);
+
 //private data retrieval routes
-router.get("/private-data/counts", requireAuthentication, getPrivateDataCounts);
+router.get(
+  "/private-data/counts",
+  requirePermission("data:private"),
+  getPrivateDataCounts
+);
 router.get(
   "/private-data/users",
-  requireAuthentication,
+  requirePermission("data:private"),
   getAuthorsWithPagination
 );
-router.get("/private-data/departments", requireAuthentication, getDepartments);
-router.get("/private-data/admins", getAdminCounts);
+router.get(
+  "/private-data/departments",
+  requirePermission("data:private"),
+  getDepartments
+);
+router.get(
+  "/private-data/admins",
+  requirePermission("data:private"),
+  getAdminCounts
+);
 router.get(
   "/private-data/search/employee-id",
-  requireAuthentication,
+  requirePermission("data:private"),
   searchAuthorWithEmployeeId
 );
 router.get(
   "/private-data/search/fullname",
-  requireAuthentication,
+  requirePermission("data:private"),
   searchAuthorWithFullName
 );
 
@@ -92,8 +412,174 @@ import {
 } from "../controllers/user.controller.js";
 
 // delete unassigned author
-router.delete("/private-data/delete/unassigned-author", deleteUnassignedAuthor);
+router.delete(
+  "/private-data/delete/unassigned-author",
+  requirePermission("author:delete"),
+  deleteUnassignedAuthor
+);
 //router.delete("/delete/admin", deleteAdmin); //disclaimer: only in times of emergency
-router.delete("/private-data/delete/department", deleteDepartment);
-router.delete("/private-data/delete/publication", deletePublication);
+router.delete(
+  "/private-data/delete/department",
+  requirePermission("department:delete"),
+  deleteDepartment
+);
+router.delete(
+  "/private-data/delete/publication",
+  requirePermission("publication:delete"),
+  deletePublication
+);
+
+// Recycle bin (admins)
+router.get("/trash", requirePermission("trash:read"), getTrash);
+router.post(
+  "/trash/:type/:id/restore",
+  requirePermission("trash:restore"),
+  restoreFromTrash
+);
+
+// Bulk publication import from CSV/XLSX (admins): dry run, then commit
+router.get(
+  "/import/publications",
+  requirePermission("import:manage"),
+  getPublicationImports
+);
+router.post(
+  "/import/publications",
+  requirePermission("import:manage"),
+  spreadsheetUpload.single("file"),
+  previewPublicationImport
+);
+router.get(
+  "/import/publications/:id",
+  requirePermission("import:manage"),
+  getPublicationImport
+);
+router.post(
+  "/import/publications/:id/commit",
+  requirePermission("import:manage"),
+  commitPublicationImport
+);
+router.get(
+  "/import/publications/:id/report",
+  requirePermission("import:manage"),
+  downloadPublicationImportReport
+);
+
+// BibTeX/RIS import (authors for themselves, admins for any author):
+// dry run with duplicate flags, then confirm the entries to create
+router.post(
+  "/import/citations",
+  requirePermission("publication:submit"),
+  citationUpload.single("file"),
+  previewCitationImport
+);
+router.get(
+  "/import/citations/:id",
+  requirePermission("publication:submit"),
+  getCitationImport
+);
+router.post(
+  "/import/citations/:id/confirm",
+  requirePermission("publication:submit"),
+  confirmCitationImport
+);
+
+// Journal registry: public lookup, admin maintenance and indexing lists
+router.get("/journals", getJournals);
+router.get("/journals/autocomplete", autocompleteJournals);
+router.post("/journals", requirePermission("journal:manage"), createJournal);
+router.post(
+  "/journals/indexing/import",
+  requirePermission("journal:manage"),
+  indexingListUpload.single("file"),
+  importJournalIndexing
+);
+router.get("/journals/:id", getJournalById);
+router.patch(
+  "/journals/:id",
+  requirePermission("journal:manage"),
+  updateJournal
+);
+router.delete(
+  "/journals/:id",
+  requirePermission("journal:manage"),
+  deleteJournal
+);
+router.post(
+  "/journals/:id/link-publications",
+  requirePermission("journal:manage"),
+  linkJournalPublications
+);
+
+// Possible duplicate publications (admins): review, merge or dismiss
+router.get(
+  "/duplicates",
+  requirePermission("duplicate:manage"),
+  getDuplicateFlags
+);
+router.post(
+  "/duplicates/:id/dismiss",
+  requirePermission("duplicate:manage"),
+  dismissDuplicateFlag
+);
+router.post(
+  "/duplicates/:id/merge",
+  requirePermission("duplicate:manage"),
+  mergeDuplicateFlag
+);
+
+// Storage maintenance (admins)
+router.get(
+  "/maintenance/orphan-files",
+  requirePermission("maintenance:manage"),
+  getOrphanFiles
+);
+router.delete(
+  "/maintenance/orphan-files",
+  requirePermission("maintenance:manage"),
+  removeOrphanFiles
+);
+
+// Admin accounts (superadmins)
+router.get("/admins", requirePermission("admin:manage"), listAdmins);
+router.get("/admins/:id", requirePermission("admin:manage"), getAdmin);
+router.patch("/admins/:id", requirePermission("admin:manage"), updateAdmin);
+router.post(
+  "/admins/:id/deactivate",
+  requirePermission("admin:manage"),
+  deactivateAdmin
+);
+router.post(
+  "/admins/:id/reactivate",
+  requirePermission("admin:manage"),
+  reactivateAdmin
+);
+router.post(
+  "/admins/:id/reset-password",
+  requirePermission("admin:manage"),
+  resetAdminPassword
+);
+router.post(
+  "/admins/:id/transfer-superadmin",
+  requirePermission("admin:manage"),
+  transferSuperadmin
+);
+
+// Login lockouts (admins)
+router.get(
+  "/security/lockouts",
+  requirePermission("security:manage"),
+  getLockouts
+);
+router.post(
+  "/security/unlock",
+  requirePermission("security:manage"),
+  unlockLogin
+);
+router.get(
+  "/security/events",
+  requirePermission("security:manage"),
+  getSecurityEvents
+);
+
 export default router;
@@ -0,0 +1,29 @@
+// Backfill: link existing publications to registered journals by ISSN or
+// journal name, and derive their journal type from the journal's indexing.
+// Safe to re-run. Usage: npm run link:journals
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../db/index.js";
+import { Journal } from "../models/index.js";
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  let journals = 0;
+  let linked = 0;
+  for await (const journal of Journal.find().cursor()) {
+    journals++;
+    linked += await Journal.linkPublications(journal);
+  }
+
+  console.log(`Checked ${journals} journals, linked ${linked} publications`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Journal linking failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
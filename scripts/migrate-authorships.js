@@ -0,0 +1,156 @@
+// One-off migration: the authors collection used to hold a registration row
+// per employee plus a copy of it for every publication they were assigned to
+// (publication_id + author_order). Collapse each employee into one profile
+// and turn the assignment copies into Authorship links.
+// Safe to run more than once - links that already exist are left alone, and
+// once no row has a publication_id there is nothing left to move.
+// Usage: npm run migrate:authorships [-- --dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../db/index.js";
+import { AuthorProfile, Authorship, Publication } from "../models/index.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const byCreatedAt = (a, b) => (a.createdAt || 0) - (b.createdAt || 0);
+
+// The row that becomes the employee's profile: their registration (a live
+// one first), otherwise the oldest assignment row
+const pickProfileRow = (rows) => {
+  const registrations = rows
+    .filter((row) => !row.publication_id)
+    .sort(byCreatedAt);
+  const live = registrations.filter((row) => !row.deletedAt);
+  return live[0] || registrations[0] || [...rows].sort(byCreatedAt)[0];
+};
+
+const run = async () => {
+  await connectDB();
+
+  // Raw collection: the legacy fields are no longer in the schema
+  const rows = await AuthorProfile.collection.find({}).toArray();
+
+  const rowsByEmployee = new Map();
+  for (const row of rows) {
+    const group = rowsByEmployee.get(row.employee_id) || [];
+    group.push(row);
+    rowsByEmployee.set(row.employee_id, group);
+  }
+
+  const authorships = [];
+  const clonedRowIds = [];
+  const skipped = [];
+  const publicationIds = new Set();
+
+  for (const [employeeId, group] of rowsByEmployee) {
+    const profile = pickProfileRow(group);
+    const linked = new Set();
+
+    for (const row of group) {
+      if (!row._id.equals(profile._id)) clonedRowIds.push(row._id);
+      if (!row.publication_id) continue;
+
+      const key = String(row.publication_id);
+      if (linked.has(key) || !Number.isInteger(row.author_order)) {
+        skipped.push({ employeeId, row });
+        continue;
+      }
+      linked.add(key);
+      publicationIds.add(key);
+
+      // Trashed assignments stay trashed, with the same timestamp as their
+      // publication so a restore brings them back together
+      authorships.push({
+        profile: profile._id,
+        publication: row.publication_id,
+        order: row.author_order,
+        isCorresponding: false,
+        deletedAt: row.deletedAt || null,
+        deletedBy: row.deletedBy || null,
+        deletedByModel: row.deletedByModel || null,
+        createdAt: row.createdAt || new Date(),
+        updatedAt: row.updatedAt || new Date(),
+      });
+    }
+  }
+
+  console.log(`Scanned ${rows.length} author rows`);
+  console.log(`${rowsByEmployee.size} employees -> one profile each`);
+  console.log(`${authorships.length} authorships to create`);
+  console.log(`${clonedRowIds.length} duplicated rows to remove`);
+
+  if (skipped.length > 0) {
+    console.log(`${skipped.length} assignment rows skipped:`);
+    for (const { employeeId, row } of skipped) {
+      console.log(
+        `  employee ${employeeId}  publication ${row.publication_id}  order ${row.author_order}`
+      );
+    }
+  }
+
+  if (dryRun) return;
+
+  // Raw upserts: keep the original timestamps and skip the per-document
+  // coAuthorCount hook (counts are synced once below). A link already made
+  // by an earlier, interrupted run is left as it is.
+  if (authorships.length > 0) {
+    const result = await Authorship.collection.bulkWrite(
+      authorships.map((authorship) => ({
+        updateOne: {
+          filter: {
+            publication: authorship.publication,
+            order: authorship.order,
+          },
+          update: { $setOnInsert: authorship },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    console.log(
+      `${result.upsertedCount} authorships created, ${
+        authorships.length - result.upsertedCount
+      } already there`
+    );
+  }
+
+  if (clonedRowIds.length > 0) {
+    await AuthorProfile.collection.deleteMany({ _id: { $in: clonedRowIds } });
+  }
+
+  await AuthorProfile.collection.updateMany(
+    {},
+    { $unset: { publication_id: "", author_order: "" } }
+  );
+  await AuthorProfile.collection.updateMany(
+    { deletedAt: { $exists: false } },
+    { $set: { deletedAt: null } }
+  );
+
+  // Drops the old publication_id indexes and adds the unique employee_id one
+  await AuthorProfile.syncIndexes();
+  await Authorship.syncIndexes();
+
+  // Count only: syncAuthorList would also rebuild coAuthors, whose legacy
+  // names are moved by migrate:external-authors
+  for (const publicationId of publicationIds) {
+    const count = await Authorship.countDocuments({
+      publication: publicationId,
+    });
+    await Publication.updateOne(
+      { _id: publicationId },
+      { coAuthorCount: count }
+    ).withDeleted();
+  }
+
+  console.log(`Removed ${clonedRowIds.length} duplicated rows`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Authorship migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
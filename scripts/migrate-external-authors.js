@@ -0,0 +1,123 @@
+// One-off migration: co-authors used to be a bare list of names on each
+// publication (coAuthors). Give every name an ExternalContributor record and
+// an Authorship after the publication's registered authors, so the author
+// list is one ordered list. Run after migrate:authorships.
+// Safe to run more than once - publications that already have external
+// authors are skipped.
+// Usage: npm run migrate:external-authors [-- --dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../db/index.js";
+import {
+  Authorship,
+  ExternalContributor,
+  Publication,
+} from "../models/index.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  // The unique { publication, profile } index used to cover every link;
+  // external links (profile: null) need the partial one first
+  if (!dryRun) {
+    await Authorship.syncIndexes();
+    await ExternalContributor.syncIndexes();
+  }
+
+  const publications = await Publication.find({
+    "coAuthors.0": { $exists: true },
+  })
+    .withDeleted()
+    .select("title coAuthors deletedAt deletedBy deletedByModel")
+    .lean();
+
+  // Trashed links count too - a publication migrated and then trashed must
+  // not be migrated again
+  const migrated = new Set(
+    (
+      await Authorship.find({ contributor: { $ne: null } })
+        .withDeleted()
+        .distinct("publication")
+    ).map(String)
+  );
+
+  let contributorCount = 0;
+  let publicationCount = 0;
+  const rejected = [];
+
+  for (const publication of publications) {
+    if (migrated.has(String(publication._id))) continue;
+
+    const contributors = [];
+    for (const name of publication.coAuthors) {
+      const contributor = new ExternalContributor({ name });
+      if (contributor.validateSync()) {
+        rejected.push({ publication, name });
+        continue;
+      }
+      contributors.push(contributor);
+    }
+    if (contributors.length === 0) continue;
+
+    publicationCount++;
+    contributorCount += contributors.length;
+    if (dryRun) continue;
+
+    // After the registered authors (trashed ones still hold their slot)
+    const last = await Authorship.findOne({ publication: publication._id })
+      .withDeleted()
+      .sort({ order: -1 })
+      .select("order");
+    let order = last?.order || 0;
+
+    await ExternalContributor.insertMany(contributors);
+    const authorships = await Authorship.insertMany(
+      contributors.map((contributor) => ({
+        publication: publication._id,
+        contributor: contributor._id,
+        order: ++order,
+      }))
+    );
+
+    // A trashed publication's authors are trashed with it, at the same
+    // time, so restoring it brings them back
+    if (publication.deletedAt) {
+      const actor = publication.deletedBy
+        ? { id: publication.deletedBy, model: publication.deletedByModel }
+        : null;
+      await Authorship.softDeleteMany(
+        { _id: { $in: authorships.map((a) => a._id) } },
+        actor,
+        publication.deletedAt
+      );
+    }
+
+    await Publication.syncAuthorList(publication._id);
+  }
+
+  console.log(`Checked ${publications.length} publications with co-authors`);
+  const verb = dryRun ? "Would create" : "Created";
+  console.log(
+    `${verb} ${contributorCount} external authors on ${publicationCount} publications`
+  );
+
+  if (rejected.length > 0) {
+    console.log(
+      `${rejected.length} co-author names not moved (add them on the author list by hand):`
+    );
+    for (const { publication, name } of rejected) {
+      console.log(`  ${publication._id}  "${name}"  ${publication.title}`);
+    }
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("External author migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
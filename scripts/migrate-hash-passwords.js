@@ -0,0 +1,72 @@
+// One-off migration: rehash plaintext Admin/Author passwords in place.
+// Safe to run more than once - values that are already bcrypt hashes are skipped.
+// Usage: npm run migrate:passwords [-- --dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../db/index.js";
+import { Admin, AuthorProfile } from "../models/index.js";
+import { hashPassword } from "../utils/password.js";
+
+dotenv.config();
+
+// bcrypt hashes look like $2a$10$<53 chars of salt + hash>. Only this
+// migration may take such a value for a hash; the models always hash.
+const BCRYPT_HASH_PATTERN = /^\$2[abxy]\$\d{2}\$[./A-Za-z0-9]{53}$/;
+
+const isPasswordHashed = (value) =>
+  typeof value === "string" && BCRYPT_HASH_PATTERN.test(value);
+
+const dryRun = process.argv.includes("--dry-run");
+
+const rehashCollection = async (Model) => {
+  const stats = { scanned: 0, rehashed: 0, alreadyHashed: 0, failed: 0 };
+
+  // Raw cursor so schema validators/hooks don't interfere with legacy documents
+  const cursor = Model.collection.find(
+    { password: { $exists: true, $ne: null } },
+    { projection: { password: 1 } }
+  );
+
+  for await (const doc of cursor) {
+    stats.scanned++;
+
+    if (isPasswordHashed(doc.password)) {
+      stats.alreadyHashed++;
+      continue;
+    }
+
+    try {
+      if (!dryRun) {
+        const hashed = await hashPassword(String(doc.password));
+        // Match on the old value too, so a concurrent password change isn't clobbered
+        await Model.collection.updateOne(
+          { _id: doc._id, password: doc.password },
+          { $set: { password: hashed } }
+        );
+      }
+      stats.rehashed++;
+    } catch (error) {
+      stats.failed++;
+      console.error(`Failed to rehash ${Model.modelName} ${doc._id}:`, error);
+    }
+  }
+
+  return stats;
+};
+
+const run = async () => {
+  await connectDB();
+  console.log(`Rehashing plaintext passwords${dryRun ? " (dry run)" : ""}...`);
+
+  for (const Model of [Admin, AuthorProfile]) {
+    const stats = await rehashCollection(Model);
+    console.log(`${Model.modelName}:`, stats);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("Password migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
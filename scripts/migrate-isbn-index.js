@@ -0,0 +1,40 @@
+// One-off migration: isbnIssn used to be unique, which rejected the second
+// paper published in the same journal. Replace the unique index with a plain
+// one (duplicates are now found by the duplicate detector).
+// Usage: npm run migrate:isbn-index [-- --dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../db/index.js";
+import { Publication } from "../models/index.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  const indexes = await Publication.collection.indexes();
+  const uniqueIndex = indexes.find(
+    (index) => index.key.isbnIssn === 1 && index.unique
+  );
+
+  if (!uniqueIndex) {
+    console.log("No unique isbnIssn index found - nothing to do");
+    return;
+  }
+
+  console.log(`Found unique index "${uniqueIndex.name}"`);
+  if (dryRun) return;
+
+  await Publication.collection.dropIndex(uniqueIndex.name);
+  await Publication.collection.createIndex({ isbnIssn: 1 });
+  console.log("Replaced it with a non-unique isbnIssn index");
+};
+
+run()
+  .catch((error) => {
+    console.error("isbnIssn index migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
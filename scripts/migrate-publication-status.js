@@ -0,0 +1,42 @@
+// One-off migration: publications created before the review workflow were
+// already live, so mark every record without a status as verified.
+// Usage: npm run migrate:publication-status [-- --dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../db/index.js";
+import { Publication } from "../models/index.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  const filter = { status: { $exists: false } };
+  const pending = await Publication.collection.countDocuments(filter);
+  console.log(`Publications without a status: ${pending}`);
+
+  if (dryRun || pending === 0) return;
+
+  const now = new Date();
+  const result = await Publication.collection.updateMany(filter, [
+    {
+      $set: {
+        status: "verified",
+        submittedAt: { $ifNull: ["$createdAt", now] },
+        reviewedAt: { $ifNull: ["$createdAt", now] },
+        reviewedBy: null,
+        reviewNote: null,
+      },
+    },
+  ]);
+  console.log(`Marked ${result.modifiedCount} publications as verified`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Publication status migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
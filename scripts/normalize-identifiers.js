@@ -0,0 +1,74 @@
+// One-off migration: store every isbnIssn in canonical form (ISSN with its
+// hyphen, ISBNs as bare digits) and fill in identifierType. Values that fail
+// the check-digit test are listed, not changed - they need a person to look
+// up the right number. Those records still save as they are; the check
+// applies once someone edits the number.
+// Usage: npm run migrate:identifiers [-- --dry-run]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../db/index.js";
+import { Publication } from "../models/index.js";
+import { parseIdentifier } from "../utils/identifiers.js";
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  const publications = await Publication.find({
+    isbnIssn: { $type: "string" },
+  })
+    .withDeleted()
+    .select("isbnIssn identifierType title")
+    .lean();
+
+  const updates = [];
+  const invalid = [];
+  for (const publication of publications) {
+    const parsed = parseIdentifier(publication.isbnIssn);
+    if (!parsed?.valid) {
+      invalid.push(publication);
+      continue;
+    }
+    if (
+      publication.isbnIssn === parsed.canonical &&
+      publication.identifierType === parsed.type
+    ) {
+      continue;
+    }
+    updates.push({
+      updateOne: {
+        filter: { _id: publication._id },
+        update: { isbnIssn: parsed.canonical, identifierType: parsed.type },
+      },
+    });
+  }
+
+  console.log(`Checked ${publications.length} publications`);
+  console.log(`${updates.length} to normalize`);
+
+  if (invalid.length > 0) {
+    console.log(`${invalid.length} with an invalid ISBN/ISSN:`);
+    for (const publication of invalid) {
+      console.log(
+        `  ${publication._id}  ${publication.isbnIssn}  ${publication.title}`
+      );
+    }
+  }
+
+  if (dryRun || updates.length === 0) return;
+
+  // Raw updates: the values are already canonical, and the invalid ones
+  // above must not block the rest
+  const result = await Publication.bulkWrite(updates, { ordered: false });
+  console.log(`Normalized ${result.modifiedCount} publications`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Identifier migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,26 @@
+// Permanently remove trashed records older than TRASH_RETENTION_DAYS (default 30).
+// Meant to run daily from cron. Usage: npm run purge:trash [-- --retention-days=30]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../db/index.js";
+import { purgeTrash } from "../jobs/purgeTrash.job.js";
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  const arg = process.argv.find((a) => a.startsWith("--retention-days="));
+  const report = await purgeTrash(
+    arg ? { retentionDays: Number(arg.split("=")[1]) } : undefined
+  );
+
+  console.log("Trash purge finished:", report);
+};
+
+run()
+  .catch((error) => {
+    console.error("Trash purge failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
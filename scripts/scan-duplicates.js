@@ -0,0 +1,23 @@
+// Flag possible duplicate publications for the admin duplicates report.
+// Safe to re-run; meant for a nightly cron. Usage: npm run scan:duplicates
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../db/index.js";
+import { scanForDuplicates } from "../jobs/duplicateScan.job.js";
+
+dotenv.config();
+
+const run = async () => {
+  await connectDB();
+
+  const report = await scanForDuplicates();
+
+  console.log("Duplicate scan finished:", report);
+};
+
+run()
+  .catch((error) => {
+    console.error("Duplicate scan failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
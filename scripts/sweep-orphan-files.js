@@ -0,0 +1,41 @@
+// Report (or remove) stored PDFs that no Publication references.
+// Usage: npm run sweep:orphan-files [-- --remove] [-- --provider=local] [-- --min-age-hours=24]
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../db/index.js";
+import { sweepOrphanFiles } from "../jobs/orphanFileSweeper.job.js";
+
+dotenv.config();
+
+const getArg = (name) => {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.split("=")[1] : undefined;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const report = await sweepOrphanFiles({
+    remove: process.argv.includes("--remove"),
+    provider: getArg("provider"),
+    minAgeHours: getArg("min-age-hours")
+      ? Number(getArg("min-age-hours"))
+      : undefined,
+  });
+
+  for (const file of report.orphans) {
+    console.log(`orphan: ${file.fileId} (${file.size} bytes) ${file.url}`);
+  }
+  console.log(
+    `Scanned ${report.scanned} files on ${report.provider}: ` +
+      `${report.orphanCount} orphaned, ${report.removed} removed, ` +
+      `${report.failed.length} failed`
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("Orphan file sweep failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,230 @@
+// Every route in routes/register.route.js has the guard it is meant to
+// have, and nothing but the public allowlist answers without a session.
+// Add new routes to EXPECTED_GUARDS. No database needed.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import router, { PUBLIC_ROUTES } from "../routes/register.route.js";
+import {
+  requireAuthentication,
+  requireAuthor,
+  requireAdminOrAuthor,
+} from "../middlewares/auth.middleware.js";
+
+// Route -> who may use it: "public", "admin" (any admin session), "author"
+// (the faculty portal), "admin or author" (anyone logged in) or the
+// permission(s) its requirePermission guard needs
+const EXPECTED_GUARDS = {
+  // Sessions
+  "POST /admin/login": "public",
+  "POST /admin/logout": "admin",
+  "POST /author/login": "public",
+  "POST /author/logout": "author",
+  "GET /author/me": "author",
+  "GET /author/publications": "author",
+  "POST /author/publications": "author",
+  "POST /password/change": "admin or author",
+  "POST /password/forgot": "public",
+  "POST /password/reset": "public",
+
+  // Registration
+  "POST /publication": "publication:create",
+  "POST /register/admin": "admin:manage",
+  "POST /register/author": "author:create",
+  "POST /register/department": "department:create",
+  "POST /authors/assign-publication": "author:assign",
+
+  // Public data
+  "GET /counts": "public",
+  "GET /authors/employee-id": "public",
+  "GET /publications": "public",
+  "GET /publications/search": "public",
+  "GET /publications/text-search": "public",
+  "GET /publications/author-search": "public",
+  "GET /publications/:id/related": "public",
+  "GET /export/publications/:id": "public",
+  "GET /export/search": "public",
+  "GET /export/authors/:employeeId": "public",
+  "GET /export/departments/:id": "public",
+  "GET /journals": "public",
+  "GET /journals/autocomplete": "public",
+  "GET /journals/:id": "public",
+
+  // Authors
+  "GET /authors/unassigned": "author:read",
+  "GET /authors/publications": "author:read",
+
+  // Submission tools
+  "GET /doi/lookup": "publication:submit",
+  "GET /identifiers/validate": "publication:submit",
+  "POST /publications/duplicates/check": "publication:submit",
+  "GET /contributors": "publication:submit",
+  "GET /contributors/:id": "publication:submit",
+  "PATCH /contributors/:id": "contributor:update",
+
+  // Editing publications
+  "PATCH /publications/:id": "publication:update",
+  "GET /publications/:id/authors": "publication:update",
+  "POST /publications/:id/authors/external": "publication:update",
+  "PUT /publications/:id/authors/order": "publication:update",
+  "PATCH /publications/:id/authors/:authorshipId": "publication:update",
+  "DELETE /publications/:id/authors/:authorshipId": "publication:update",
+  "PUT /publications/:id/file": "publication:update",
+  "GET /publications/:id/file/versions": "publication:update",
+  "POST /publications/:id/file/rollback": "publication:restore",
+
+  // Review
+  "POST /publications/:id/submit": "publication:submit",
+  "POST /publications/:id/verify": "publication:review",
+  "POST /publications/:id/reject": "publication:review",
+  "POST /publications/:id/request-changes": "publication:review",
+  "GET /review/queue": "publication:review",
+
+  // Revision history
+  "GET /publications/:id/revisions": "publication:history",
+  "GET /publications/:id/revisions/diff": "publication:history",
+  "POST /publications/:id/revisions/:version/restore": "publication:restore",
+
+  // Private data
+  "GET /private-data/counts": "data:private",
+  "GET /private-data/users": "data:private",
+  "GET /private-data/departments": "data:private",
+  "GET /private-data/admins": "data:private",
+  "GET /private-data/search/employee-id": "data:private",
+  "GET /private-data/search/fullname": "data:private",
+  "DELETE /private-data/delete/unassigned-author": "author:delete",
+  "DELETE /private-data/delete/department": "department:delete",
+  "DELETE /private-data/delete/publication": "publication:delete",
+
+  // Trash
+  "GET /trash": "trash:read",
+  "POST /trash/:type/:id/restore": "trash:restore",
+
+  // Imports
+  "GET /import/publications": "import:manage",
+  "POST /import/publications": "import:manage",
+  "GET /import/publications/:id": "import:manage",
+  "POST /import/publications/:id/commit": "import:manage",
+  "GET /import/publications/:id/report": "import:manage",
+  "POST /import/citations": "publication:submit",
+  "GET /import/citations/:id": "publication:submit",
+  "POST /import/citations/:id/confirm": "publication:submit",
+
+  // Journals
+  "POST /journals": "journal:manage",
+  "POST /journals/indexing/import": "journal:manage",
+  "PATCH /journals/:id": "journal:manage",
+  "DELETE /journals/:id": "journal:manage",
+  "POST /journals/:id/link-publications": "journal:manage",
+
+  // Duplicates and maintenance
+  "GET /duplicates": "duplicate:manage",
+  "POST /duplicates/:id/dismiss": "duplicate:manage",
+  "POST /duplicates/:id/merge": "duplicate:manage",
+  "GET /maintenance/orphan-files": "maintenance:manage",
+  "DELETE /maintenance/orphan-files": "maintenance:manage",
+
+  // Admin accounts
+  "GET /admins": "admin:manage",
+  "GET /admins/:id": "admin:manage",
+  "PATCH /admins/:id": "admin:manage",
+  "POST /admins/:id/deactivate": "admin:manage",
+  "POST /admins/:id/reactivate": "admin:manage",
+  "POST /admins/:id/reset-password": "admin:manage",
+  "POST /admins/:id/transfer-superadmin": "admin:manage",
+
+  // Login lockouts
+  "GET /security/lockouts": "security:manage",
+  "POST /security/unlock": "security:manage",
+  "GET /security/events": "security:manage",
+};
+
+// The guard a route actually has: its first handler
+const describeGuard = (handler) => {
+  if (handler === requireAuthentication) return "admin";
+  if (handler === requireAuthor) return "author";
+  if (handler === requireAdminOrAuthor) return "admin or author";
+  if (handler.permissions) return handler.permissions.join(" + ");
+  return "public";
+};
+
+// Send a request without a session through the deny-by-default layer and
+// see whether it gets past
+const passesWithoutSession = (layer, method, path) => {
+  let passed = false;
+  const res = { status: () => res, json: () => res };
+  layer.handle({ method, path, session: {} }, res, () => {
+    passed = true;
+  });
+  return passed;
+};
+
+// The deny-by-default layer ahead of the routes
+const findDenyLayer = () => {
+  const firstRoute = router.stack.findIndex((layer) => layer.route);
+  return router.stack
+    .slice(0, firstRoute)
+    .find((layer) => layer.name === "denyUnlessPublic");
+};
+
+// Every mounted route as "METHOD /path" with its first handler
+const getMountedRoutes = () =>
+  router.stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods).map((method) => ({
+        route: `${method.toUpperCase()} ${layer.route.path}`,
+        method: method.toUpperCase(),
+        path: layer.route.path,
+        guard: describeGuard(layer.route.stack[0].handle),
+      }))
+    );
+
+test("requireLoginUnlessPublic is mounted ahead of the routes", () => {
+  assert.ok(findDenyLayer());
+});
+
+test("every route has its intended guard", () => {
+  const problems = [];
+  for (const { route, guard } of getMountedRoutes()) {
+    const expected = EXPECTED_GUARDS[route];
+    if (!expected) {
+      problems.push(`${route}: not listed in EXPECTED_GUARDS (${guard})`);
+    } else if (guard !== expected) {
+      problems.push(`${route}: guarded by ${guard}, expected ${expected}`);
+    }
+  }
+  assert.deepEqual(problems, []);
+});
+
+test("every route in EXPECTED_GUARDS and PUBLIC_ROUTES is mounted", () => {
+  const mounted = new Set(getMountedRoutes().map(({ route }) => route));
+  const missing = [...Object.keys(EXPECTED_GUARDS), ...PUBLIC_ROUTES].filter(
+    (route) => !mounted.has(route)
+  );
+  assert.deepEqual(missing, []);
+});
+
+test("PUBLIC_ROUTES lists exactly the routes meant to be public", () => {
+  const meantPublic = Object.keys(EXPECTED_GUARDS)
+    .filter((route) => EXPECTED_GUARDS[route] === "public")
+    .sort();
+  assert.deepEqual([...PUBLIC_ROUTES].sort(), meantPublic);
+});
+
+test("only public routes get past the deny layer without a session", () => {
+  const denyLayer = findDenyLayer();
+  const problems = [];
+  for (const { route, method, path } of getMountedRoutes()) {
+    const isPublic = PUBLIC_ROUTES.includes(route);
+    // Use a sample value for each :param
+    const samplePath = path.replace(/:[^/]+/g, "sample");
+    if (passesWithoutSession(denyLayer, method, samplePath) !== isPublic) {
+      problems.push(
+        isPublic
+          ? `${route}: public, but turned away without a session`
+          : `${route}: reachable without a session`
+      );
+    }
+  }
+  assert.deepEqual(problems, []);
+});
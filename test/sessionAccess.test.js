@@ -0,0 +1,139 @@
+// Requests through the real router: anonymous visitors are turned away from
+// everything but the public routes, and faculty only add their own
+// publications. The faculty account is faked; no database needed.
+import { test, before, after, mock } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import session from "express-session";
+import router from "../routes/register.route.js";
+import { AuthorProfile } from "../models/authorProfile.model.js";
+import { registerPublication } from "../controllers/user.controller.js";
+
+const faculty = {
+  _id: "665f1c2e8b3a4d0012345678",
+  employee_id: 1001,
+  department: "665f1c2e8b3a4d00aaaaaaaa",
+  isActive: true,
+  sessionVersion: 0,
+};
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    session({ secret: "test-secret", resave: false, saveUninitialized: false })
+  );
+  // Stand-in for /author/login: this header starts a faculty session
+  app.use((req, res, next) => {
+    if (req.get("X-Test-Author")) {
+      req.session.authorId = faculty._id;
+      req.session.sessionVersion = 0;
+    }
+    next();
+  });
+  app.use("/api", router);
+
+  mock.method(AuthorProfile, "findById", () => ({
+    select: async () => faculty,
+  }));
+
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+after(() => {
+  mock.restoreAll();
+  server.close();
+});
+
+test("routes not on the public list answer 401 without a session", async () => {
+  const requests = [
+    ["GET", "/author/me"],
+    ["POST", "/publication"],
+    ["PATCH", "/publications/665f1c2e8b3a4d0012345678"],
+    ["GET", "/publications/665f1c2e8b3a4d0012345678/authors"],
+    ["GET", "/private-data/users"],
+    ["GET", "/trash"],
+    ["POST", "/register/admin"],
+    ["GET", "/admins"],
+    ["GET", "/security/lockouts"],
+    // Not a route at all
+    ["GET", "/no-such-route"],
+  ];
+
+  for (const [method, path] of requests) {
+    const response = await fetch(baseUrl + path, { method });
+    assert.equal(response.status, 401, `${method} ${path}`);
+    assert.equal((await response.json()).success, false);
+  }
+});
+
+const otherEmployeesPublication = {
+  employeeId: "2002",
+  authorName: "Someone Else",
+  authorDeptId: faculty.department,
+  journalType: "International",
+  journalName: "Journal of Testing",
+  isbnIssn: "0317-8471",
+  publicationMonth: "January",
+  publicationYear: 2024,
+  title: "Not my paper",
+};
+
+// The response a controller sends, without Express
+const callController = async (controller, req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await controller(req, res);
+  return res;
+};
+
+test("faculty cannot upload through the admin publication route", async () => {
+  const response = await fetch(`${baseUrl}/publication`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Test-Author": "1" },
+    body: JSON.stringify(otherEmployeesPublication),
+  });
+
+  assert.equal(response.status, 403);
+  assert.deepEqual((await response.json()).missingPermissions, [
+    "publication:create",
+  ]);
+});
+
+test("faculty cannot register a publication for another employee ID", async () => {
+  const res = await callController(registerPublication, {
+    author: faculty,
+    body: { ...otherEmployeesPublication },
+  });
+
+  assert.equal(res.statusCode, 403);
+  assert.match(res.body.message, /your own employee ID/);
+});
+
+test("faculty cannot register a publication in another department", async () => {
+  const res = await callController(registerPublication, {
+    author: faculty,
+    body: {
+      ...otherEmployeesPublication,
+      employeeId: String(faculty.employee_id),
+      authorDeptId: "665f1c2e8b3a4d00bbbbbbbb",
+    },
+  });
+
+  assert.equal(res.statusCode, 403);
+});
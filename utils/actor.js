@@ -0,0 +1,23 @@
+// Who is making the current request - an admin (req.user) or an author (req.author).
+// Used wherever we record "changed by" / "uploaded by" information.
+const getRequestActor = (req) => {
+  if (req.user) {
+    return {
+      id: req.user._id,
+      model: "Admin",
+      name: req.user.fullname,
+    };
+  }
+
+  if (req.author) {
+    return {
+      id: req.author._id,
+      model: "Author",
+      name: req.author.author_name,
+    };
+  }
+
+  return null;
+};
+
+export { getRequestActor };
@@ -0,0 +1,343 @@
+import { toCsv } from "./csv.js";
+import { parseIdentifier } from "./identifiers.js";
+
+// Citation formats we can export, with how each one is served
+export const CITATION_FORMATS = {
+  bibtex: { extension: "bib", contentType: "application/x-bibtex" },
+  ris: { extension: "ris", contentType: "application/x-research-info-systems" },
+  "csl-json": {
+    extension: "json",
+    contentType: "application/vnd.citationstyles.csl+json",
+  },
+  csv: { extension: "csv", contentType: "text/csv" },
+};
+
+const MONTH_ABBREVIATIONS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+// publicationType -> entry type in each format. Edited volumes list their
+// editors where other types list authors.
+const ENTRY_TYPES = {
+  "journal-article": { bibtex: "article", ris: "JOUR", csl: "article-journal" },
+  "conference-paper": {
+    bibtex: "inproceedings",
+    ris: "CONF",
+    csl: "paper-conference",
+  },
+  "book-chapter": { bibtex: "incollection", ris: "CHAP", csl: "chapter" },
+  book: { bibtex: "book", ris: "BOOK", csl: "book" },
+  "edited-volume": { bibtex: "book", ris: "EDBOOK", csl: "book" },
+  patent: { bibtex: "patent", ris: "PAT", csl: "patent" },
+};
+
+// Ordered author names: the author list (the `authors` virtual, registered
+// and external authors) when populated, led by the uploader if they are not
+// on it; otherwise the uploader plus coAuthors
+const getAuthorNames = (publication) => {
+  if (Array.isArray(publication.authors) && publication.authors.length > 0) {
+    const names = [...publication.authors]
+      .sort((a, b) => (a.order || 0) - (b.order || 0))
+      .map((author) => author.displayName)
+      .filter(Boolean);
+    const uploaderListed = publication.authors.some(
+      (author) =>
+        author.profile &&
+        String(author.profile.employee_id) === String(publication.employeeId)
+    );
+    return uploaderListed || !publication.authorName
+      ? names
+      : [publication.authorName, ...names];
+  }
+
+  return [publication.authorName, ...(publication.coAuthors || [])].filter(
+    Boolean
+  );
+};
+
+// "Jane Q. Doe" / "Doe, Jane Q." -> { family: "Doe", given: "Jane Q." }
+const splitName = (name) => {
+  const trimmed = name.trim();
+  if (trimmed.includes(",")) {
+    const [family, ...given] = trimmed.split(",");
+    return { family: family.trim(), given: given.join(",").trim() };
+  }
+
+  const parts = trimmed.split(/\s+/);
+  if (parts.length === 1) return { family: parts[0], given: "" };
+  return { family: parts.pop(), given: parts.join(" ") };
+};
+
+// Plain citation fields shared by every format
+const toCitation = (publication) => {
+  const identifier = (publication.isbnIssn || "").toUpperCase();
+  const isIssn = parseIdentifier(identifier)?.type === "issn";
+  const month = parseInt(publication.publicationMonth, 10);
+
+  const type = publication.publicationType || "journal-article";
+  const { conference, book, patent } = publication;
+
+  return {
+    id: String(publication._id),
+    type,
+    title: publication.title,
+    authors: getAuthorNames(publication),
+    // Journal, proceedings, or the book a chapter is in
+    journal:
+      publication.journalName ||
+      (type === "conference-paper" ? conference?.name : null) ||
+      null,
+    journalType: publication.journalType,
+    conferenceName: conference?.name || null,
+    conferenceLocation: conference?.location || null,
+    publisher: book?.publisher || null,
+    edition: book?.edition || null,
+    editors: book?.editors || [],
+    patentNumber: patent?.number || null,
+    patentStatus: patent?.status || null,
+    jurisdiction: patent?.jurisdiction || null,
+    year: publication.publicationYear,
+    month: month >= 1 && month <= 12 ? month : null,
+    issn: isIssn ? identifier : null,
+    isbn: identifier && !isIssn ? identifier : null,
+    doi: publication.doi || null,
+    department: publication.department?.name || null,
+    url: publication.file_url || null,
+  };
+};
+
+// BibTeX: escape the characters LaTeX treats specially
+const escapeBibtex = (value) =>
+  String(value)
+    .replace(/\\/g, "\\textbackslash{}")
+    .replace(/([{}&%$#_])/g, "\\$1")
+    .replace(/~/g, "\\textasciitilde{}")
+    .replace(/\^/g, "\\textasciicircum{}");
+
+// Citation key: first author's family name + year + first real title word
+const buildBibtexKey = (citation, usedKeys) => {
+  const family = citation.authors[0]
+    ? splitName(citation.authors[0]).family
+    : "anonymous";
+  const firstWord =
+    (citation.title || "").split(/\s+/).find((word) => word.length > 3) || "";
+  const base =
+    `${family}${citation.year || ""}${firstWord}`
+      .normalize("NFKD")
+      .replace(/[^A-Za-z0-9]/g, "")
+      .toLowerCase() || "publication";
+
+  // Same author/year/word twice: smith2024deep, smith2024deepa, smith2024deepb...
+  let key = base;
+  for (let suffix = 0; usedKeys.has(key); suffix++) {
+    key = `${base}${suffix < 26 ? String.fromCharCode(97 + suffix) : suffix}`;
+  }
+  usedKeys.add(key);
+  return key;
+};
+
+const formatBibtex = (citations) => {
+  const usedKeys = new Set();
+
+  return citations
+    .map((citation) => {
+      const { type } = citation;
+      const names = citation.authors.map(escapeBibtex).join(" and ");
+      const editors =
+        type === "edited-volume"
+          ? names
+          : citation.editors.map(escapeBibtex).join(" and ");
+      const container = citation.journal && escapeBibtex(citation.journal);
+
+      const lines = [
+        ["author", type !== "edited-volume" && names],
+        ["editor", editors],
+        // Double braces keep the title's capitalisation
+        ["title", citation.title && `{${escapeBibtex(citation.title)}}`],
+        ["journal", type === "journal-article" && container],
+        [
+          "booktitle",
+          ["conference-paper", "book-chapter"].includes(type) && container,
+        ],
+        ["publisher", citation.publisher && escapeBibtex(citation.publisher)],
+        ["edition", citation.edition && escapeBibtex(citation.edition)],
+        [
+          "address",
+          citation.conferenceLocation &&
+            escapeBibtex(citation.conferenceLocation),
+        ],
+        [
+          "number",
+          citation.patentNumber && escapeBibtex(citation.patentNumber),
+        ],
+        ["location", citation.jurisdiction],
+        ["note", citation.patentStatus && `Patent ${citation.patentStatus}`],
+        ["year", citation.year],
+        ["issn", citation.issn],
+        ["isbn", citation.isbn],
+        ["doi", citation.doi],
+        ["url", citation.url],
+      ]
+        .filter(([, value]) => value)
+        .map(([name, value]) => `  ${name} = {${value}}`);
+
+      // Months use BibTeX's built-in macros, without braces
+      if (citation.month) {
+        lines.push(`  month = ${MONTH_ABBREVIATIONS[citation.month - 1]}`);
+      }
+
+      const key = buildBibtexKey(citation, usedKeys);
+      return `@${ENTRY_TYPES[type].bibtex}{${key},\n${lines.join(",\n")}\n}\n`;
+    })
+    .join("\n");
+};
+
+const formatRis = (citations) =>
+  citations
+    .map((citation) => {
+      const lines = [["TY", ENTRY_TYPES[citation.type].ris]];
+      for (const author of citation.authors) lines.push(["AU", author]);
+      for (const editor of citation.editors) lines.push(["A2", editor]);
+      lines.push(["TI", citation.title]);
+      // Journals go in JO; proceedings and book titles in T2
+      lines.push([
+        citation.type === "journal-article" ? "JO" : "T2",
+        citation.journal,
+      ]);
+      lines.push(["CY", citation.conferenceLocation || citation.jurisdiction]);
+      lines.push(["PB", citation.publisher]);
+      lines.push(["ET", citation.edition]);
+      lines.push(["PY", citation.year]);
+      if (citation.year && citation.month) {
+        lines.push([
+          "DA",
+          `${citation.year}/${String(citation.month).padStart(2, "0")}`,
+        ]);
+      }
+      // SN holds the patent number for patents
+      lines.push([
+        "SN",
+        citation.issn || citation.isbn || citation.patentNumber,
+      ]);
+      lines.push(["M3", citation.patentStatus]);
+      lines.push(["DO", citation.doi]);
+      lines.push(["UR", citation.url]);
+      lines.push(["ID", citation.id]);
+
+      return (
+        lines
+          .filter(([, value]) => value)
+          .map(([tag, value]) => `${tag}  - ${value}`)
+          .join("\r\n") + "\r\nER  - \r\n"
+      );
+    })
+    .join("\r\n");
+
+const formatCslJson = (citations) =>
+  JSON.stringify(
+    citations.map((citation) => {
+      const toCslName = (name) => {
+        const { family, given } = splitName(name);
+        return given ? { family, given } : { literal: name };
+      };
+
+      const item = {
+        id: citation.id,
+        type: ENTRY_TYPES[citation.type].csl,
+        title: citation.title,
+        "container-title": citation.journal,
+        [citation.type === "edited-volume" ? "editor" : "author"]:
+          citation.authors.map(toCslName),
+      };
+
+      if (citation.type !== "edited-volume" && citation.editors.length > 0) {
+        item.editor = citation.editors.map(toCslName);
+      }
+      if (citation.conferenceName) {
+        item["event-title"] = citation.conferenceName;
+      }
+      if (citation.conferenceLocation) {
+        item["event-place"] = citation.conferenceLocation;
+      }
+      if (citation.publisher) item.publisher = citation.publisher;
+      if (citation.edition) item.edition = citation.edition;
+      if (citation.patentNumber) item.number = citation.patentNumber;
+      if (citation.jurisdiction) item.jurisdiction = citation.jurisdiction;
+      if (citation.patentStatus) item.status = citation.patentStatus;
+
+      if (citation.year) {
+        const dateParts = [parseInt(citation.year, 10)];
+        if (citation.month) dateParts.push(citation.month);
+        item.issued = { "date-parts": [dateParts] };
+      }
+      if (citation.issn) item.ISSN = citation.issn;
+      if (citation.isbn) item.ISBN = citation.isbn;
+      if (citation.doi) item.DOI = citation.doi;
+      if (citation.url) item.URL = citation.url;
+
+      return item;
+    }),
+    null,
+    2
+  );
+
+const CSV_COLUMNS = [
+  "id",
+  "type",
+  "title",
+  "authors",
+  "journal",
+  "journalType",
+  "conferenceName",
+  "conferenceLocation",
+  "publisher",
+  "edition",
+  "patentNumber",
+  "patentStatus",
+  "jurisdiction",
+  "issn",
+  "isbn",
+  "doi",
+  "year",
+  "month",
+  "department",
+  "url",
+];
+
+const formatCsv = (citations) =>
+  toCsv(
+    CSV_COLUMNS,
+    citations.map((citation) => ({
+      ...citation,
+      authors: citation.authors.join("; "),
+    }))
+  );
+
+const FORMATTERS = {
+  bibtex: formatBibtex,
+  ris: formatRis,
+  "csl-json": formatCslJson,
+  csv: formatCsv,
+};
+
+// Render publications (with `authors` and `department` populated) in a
+// citation format from CITATION_FORMATS
+export const formatCitations = (publications, format) => {
+  const formatter = FORMATTERS[format];
+  if (!formatter) {
+    throw new Error(`Unsupported citation format: ${format}`);
+  }
+
+  return formatter(publications.map(toCitation));
+};
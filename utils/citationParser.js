@@ -0,0 +1,320 @@
+import { toCanonicalIdentifier } from "./identifiers.js";
+
+// Readers for reference-manager exports (Zotero, Mendeley, EndNote...):
+// BibTeX (.bib) and RIS (.ris). Both produce the same plain citation shape
+// the import maps onto Publication fields.
+
+const BIBTEX_MONTHS = {
+  jan: "1",
+  feb: "2",
+  mar: "3",
+  apr: "4",
+  may: "5",
+  jun: "6",
+  jul: "7",
+  aug: "8",
+  sep: "9",
+  oct: "10",
+  nov: "11",
+  dec: "12",
+};
+
+// Common LaTeX accent commands -> combining characters
+const LATEX_ACCENTS = {
+  "'": "\u0301",
+  "`": "\u0300",
+  "^": "\u0302",
+  '"': "\u0308",
+  "~": "\u0303",
+  "=": "\u0304",
+  ".": "\u0307",
+  c: "\u0327",
+  v: "\u030c",
+  u: "\u0306",
+  H: "\u030b",
+};
+
+// Turn a BibTeX value into plain text: accents, escapes, braces, whitespace
+const cleanLatex = (value) =>
+  value
+    .replace(
+      /\\([`'^"~=.]|[cvuH](?=[\s{]))\s*\{?\s*([A-Za-z])\}?/g,
+      (match, accent, letter) =>
+        (letter + (LATEX_ACCENTS[accent] || "")).normalize("NFC")
+    )
+    .replace(/\\([&%$#_{}])/g, "$1")
+    .replace(/\\textbackslash\{\}/g, "\\")
+    .replace(/---?/g, "-")
+    .replace(/[{}]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Reads one `{...}` or `"..."` value starting at `start`; returns the raw
+// text and the index just after it
+const readDelimited = (text, start) => {
+  const open = text[start];
+  const close = open === "{" ? "}" : '"';
+  let depth = 0;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\") {
+      i++;
+      continue;
+    }
+    if (char === "{") depth++;
+    if (char === "}") depth--;
+    if (open === '"' && char === '"' && i > start && depth === 0) {
+      return { raw: text.slice(start + 1, i), end: i + 1 };
+    }
+    if (open === "{" && char === close && depth === 0) {
+      return { raw: text.slice(start + 1, i), end: i + 1 };
+    }
+  }
+
+  throw new Error("Unterminated value");
+};
+
+// Parse the `key = value, ...` body of an entry. Values may be braced,
+// quoted, numbers or @string macros, joined with `#`.
+const parseBibtexFields = (body, macros) => {
+  const fields = {};
+  let i = 0;
+
+  const skipSpace = () => {
+    while (i < body.length && /[\s,]/.test(body[i])) i++;
+  };
+
+  while (i < body.length) {
+    skipSpace();
+    const nameMatch = /^([A-Za-z][\w\-:.]*)\s*=\s*/.exec(body.slice(i));
+    if (!nameMatch) break;
+    const name = nameMatch[1].toLowerCase();
+    i += nameMatch[0].length;
+
+    const parts = [];
+    for (;;) {
+      while (/\s/.test(body[i])) i++;
+      if (body[i] === "{" || body[i] === '"') {
+        const { raw, end } = readDelimited(body, i);
+        parts.push(raw);
+        i = end;
+      } else {
+        const bare = /^[^\s,#}]+/.exec(body.slice(i));
+        if (!bare) break;
+        const word = bare[0];
+        parts.push(
+          macros[word.toLowerCase()] ??
+            BIBTEX_MONTHS[word.toLowerCase()] ??
+            word
+        );
+        i += word.length;
+      }
+      while (/\s/.test(body[i])) i++;
+      if (body[i] !== "#") break;
+      i++;
+    }
+
+    fields[name] = parts.join("");
+  }
+
+  return fields;
+};
+
+// Parse BibTeX text into [{ type, key, fields }]. @comment/@preamble are
+// skipped and @string macros are expanded.
+export const parseBibtex = (text) => {
+  const entries = [];
+  const macros = {};
+  const entryStart = /@([A-Za-z]+)\s*([{(])/g;
+
+  let match;
+  while ((match = entryStart.exec(text))) {
+    const type = match[1].toLowerCase();
+    const bodyStart = match.index + match[0].length - 1;
+
+    let body;
+    let end;
+    try {
+      if (match[2] === "{") {
+        ({ raw: body, end } = readDelimited(text, bodyStart));
+      } else {
+        end = text.indexOf(")", bodyStart);
+        if (end === -1) throw new Error("Unterminated entry");
+        body = text.slice(bodyStart + 1, end);
+        end++;
+      }
+    } catch (error) {
+      entries.push({ type, key: null, fields: {}, error: error.message });
+      break;
+    }
+    entryStart.lastIndex = end;
+
+    if (type === "comment" || type === "preamble") continue;
+
+    if (type === "string") {
+      for (const [name, value] of Object.entries(
+        parseBibtexFields(body, macros)
+      )) {
+        macros[name] = value;
+      }
+      continue;
+    }
+
+    const comma = body.indexOf(",");
+    const key = (comma === -1 ? body : body.slice(0, comma)).trim();
+    const rawFields = parseBibtexFields(
+      comma === -1 ? "" : body.slice(comma + 1),
+      macros
+    );
+
+    const fields = {};
+    for (const [name, value] of Object.entries(rawFields)) {
+      fields[name] = name === "url" ? value.trim() : cleanLatex(value);
+    }
+
+    entries.push({ type, key, fields });
+  }
+
+  return entries;
+};
+
+// Parse RIS text into [{ type, fields }] where fields maps each tag to the
+// list of its values (AU, KW... repeat)
+export const parseRis = (text) => {
+  const entries = [];
+  let current = null;
+  let lastTag = null;
+
+  for (const line of text.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    const match = /^([A-Z][A-Z0-9])  -\s?(.*)$/.exec(line);
+
+    if (!match) {
+      // Continuation of a long value
+      if (current && lastTag && line.trim()) {
+        const values = current.fields[lastTag];
+        values[values.length - 1] += ` ${line.trim()}`;
+      }
+      continue;
+    }
+
+    const [, tag, value] = match;
+    if (tag === "TY") {
+      current = { type: value.trim(), fields: {} };
+      lastTag = null;
+      continue;
+    }
+    if (!current) continue;
+
+    if (tag === "ER") {
+      entries.push(current);
+      current = null;
+      lastTag = null;
+      continue;
+    }
+
+    (current.fields[tag] = current.fields[tag] || []).push(value.trim());
+    lastTag = tag;
+  }
+
+  // File cut off before the final ER
+  if (current) entries.push(current);
+
+  return entries;
+};
+
+// "Doe, Jane and Smith, John" -> ["Jane Doe", "John Smith"]
+const splitBibtexAuthors = (value = "") =>
+  value
+    .split(/\s+and\s+/i)
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map(toDisplayName);
+
+// "Doe, Jane" -> "Jane Doe"; "Jane Doe" stays as is
+const toDisplayName = (name) => {
+  const [family, ...given] = name.split(",").map((part) => part.trim());
+  return given.length > 0 && given[0]
+    ? `${given.join(" ")} ${family}`.trim()
+    : family;
+};
+
+// First identifier in canonical form (ISSN hyphenated, ISBN bare digits)
+const normalizeIdentifier = (value = "") => {
+  // Several identifiers in one field (print and online ISSN, ISBN-10/13)
+  const first =
+    value
+      .split(/[,;\s]+(?=\S)/)[0]
+      ?.trim()
+      .toUpperCase() || "";
+  return toCanonicalIdentifier(first);
+};
+
+const parseMonth = (value = "") => {
+  const trimmed = value.trim().toLowerCase();
+  if (/^\d{1,2}$/.test(trimmed)) return String(parseInt(trimmed, 10));
+  return BIBTEX_MONTHS[trimmed.slice(0, 3)] || null;
+};
+
+// Shared citation shape: { title, journalName, year, month, identifier,
+// authors, doi, sourceType, key } plus the book/conference/patent details
+// { publisher, location, edition, editors, number }
+const fromBibtexEntry = ({ type, key, fields }) => ({
+  key,
+  sourceType: type,
+  title: fields.title || "",
+  journalName: fields.journal || fields.journaltitle || fields.booktitle || "",
+  publisher: fields.publisher || "",
+  // Conference venue, or the patent office for @patent
+  location: fields.address || fields.location || fields.venue || "",
+  edition: fields.edition || "",
+  editors: splitBibtexAuthors(fields.editor),
+  number: fields.number || "",
+  year: (fields.year || fields.date || "").slice(0, 4),
+  month:
+    parseMonth(fields.month || "") ||
+    parseMonth((fields.date || "").split("-")[1] || ""),
+  identifier: normalizeIdentifier(fields.issn || fields.isbn || ""),
+  authors: splitBibtexAuthors(fields.author),
+  doi: fields.doi || null,
+});
+
+const fromRisEntry = ({ type, fields }) => {
+  const first = (tag) => (fields[tag] || [])[0] || "";
+  // PY/DA: "2024/03/15/other" - year, then optional month
+  const [year = "", month = ""] = (
+    first("PY") ||
+    first("DA") ||
+    first("Y1")
+  ).split("/");
+
+  return {
+    key: first("ID") || null,
+    sourceType: type,
+    title: first("TI") || first("T1"),
+    journalName:
+      first("JO") || first("JF") || first("T2") || first("JA") || first("BT"),
+    publisher: first("PB"),
+    location: first("CY") || first("C1"),
+    edition: first("ET"),
+    editors: [...(fields.A2 || []), ...(fields.ED || [])].map(toDisplayName),
+    // Patents keep their number in SN (see utils/citation.js)
+    number: type === "PAT" ? first("SN") || first("M1") : "",
+    year: year.slice(0, 4),
+    month: parseMonth(month) || parseMonth(first("DA").split("/")[1] || ""),
+    identifier: type === "PAT" ? "" : normalizeIdentifier(first("SN")),
+    authors: [...(fields.AU || []), ...(fields.A1 || [])].map(toDisplayName),
+    doi: first("DO") || null,
+  };
+};
+
+// Parse a .bib or .ris upload into citation objects
+export const parseCitationFile = (text, format) => {
+  if (format === "bibtex") {
+    return parseBibtex(text).map((entry) =>
+      entry.error ? { error: entry.error } : fromBibtexEntry(entry)
+    );
+  }
+  if (format === "ris") return parseRis(text).map(fromRisEntry);
+  throw new Error(`Unsupported citation format: ${format}`);
+};
@@ -0,0 +1,16 @@
+// DOIs: "10.<registrant>/<suffix>". Stored lowercase - DOIs are case-insensitive.
+export const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+// Accepts bare DOIs as well as "doi:..." and https://doi.org/... links
+export const normalizeDoi = (value) => {
+  if (value === null || value === undefined) return "";
+
+  return String(value)
+    .trim()
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, "")
+    .replace(/^doi:\s*/i, "")
+    .trim()
+    .toLowerCase();
+};
+
+export const isValidDoi = (value) => DOI_PATTERN.test(normalizeDoi(value));
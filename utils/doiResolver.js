@@ -0,0 +1,124 @@
+import fs from "fs";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+// Crossref-compatible metadata lookup for a DOI.
+//   DOI_RESOLVER_URL        base URL, the DOI is appended (default Crossref)
+//   DOI_RESOLVER_MAILTO     contact address for Crossref's polite pool
+//   DOI_RESOLVER_TIMEOUT_MS request timeout (default 8000)
+//   DOI_RESOLVER_STUB_FILE  JSON file of { "<doi>": <Crossref "message"> } used
+//                           instead of the network (local development/tests)
+const DEFAULT_RESOLVER_URL = "https://api.crossref.org/works/";
+
+// Errors carry the HTTP status the lookup endpoint should answer with
+const lookupError = (message, status) =>
+  Object.assign(new Error(message), { status });
+
+const readStub = async (stubFile, doi) => {
+  const stub = JSON.parse(await fs.promises.readFile(stubFile, "utf8"));
+  const match = Object.entries(stub).find(([key]) => key.toLowerCase() === doi);
+  if (!match) throw lookupError("DOI not found", 404);
+  return match[1];
+};
+
+const fetchCrossrefMessage = async (doi) => {
+  const baseUrl = process.env.DOI_RESOLVER_URL || DEFAULT_RESOLVER_URL;
+  const timeout = parseInt(process.env.DOI_RESOLVER_TIMEOUT_MS, 10) || 8000;
+  const mailto = process.env.DOI_RESOLVER_MAILTO;
+
+  let response;
+  try {
+    response = await fetch(`${baseUrl}${encodeURIComponent(doi)}`, {
+      headers: {
+        Accept: "application/json",
+        "User-Agent": `research-publication/1.0${
+          mailto ? ` (mailto:${mailto})` : ""
+        }`,
+      },
+      signal: AbortSignal.timeout(timeout),
+    });
+  } catch (error) {
+    throw lookupError(`Metadata service unreachable: ${error.message}`, 502);
+  }
+
+  if (response.status === 404) {
+    throw lookupError("DOI not found", 404);
+  }
+  if (!response.ok) {
+    throw lookupError(`Metadata service answered ${response.status}`, 502);
+  }
+
+  // A proxy or outage page can answer 200 with HTML
+  let body;
+  try {
+    body = await response.json();
+  } catch {
+    body = null;
+  }
+  if (!body || typeof body !== "object") {
+    throw lookupError(
+      "Metadata service answered with an unreadable record",
+      502
+    );
+  }
+
+  // Crossref wraps the record in { status, message }
+  return body.message || body;
+};
+
+// First date Crossref knows: print, then online, then "issued"
+const getPublishedDate = (message) => {
+  for (const key of ["published-print", "published-online", "issued"]) {
+    const parts = message[key]?.["date-parts"]?.[0];
+    if (parts && parts[0]) return { year: parts[0], month: parts[1] || null };
+  }
+  return { year: null, month: null };
+};
+
+// Print ISSN first, then any ISSN, then ISBN
+const getIdentifier = (message) => {
+  const printIssn = (message["issn-type"] || []).find(
+    (entry) => entry.type === "print"
+  );
+  return (
+    printIssn?.value ||
+    (message.ISSN || [])[0] ||
+    (message.ISBN || [])[0] ||
+    null
+  );
+};
+
+const toAuthorName = (author) =>
+  author.name || [author.given, author.family].filter(Boolean).join(" ");
+
+// Look up a (normalized) DOI and map the record onto Publication fields
+export const lookupDoi = async (doi) => {
+  const stubFile = process.env.DOI_RESOLVER_STUB_FILE;
+  const message = stubFile
+    ? await readStub(stubFile, doi)
+    : await fetchCrossrefMessage(doi);
+
+  const { year, month } = getPublishedDate(message);
+  // Crossref keeps authors in byline order
+  const authors = (message.author || []).map(toAuthorName).filter(Boolean);
+
+  return {
+    doi: (message.DOI || doi).toLowerCase(),
+    title: (message.title || [])[0] || null,
+    journalName: (message["container-title"] || [])[0] || null,
+    isbnIssn: getIdentifier(message)?.toUpperCase() || null,
+    publicationYear: year ? String(year) : null,
+    publicationMonth: month ? String(month) : null,
+    authors,
+    publisher: message.publisher || null,
+    type: message.type || null,
+    // Proceedings articles name the conference they were presented at
+    event: message.event
+      ? {
+          name: message.event.name || null,
+          location: message.event.location || null,
+        }
+      : null,
+  };
+};
@@ -0,0 +1,163 @@
+import { Publication } from "../models/index.js";
+import { normalizeDoi } from "./doi.js";
+import { normalizeTitle, titleSimilarity } from "./similarity.js";
+
+// Near-identical titles are a duplicate on their own
+const TITLE_MATCH_THRESHOLD = 0.9;
+// Merely similar titles also need the same journal/year and shared authors
+const TITLE_RELATED_THRESHOLD = 0.75;
+const AUTHOR_OVERLAP_THRESHOLD = 0.5;
+
+// How many title-search / same-journal candidates to compare against
+const TEXT_CANDIDATES = 15;
+const VENUE_CANDIDATES = 100;
+
+const CANDIDATE_FIELDS =
+  "title journalName publicationYear isbnIssn doi authorName coAuthors employeeId status";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getAuthorSet = (publication) =>
+  new Set(
+    [publication.authorName, ...(publication.coAuthors || [])]
+      .map((name) => normalizeTitle(name || ""))
+      .filter(Boolean)
+  );
+
+// Shared authors as a share of everyone named on either record (0..1)
+const authorOverlap = (a, b) => {
+  const left = getAuthorSet(a);
+  const right = getAuthorSet(b);
+  const union = new Set([...left, ...right]);
+  if (union.size === 0) return 0;
+
+  let shared = 0;
+  for (const name of left) if (right.has(name)) shared++;
+  return shared / union.size;
+};
+
+const isSameVenue = (a, b) => {
+  const journal = normalizeTitle(a.journalName || "");
+  if (journal && journal === normalizeTitle(b.journalName || "")) return true;
+  return (
+    !!a.isbnIssn &&
+    String(a.isbnIssn).toUpperCase() === String(b.isbnIssn || "").toUpperCase()
+  );
+};
+
+// Compare two publications (documents or plain objects with Publication
+// fields). Returns { isDuplicate, score (0..1), reasons }.
+export const compareForDuplicates = (a, b) => {
+  const doiA = normalizeDoi(a.doi);
+  const doiB = normalizeDoi(b.doi);
+
+  if (doiA && doiA === doiB) {
+    return { isDuplicate: true, score: 1, reasons: ["Same DOI"] };
+  }
+  // Two different DOIs are two different works
+  if (doiA && doiB) {
+    return { isDuplicate: false, score: 0, reasons: [] };
+  }
+
+  const titleScore = titleSimilarity(a.title, b.title);
+  const sameVenueAndYear =
+    isSameVenue(a, b) &&
+    !!a.publicationYear &&
+    String(a.publicationYear) === String(b.publicationYear);
+  const overlap = authorOverlap(a, b);
+
+  const reasons = [];
+  if (titleScore >= TITLE_RELATED_THRESHOLD) {
+    reasons.push(`Title ${Math.round(titleScore * 100)}% similar`);
+  }
+  if (sameVenueAndYear) reasons.push("Same journal and year");
+  if (overlap > 0) {
+    reasons.push(`${Math.round(overlap * 100)}% author overlap`);
+  }
+
+  const isDuplicate =
+    titleScore >= TITLE_MATCH_THRESHOLD ||
+    (titleScore >= TITLE_RELATED_THRESHOLD &&
+      sameVenueAndYear &&
+      overlap >= AUTHOR_OVERLAP_THRESHOLD);
+
+  const score =
+    0.6 * titleScore + 0.2 * (sameVenueAndYear ? 1 : 0) + 0.2 * overlap;
+
+  return { isDuplicate, score: Math.round(score * 100) / 100, reasons };
+};
+
+// Existing publications worth comparing against: same DOI, best title
+// matches, and papers from the same journal and year
+const findCandidates = async (publication) => {
+  const queries = [];
+
+  const doi = normalizeDoi(publication.doi);
+  if (doi) {
+    queries.push(Publication.find({ doi }).select(CANDIDATE_FIELDS).lean());
+  }
+
+  if (normalizeTitle(publication.title || "")) {
+    queries.push(
+      Publication.find(
+        { $text: { $search: publication.title } },
+        { score: { $meta: "textScore" } }
+      )
+        .sort({ score: { $meta: "textScore" } })
+        .limit(TEXT_CANDIDATES)
+        .select(CANDIDATE_FIELDS)
+        .lean()
+    );
+  }
+
+  if (publication.journalName && publication.publicationYear) {
+    queries.push(
+      Publication.find({
+        journalName: {
+          $regex: `^${escapeRegex(publication.journalName.trim())}$`,
+          $options: "i",
+        },
+        publicationYear: String(publication.publicationYear),
+      })
+        .limit(VENUE_CANDIDATES)
+        .select(CANDIDATE_FIELDS)
+        .lean()
+    );
+  }
+
+  const candidates = new Map();
+  for (const results of await Promise.all(queries)) {
+    for (const candidate of results) {
+      candidates.set(String(candidate._id), candidate);
+    }
+  }
+  return [...candidates.values()];
+};
+
+// Likely duplicates of `publication` among existing (non-trashed)
+// publications, best match first:
+// [{ publication: { _id, title, ... }, score, reasons }]
+export const findPossibleDuplicates = async (
+  publication,
+  { excludeIds = [], limit = 5 } = {}
+) => {
+  const excluded = new Set(
+    [publication._id, ...excludeIds].filter(Boolean).map(String)
+  );
+
+  const matches = [];
+  for (const candidate of await findCandidates(publication)) {
+    if (excluded.has(String(candidate._id))) continue;
+
+    const { isDuplicate, score, reasons } = compareForDuplicates(
+      publication,
+      candidate
+    );
+    if (!isDuplicate) continue;
+
+    const { coAuthors, score: textScore, ...summary } = candidate;
+    matches.push({ publication: summary, score, reasons });
+  }
+
+  return matches.sort((a, b) => b.score - a.score).slice(0, limit);
+};
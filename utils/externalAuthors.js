@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import {
+  Authorship,
+  ExternalContributor,
+  Publication,
+} from "../models/index.js";
+import { normalizeOrcid } from "./identifiers.js";
+
+const CONTRIBUTOR_FIELDS = ["name", "affiliation", "email", "orcid", "country"];
+
+const badInput = (message) =>
+  Object.assign(new Error(message), { status: 400 });
+
+const toEntry = (item) => {
+  if (typeof item === "string") {
+    const name = item.trim();
+    return name ? { name } : null;
+  }
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    throw badInput("External co-authors must be names or objects");
+  }
+
+  if (item.contributorId) {
+    if (!mongoose.isValidObjectId(item.contributorId)) {
+      throw badInput(`Invalid contributor ID: ${item.contributorId}`);
+    }
+    return { contributorId: String(item.contributorId) };
+  }
+
+  const entry = {};
+  for (const field of CONTRIBUTOR_FIELDS) {
+    const value = item[field];
+    if (value !== undefined && value !== null && String(value).trim() !== "") {
+      entry[field] = String(value).trim();
+    }
+  }
+  if (!entry.name) throw badInput("Every external co-author needs a name");
+  return entry;
+};
+
+// External co-authors arrive as names ("A. Rao, B. Sen" or an array of them)
+// or with details: { name, affiliation, email, orcid, country }, or
+// { contributorId } for someone already on file. Multipart forms send the
+// list as a JSON string. Returns the entries in order; throws (status 400)
+// on anything else.
+export const readExternalAuthors = (value) => {
+  if (value === undefined || value === null || value === "") return [];
+
+  let list = value;
+  if (typeof value === "string") {
+    const trimmed = value.trim();
+    if (trimmed.startsWith("[")) {
+      try {
+        list = JSON.parse(trimmed);
+      } catch {
+        throw badInput("External co-authors must be a list");
+      }
+    } else {
+      list = trimmed.split(",");
+    }
+  }
+  if (!Array.isArray(list)) list = [list];
+
+  return list.map(toEntry).filter(Boolean);
+};
+
+// The contributor for an entry: the one picked by id, the one with the same
+// ORCID iD, or a new record. Names alone are never matched - two "A. Kumar"s
+// are usually two people.
+export const findOrCreateContributor = async (entry) => {
+  if (entry.contributorId) {
+    const contributor = await ExternalContributor.findById(entry.contributorId);
+    if (!contributor) {
+      throw Object.assign(
+        new Error(`External contributor ${entry.contributorId} not found`),
+        { status: 404 }
+      );
+    }
+    return contributor;
+  }
+
+  const orcid = normalizeOrcid(entry.orcid);
+  if (orcid) {
+    const existing = await ExternalContributor.findOne({ orcid });
+    if (existing) return existing;
+  }
+
+  return ExternalContributor.create(entry);
+};
+
+// Append external co-authors to a publication's author list, after whoever
+// is on it already. Someone already on the list is skipped. Returns the new
+// Authorship documents.
+export const addExternalAuthors = async (publicationId, entries) => {
+  if (entries.length === 0) return [];
+
+  // Trashed authorships still hold their slot in the unique indexes
+  const current = await Authorship.find({ publication: publicationId })
+    .withDeleted()
+    .select("contributor order");
+  const listed = new Set(current.map((a) => String(a.contributor)));
+  let order = Math.max(0, ...current.map((a) => a.order));
+
+  const links = [];
+  for (const entry of entries) {
+    const contributor = await findOrCreateContributor(entry);
+    if (listed.has(String(contributor._id))) continue;
+    listed.add(String(contributor._id));
+
+    links.push({
+      publication: publicationId,
+      contributor: contributor._id,
+      order: ++order,
+    });
+  }
+
+  // insertMany skips the per-document hook; sync once instead
+  const authorships = await Authorship.insertMany(links);
+  await Publication.syncAuthorList(publicationId);
+  return authorships;
+};
@@ -0,0 +1,14 @@
+import crypto from "crypto";
+import fs from "fs";
+
+// SHA-256 of a file on disk, streamed so large PDFs aren't loaded into memory
+const computeFileChecksum = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+
+export { computeFileChecksum };
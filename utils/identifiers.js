@@ -0,0 +1,149 @@
+// Serial/book identifiers
+
+export const ISSN_PATTERN = /^\d{4}-\d{3}[\dX]$/;
+
+export const IDENTIFIER_TYPES = ["issn", "isbn-10", "isbn-13"];
+
+// Digits (and X) only, uppercased: "0-306-40615-2" -> "0306406152"
+const compactIdentifier = (value) =>
+  String(value || "")
+    .toUpperCase()
+    .replace(/[^0-9X]/g, "");
+
+// Weights 8..2, mod 11; a check value of 10 is written X
+const issnCheckDigit = (compact) => {
+  let sum = 0;
+  for (let i = 0; i < 7; i++) sum += Number(compact[i]) * (8 - i);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+};
+
+// Weights 10..2, mod 11; a check value of 10 is written X
+const isbn10CheckDigit = (compact) => {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) sum += Number(compact[i]) * (10 - i);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+};
+
+// Alternating weights 1 and 3, mod 10
+const isbn13CheckDigit = (compact) => {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) sum += Number(compact[i]) * (i % 2 ? 3 : 1);
+  return String((10 - (sum % 10)) % 10);
+};
+
+// ISBN-10 -> the equivalent 978 ISBN-13
+const isbn10To13 = (compact) => {
+  const body = `978${compact.slice(0, 9)}`;
+  return body + isbn13CheckDigit(body);
+};
+
+// Work out what `value` is and whether its check digit is right.
+// Returns null for empty input, otherwise
+//   { type, canonical, valid, message }
+// type is "issn", "isbn-10", "isbn-13" or null when the shape matches none.
+// Canonical forms: ISSN with its hyphen (0317-8471), ISBNs as bare digits.
+export const parseIdentifier = (value) => {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+
+  // X is only ever the last character
+  const compact = compactIdentifier(value);
+  const invalid = (type, message) => ({
+    type,
+    canonical: null,
+    valid: false,
+    message,
+  });
+
+  if (/^\d{7}[\dX]$/.test(compact)) {
+    if (issnCheckDigit(compact) !== compact[7]) {
+      return invalid("issn", "Invalid ISSN: the check digit does not match");
+    }
+    return {
+      type: "issn",
+      canonical: `${compact.slice(0, 4)}-${compact.slice(4)}`,
+      valid: true,
+      message: null,
+    };
+  }
+
+  if (/^\d{9}[\dX]$/.test(compact)) {
+    if (isbn10CheckDigit(compact) !== compact[9]) {
+      return invalid(
+        "isbn-10",
+        "Invalid ISBN-10: the check digit does not match"
+      );
+    }
+    return { type: "isbn-10", canonical: compact, valid: true, message: null };
+  }
+
+  if (/^\d{13}$/.test(compact)) {
+    if (!/^97[89]/.test(compact)) {
+      return invalid(
+        "isbn-13",
+        "Invalid ISBN-13: it must start with 978 or 979"
+      );
+    }
+    if (isbn13CheckDigit(compact) !== compact[12]) {
+      return invalid(
+        "isbn-13",
+        "Invalid ISBN-13: the check digit does not match"
+      );
+    }
+    return { type: "isbn-13", canonical: compact, valid: true, message: null };
+  }
+
+  return invalid(
+    null,
+    "Invalid ISBN/ISSN. Expected an ISSN (8 characters), ISBN-10 or ISBN-13"
+  );
+};
+
+// Canonical form of a valid identifier, otherwise the input unchanged (so a
+// validator can still reject it)
+export const toCanonicalIdentifier = (value) => {
+  const parsed = parseIdentifier(value);
+  return parsed?.valid ? parsed.canonical : value;
+};
+
+// The ISBN-13 for either ISBN form; null for anything else
+export const toIsbn13 = (value) => {
+  const parsed = parseIdentifier(value);
+  if (!parsed?.valid) return null;
+  if (parsed.type === "isbn-13") return parsed.canonical;
+  if (parsed.type === "isbn-10") return isbn10To13(parsed.canonical);
+  return null;
+};
+
+export const isValidIssn = (value) => {
+  const parsed = parseIdentifier(value);
+  return !!parsed && parsed.valid && parsed.type === "issn";
+};
+
+// "0317 8471", "03178471", "0317-8471" -> "0317-8471". Returns null when the
+// value isn't a valid ISSN (wrong shape or check digit).
+export const normalizeIssn = (value) =>
+  isValidIssn(value) ? parseIdentifier(value).canonical : null;
+
+// ORCID iDs: 16 characters in groups of four, the last a mod 11-2 check
+// character (X for 10)
+const orcidCheckDigit = (compact) => {
+  let total = 0;
+  for (let i = 0; i < 15; i++) total = (total + Number(compact[i])) * 2;
+  const check = (12 - (total % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+};
+
+// "https://orcid.org/0000-0002-1825-0097", "0000000218250097" ->
+// "0000-0002-1825-0097". Returns null when the value isn't a valid ORCID iD.
+export const normalizeOrcid = (value) => {
+  const compact = compactIdentifier(
+    String(value || "").replace(/^\s*(https?:\/\/)?(www\.)?orcid\.org\//i, "")
+  );
+  if (!/^\d{15}[\dX]$/.test(compact)) return null;
+  if (orcidCheckDigit(compact) !== compact[15]) return null;
+  return compact.match(/.{4}/g).join("-");
+};
@@ -0,0 +1,334 @@
+import { Journal } from "../models/index.js";
+import { normalizeIssn } from "./identifiers.js";
+import { normalizeTitle } from "./similarity.js";
+
+// Spreadsheet header (lowercased, letters/digits only) -> field. Covers the
+// column names used by the UGC CARE, Scopus and Web of Science downloads.
+const COLUMN_ALIASES = {
+  name: "name",
+  journal: "name",
+  journalname: "name",
+  journaltitle: "name",
+  title: "name",
+  sourcetitle: "name",
+  issn: "printIssn",
+  printissn: "printIssn",
+  pissn: "printIssn",
+  issnprint: "printIssn",
+  eissn: "eIssn",
+  onlineissn: "eIssn",
+  electronicissn: "eIssn",
+  issnonline: "eIssn",
+  publisher: "publisher",
+  list: "list",
+  index: "list",
+  indexing: "list",
+  indexedin: "list",
+  database: "list",
+  validfrom: "validFrom",
+  from: "validFrom",
+  since: "validFrom",
+  addedon: "validFrom",
+  validto: "validTo",
+  to: "validTo",
+  until: "validTo",
+  removedon: "validTo",
+  discontinued: "validTo",
+};
+
+// How the lists are commonly written -> INDEXING_LISTS value
+const LIST_ALIASES = {
+  sci: "SCI/ESCI",
+  scie: "SCI/ESCI",
+  esci: "SCI/ESCI",
+  sciesci: "SCI/ESCI",
+  wos: "WEB OF SCIENCE",
+  webofscience: "WEB OF SCIENCE",
+  scopus: "SCOPUS",
+  ugc: "UGC CARE",
+  ugccare: "UGC CARE",
+  ici: "ICI",
+  indexcopernicus: "ICI",
+};
+
+const normalizeKey = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+export const parseIndexingList = (value) =>
+  LIST_ALIASES[normalizeKey(value)] || null;
+
+// "2024-03-01", "01/03/2024" (day first), or a bare year (1 January)
+const parseListDate = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  if (/^\d{4}$/.test(text)) return new Date(Date.UTC(Number(text), 0, 1));
+
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) {
+    const [, day, month, year] = dayFirst.map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+  }
+
+  const date = new Date(text);
+  return isNaN(date) ? undefined : date;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const mapIndexingColumns = (headers) => {
+  const mapping = {};
+  const ignored = [];
+
+  for (const header of headers) {
+    const field = COLUMN_ALIASES[normalizeKey(header)];
+    if (field && !Object.values(mapping).includes(field)) {
+      mapping[header] = field;
+    } else if (header) {
+      ignored.push(header);
+    }
+  }
+
+  const fields = Object.values(mapping);
+  const missing = [];
+  if (!fields.includes("name") && !fields.includes("printIssn")) {
+    missing.push("name or issn");
+  }
+
+  return { mapping, ignored, missing, hasListColumn: fields.includes("list") };
+};
+
+// Put the journal on `list` (or record that it left it). Returns true when
+// the journal changed.
+const applyMembership = (journal, { list, validFrom, validTo }) => {
+  const open = journal.indexing.find(
+    (entry) => entry.list === list && !entry.validTo
+  );
+
+  if (validTo) {
+    if (open) {
+      open.validTo = validTo;
+      open.source = "import";
+      return true;
+    }
+    const known = journal.indexing.some(
+      (entry) =>
+        entry.list === list &&
+        entry.validTo &&
+        entry.validTo.getTime() === validTo.getTime()
+    );
+    if (known) return false;
+    journal.indexing.push({ list, validFrom, validTo, source: "import" });
+    return true;
+  }
+
+  if (open) return false;
+  journal.indexing.push({ list, validFrom, validTo: null, source: "import" });
+  return true;
+};
+
+// Apply an indexing list spreadsheet ({ rowNumber, values } rows, see
+// readSpreadsheet) to the journal registry. Journals are matched by ISSN,
+// then by name, and created when unknown.
+//   defaultList   list for files without a list column
+//   effectiveDate start date for rows without one (default today)
+//   closeMissing  end memberships of the file's lists for journals that are
+//                 not in the file (the list was republished without them)
+//   dryRun        report only
+// Returns { rows: [{ rowNumber, status, journal, name, issues }], summary }.
+export const applyIndexingRows = async (
+  rows,
+  mapping,
+  {
+    defaultList = null,
+    effectiveDate = new Date(),
+    closeMissing = false,
+    dryRun = false,
+  } = {}
+) => {
+  // The whole registry is small enough to match in memory
+  const journals = await Journal.find();
+  const byIssn = new Map();
+  const byName = new Map();
+  const remember = (journal) => {
+    if (journal.printIssn) byIssn.set(journal.printIssn, journal);
+    if (journal.eIssn) byIssn.set(journal.eIssn, journal);
+    for (const key of journal.nameKeys) {
+      if (!byName.has(key)) byName.set(key, journal);
+    }
+  };
+  journals.forEach(remember);
+
+  const changed = new Set();
+  const created = new Set();
+  const listed = new Map(); // list -> Set(journal id) seen in the file
+  const report = [];
+
+  for (const row of rows) {
+    const fields = {};
+    for (const [header, field] of Object.entries(mapping)) {
+      fields[field] = row.values[header] || "";
+    }
+
+    const issues = [];
+    const printIssn = normalizeIssn(fields.printIssn);
+    const eIssn = normalizeIssn(fields.eIssn);
+    if (fields.printIssn && !printIssn) {
+      issues.push(`Invalid ISSN "${fields.printIssn}"`);
+    }
+    if (fields.eIssn && !eIssn) {
+      issues.push(`Invalid e-ISSN "${fields.eIssn}"`);
+    }
+
+    const list = fields.list ? parseIndexingList(fields.list) : defaultList;
+    if (!list) {
+      issues.push(
+        fields.list
+          ? `Unknown indexing list "${fields.list}"`
+          : "No indexing list given"
+      );
+    }
+
+    const validFrom =
+      fields.validFrom === undefined || fields.validFrom === ""
+        ? effectiveDate
+        : parseListDate(fields.validFrom);
+    const validTo = parseListDate(fields.validTo);
+    if (validFrom === undefined) {
+      issues.push(`Invalid start date "${fields.validFrom}"`);
+    }
+    if (validTo === undefined) {
+      issues.push(`Invalid end date "${fields.validTo}"`);
+    }
+
+    const nameKey = normalizeTitle(fields.name || "");
+    let journal =
+      byIssn.get(printIssn) || byIssn.get(eIssn) || byName.get(nameKey);
+
+    if (!journal && !fields.name) {
+      issues.push("Journal name is required for journals not yet registered");
+    }
+
+    if (issues.length > 0) {
+      report.push({
+        rowNumber: row.rowNumber,
+        status: "invalid",
+        journal: journal?._id || null,
+        name: fields.name || journal?.name || null,
+        issues,
+      });
+      continue;
+    }
+
+    let status = "unchanged";
+    if (!journal) {
+      journal = new Journal({
+        name: fields.name,
+        printIssn: printIssn || undefined,
+        eIssn: eIssn || undefined,
+        publisher: fields.publisher || null,
+      });
+      // Normally set on save; needed now to match later rows by name
+      journal.nameKeys = [nameKey];
+
+      // One bad row must not sink the batch save below
+      const validationError = journal.validateSync();
+      if (validationError) {
+        report.push({
+          rowNumber: row.rowNumber,
+          status: "invalid",
+          journal: null,
+          name: fields.name,
+          issues: Object.values(validationError.errors).map(
+            (error) => error.message
+          ),
+        });
+        continue;
+      }
+
+      created.add(journal);
+      status = "created";
+    } else {
+      // Fill gaps; never overwrite what an admin entered
+      if (printIssn && !journal.printIssn && !byIssn.has(printIssn)) {
+        journal.printIssn = printIssn;
+        status = "updated";
+      }
+      if (eIssn && !journal.eIssn && !byIssn.has(eIssn)) {
+        journal.eIssn = eIssn;
+        status = "updated";
+      }
+      if (fields.publisher && !journal.publisher) {
+        journal.publisher = fields.publisher;
+        status = "updated";
+      }
+      if (nameKey && !journal.nameKeys.includes(nameKey)) {
+        journal.alternateNames.push(fields.name);
+        journal.nameKeys.push(nameKey);
+        status = "updated";
+      }
+    }
+
+    if (applyMembership(journal, { list, validFrom, validTo })) {
+      if (status === "unchanged") status = "updated";
+    }
+    if (status !== "unchanged") changed.add(journal);
+    remember(journal);
+
+    if (!validTo) {
+      if (!listed.has(list)) listed.set(list, new Set());
+      listed.get(list).add(String(journal._id));
+    }
+
+    report.push({
+      rowNumber: row.rowNumber,
+      status,
+      journal: journal._id,
+      name: journal.name,
+      issues: [],
+    });
+  }
+
+  // Journals dropped from a republished list: their membership ends the day
+  // before the new list takes effect
+  let closed = 0;
+  if (closeMissing) {
+    const closedOn = new Date(effectiveDate.getTime() - DAY_MS);
+    for (const [list, ids] of listed) {
+      for (const journal of journals) {
+        if (ids.has(String(journal._id))) continue;
+        const open = journal.indexing.find(
+          (entry) => entry.list === list && !entry.validTo
+        );
+        if (!open) continue;
+        open.validTo =
+          open.validFrom && open.validFrom > closedOn
+            ? open.validFrom
+            : closedOn;
+        changed.add(journal);
+        closed++;
+      }
+    }
+  }
+
+  const summary = {
+    total: rows.length,
+    invalid: report.filter((row) => row.status === "invalid").length,
+    created: created.size,
+    updated: [...changed].filter((journal) => !created.has(journal)).length,
+    unchanged: report.filter((row) => row.status === "unchanged").length,
+    closedMemberships: closed,
+    publicationsUpdated: 0,
+  };
+
+  if (!dryRun && changed.size > 0) {
+    await Journal.bulkSave([...changed]);
+    for (const journal of changed) {
+      summary.publicationsUpdated += await Journal.syncPublications(journal);
+    }
+  }
+
+  return { rows: report, summary };
+};
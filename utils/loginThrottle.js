@@ -0,0 +1,166 @@
+import { LoginAttempt } from "../models/loginAttempt.model.js";
+import { SecurityEvent } from "../models/securityEvent.model.js";
+
+const MINUTE = 60 * 1000;
+
+const readNumber = (name, fallback) =>
+  parseInt(process.env[name], 10) || fallback;
+
+// Failures allowed per account / per IP within the window before a lockout.
+// Each lockout of the same key lasts twice as long as the one before, up to
+// the maximum; keys with no failures for a day start over. Forgot-password
+// requests are limited the same way (passwordReset).
+const getPolicy = () => ({
+  account: { maxFailures: readNumber("LOGIN_MAX_ACCOUNT_FAILURES", 5) },
+  ip: { maxFailures: readNumber("LOGIN_MAX_IP_FAILURES", 20) },
+  passwordReset: {
+    account: { maxFailures: readNumber("PASSWORD_RESET_MAX_REQUESTS", 3) },
+    ip: { maxFailures: readNumber("PASSWORD_RESET_MAX_IP_REQUESTS", 10) },
+  },
+  windowMs: readNumber("LOGIN_FAILURE_WINDOW_MINUTES", 15) * MINUTE,
+  baseLockMs: readNumber("LOGIN_LOCKOUT_MINUTES", 5) * MINUTE,
+  maxLockMs: readNumber("LOGIN_MAX_LOCKOUT_MINUTES", 24 * 60) * MINUTE,
+  forgetAfterMs: 24 * 60 * MINUTE,
+});
+
+// Keys for LoginAttempt. The account key comes from what was typed, so
+// unknown emails are throttled the same way and nothing is given away.
+const accountLoginKey = (kind, identifier) =>
+  `${kind}:${String(identifier).toLowerCase().trim()}`;
+
+const ipLoginKey = (ip) => `ip:${ip || "unknown"}`;
+
+// Forgot-password requests are counted under their own keys, so asking for
+// reset mails never locks anyone out of logging in
+const passwordResetTargets = (req, accountKey) => [
+  { key: `reset:${accountKey}`, scope: "account" },
+  { key: `reset:${ipLoginKey(req.ip)}`, scope: "ip" },
+];
+
+// Small, growing pause before answering a failed login: 250ms, 500ms, 1s...
+// capped at 4s. Slows down guessing without locking anyone out.
+const getFailureDelayMs = (failures) =>
+  Math.min(250 * 2 ** Math.max(0, failures - 1), 4000);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const toLock = (attempt) => ({
+  scope: attempt.scope,
+  lockedUntil: attempt.lockedUntil,
+  retryAfterSeconds: Math.max(
+    1,
+    Math.ceil((attempt.lockedUntil - Date.now()) / 1000)
+  ),
+});
+
+// The lockout blocking this login (account or IP), or null
+const getLoginLock = async (req, accountKey) => {
+  const attempt = await LoginAttempt.findActiveLock([
+    accountKey,
+    ipLoginKey(req.ip),
+  ]);
+  return attempt ? toLock(attempt) : null;
+};
+
+// Count one attempt against each target. Locks whichever went over its
+// limit (recording a SecurityEvent). Returns the latest-ending new lock and
+// the account's count.
+const recordAttempts = async (req, targets, limits) => {
+  const policy = getPolicy();
+
+  let lock = null;
+  let accountFailures = 0;
+
+  for (const { key, scope } of targets) {
+    const attempt = await LoginAttempt.recordFailure(key, scope, policy);
+    if (scope === "account") accountFailures = attempt.failures;
+
+    const locked = await LoginAttempt.lockIfOverLimit(key, {
+      ...policy,
+      maxFailures: limits[scope].maxFailures,
+    });
+    if (!locked) continue;
+
+    await SecurityEvent.create({
+      type: "lockout",
+      key,
+      scope,
+      ip: req.ip,
+      lockedUntil: locked.lockedUntil,
+      lockCount: locked.lockCount,
+    });
+    const until = locked.lockedUntil.toISOString();
+    console.warn(`Login lockout: ${key} until ${until} (from ${req.ip})`);
+
+    if (!lock || locked.lockedUntil > lock.lockedUntil) lock = toLock(locked);
+  }
+
+  return { lock, accountFailures };
+};
+
+// Count a failed login against the account and the IP, then wait the
+// progressive delay. Returns the new lock, or null.
+const recordFailedLogin = async (req, accountKey) => {
+  const { lock, accountFailures } = await recordAttempts(
+    req,
+    [
+      { key: accountKey, scope: "account" },
+      { key: ipLoginKey(req.ip), scope: "ip" },
+    ],
+    getPolicy()
+  );
+
+  if (!lock) await wait(getFailureDelayMs(accountFailures));
+  return lock;
+};
+
+// The lock on forgot-password requests for this account or IP, or null
+const getPasswordResetLock = async (req, accountKey) => {
+  const attempt = await LoginAttempt.findActiveLock(
+    passwordResetTargets(req, accountKey).map(({ key }) => key)
+  );
+  return attempt ? toLock(attempt) : null;
+};
+
+// Count a forgot-password request, whether or not the account exists
+const recordPasswordResetRequest = async (req, accountKey) => {
+  await recordAttempts(
+    req,
+    passwordResetTargets(req, accountKey),
+    getPolicy().passwordReset
+  );
+};
+
+// A successful login clears the account's failures (not the IP's - one
+// good password shouldn't wipe out guesses at other accounts)
+const clearFailedLogins = (accountKey) =>
+  LoginAttempt.deleteOne({ key: accountKey });
+
+const LOCKED_OUT_MESSAGES = {
+  account:
+    "Too many failed login attempts. This account is temporarily locked.",
+  ip: "Too many failed login attempts from this network. Please try again later.",
+};
+
+// 429 with Retry-After for a locked account or IP. `messages` replaces the
+// login wording per scope.
+const lockedOutResponse = (res, lock, messages = LOCKED_OUT_MESSAGES) => {
+  res.set("Retry-After", String(lock.retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: messages[lock.scope],
+    lockedUntil: lock.lockedUntil,
+    retryAfterSeconds: lock.retryAfterSeconds,
+  });
+};
+
+export {
+  accountLoginKey,
+  ipLoginKey,
+  getLoginLock,
+  recordFailedLogin,
+  clearFailedLogins,
+  getPasswordResetLock,
+  recordPasswordResetRequest,
+  lockedOutResponse,
+};
@@ -0,0 +1,21 @@
+// Console driver for local development: messages are printed, not sent
+const createConsoleDriver = () => ({
+  name: "console",
+
+  async send(message) {
+    console.log(
+      [
+        "----- Mail (console driver) -----",
+        `From: ${message.from}`,
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        "",
+        message.text,
+        "---------------------------------",
+      ].join("\n")
+    );
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+export { createConsoleDriver };
@@ -0,0 +1,30 @@
+import fs from "fs";
+import path from "path";
+
+const getMailDir = () => path.resolve(process.env.MAIL_DIR || "./temp/mail");
+
+// File driver for local development: every message is written to MAIL_DIR
+// as JSON instead of being sent, so reset links can be picked up from disk
+const createFileDriver = () => {
+  const mailDir = getMailDir();
+
+  return {
+    name: "file",
+
+    async send(message) {
+      await fs.promises.mkdir(mailDir, { recursive: true });
+
+      const messageId = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+      const filePath = path.join(mailDir, `${messageId}.json`);
+      await fs.promises.writeFile(
+        filePath,
+        JSON.stringify({ ...message, date: new Date() }, null, 2)
+      );
+
+      console.log(`Mail to ${message.to} written to ${filePath}`);
+      return { messageId };
+    },
+  };
+};
+
+export { createFileDriver, getMailDir };
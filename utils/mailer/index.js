@@ -0,0 +1,51 @@
+import dotenv from "dotenv";
+import { createSmtpDriver } from "./smtp.driver.js";
+import { createFileDriver } from "./file.driver.js";
+import { createConsoleDriver } from "./console.driver.js";
+
+dotenv.config();
+
+// Every driver implements: send({ from, to, subject, text, html }) and
+// resolves to { messageId }
+const driverFactories = {
+  smtp: createSmtpDriver,
+  file: createFileDriver,
+  console: createConsoleDriver,
+};
+
+let driver = null;
+
+// Selected by MAIL_DRIVER (smtp | file | console); SMTP in production and
+// the console everywhere else by default
+const getMailDriverName = () =>
+  (
+    process.env.MAIL_DRIVER ||
+    (process.env.NODE_ENV === "production" ? "smtp" : "console")
+  ).toLowerCase();
+
+const getMailer = () => {
+  const name = getMailDriverName();
+  if (!driverFactories[name]) {
+    throw new Error(
+      `Unknown mail driver "${name}". Use one of: ${Object.keys(
+        driverFactories
+      ).join(", ")}`
+    );
+  }
+
+  if (!driver || driver.name !== name) {
+    driver = driverFactories[name]();
+  }
+  return driver;
+};
+
+const sendMail = ({ to, subject, text, html }) =>
+  getMailer().send({
+    from: process.env.MAIL_FROM || "no-reply@localhost",
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+  });
+
+export { getMailer, getMailDriverName, sendMail };
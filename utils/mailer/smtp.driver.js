@@ -0,0 +1,32 @@
+import nodemailer from "nodemailer";
+
+// SMTP driver for production. Configured by SMTP_HOST, SMTP_PORT,
+// SMTP_SECURE ("true" for port 465), SMTP_USER and SMTP_PASS.
+const createSmtpDriver = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error("SMTP_HOST must be set to send mail over SMTP");
+  }
+
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE
+      ? process.env.SMTP_SECURE === "true"
+      : port === 465,
+    ...(process.env.SMTP_USER && {
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+    }),
+  });
+
+  return {
+    name: "smtp",
+
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+export { createSmtpDriver };
@@ -0,0 +1,20 @@
+import bcrypt from "bcrypt";
+
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS, 10) || 10;
+
+const hashPassword = (plainPassword) => bcrypt.hash(plainPassword, SALT_ROUNDS);
+
+const comparePassword = async (plainPassword, storedPassword) => {
+  if (!plainPassword || !storedPassword) return false;
+  return bcrypt.compare(plainPassword, storedPassword);
+};
+
+// Shared pre-save hook for any schema with a `password` field. Whatever was
+// set is hashed, even if it looks like a bcrypt hash - otherwise a client
+// could send a hash as their "password" and have it stored as is.
+const hashPasswordOnSave = async function () {
+  if (!this.isModified("password")) return;
+  this.password = await hashPassword(this.password);
+};
+
+export { hashPassword, comparePassword, hashPasswordOnSave };
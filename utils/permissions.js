@@ -0,0 +1,93 @@
+// Roles and what each may do. Admin accounts carry one of ADMIN_ROLES;
+// logged-in authors are always "faculty".
+
+export const ADMIN_ROLES = ["superadmin", "admin", "department-admin"];
+export const ROLES = [...ADMIN_ROLES, "faculty"];
+
+// Every named permission, grouped by what it covers
+export const PERMISSIONS = [
+  // Publications
+  "publication:submit", // upload/edit tools for one's own publications
+  "publication:create", // upload on behalf of any author
+  "publication:update", // also lists a publication's file versions
+  "publication:delete",
+  "publication:review", // verify, reject, request changes
+  "publication:history", // revision history and diffs
+  "publication:restore", // roll back a revision or file
+  // Authors and departments
+  "author:read",
+  "author:create",
+  "author:assign",
+  "author:delete",
+  "department:create",
+  "department:delete",
+  // Admin-only tools
+  "trash:read",
+  "trash:restore",
+  "import:manage",
+  "journal:manage",
+  "duplicate:manage",
+  "contributor:update",
+  "data:private",
+  "security:manage", // login lockouts and security events
+  // Superadmin only
+  "admin:manage",
+  "maintenance:manage",
+];
+
+const DEPARTMENT_ADMIN_PERMISSIONS = [
+  "publication:submit",
+  "publication:create",
+  "publication:update",
+  "publication:delete",
+  "publication:review",
+  "publication:history",
+  "publication:restore",
+  "author:read",
+  "author:create",
+  "author:assign",
+  "author:delete",
+  "trash:read",
+  "trash:restore",
+  "data:private",
+];
+
+const ROLE_PERMISSIONS = {
+  superadmin: PERMISSIONS,
+  admin: PERMISSIONS.filter(
+    (permission) => !["admin:manage", "maintenance:manage"].includes(permission)
+  ),
+  "department-admin": DEPARTMENT_ADMIN_PERMISSIONS,
+  // Ownership of the publication is checked by the controllers
+  faculty: ["publication:submit", "publication:update"],
+};
+
+export const hasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+export const getRolePermissions = (role) => [...(ROLE_PERMISSIONS[role] || [])];
+
+// Role of whoever is making the request (see requirePermission)
+export const getRequestRole = (req) => {
+  if (req.user) return req.user.role;
+  if (req.author) return "faculty";
+  return null;
+};
+
+// The department a department admin is limited to; null for everyone else
+export const getDepartmentScope = (req) =>
+  req.user?.role === "department-admin" ? req.user.department : null;
+
+// True when a department admin reaches for another department's records.
+// `department` may be an id or a populated department.
+export const isOutsideDepartmentScope = (req, department) => {
+  const scope = getDepartmentScope(req);
+  if (!scope) return false;
+  return String(department?._id ?? department) !== String(scope);
+};
+
+// Query filter limiting a listing to the caller's department (if scoped)
+export const departmentScopeFilter = (req, field = "department") => {
+  const scope = getDepartmentScope(req);
+  return scope ? { [field]: scope } : {};
+};
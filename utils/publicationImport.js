@@ -0,0 +1,715 @@
+import {
+  AuthorProfile,
+  Department,
+  DuplicateFlag,
+  ImportJob,
+  Journal,
+  Publication,
+  PublicationRevision,
+} from "../models/index.js";
+import { normalizeTitle } from "./similarity.js";
+import { normalizeDoi } from "./doi.js";
+import { addExternalAuthors } from "./externalAuthors.js";
+import { findPossibleDuplicates } from "./duplicateDetector.js";
+import { normalizeIssn, toCanonicalIdentifier } from "./identifiers.js";
+import { getCitationPublicationType } from "./publicationTypes.js";
+
+// Spreadsheet header (lowercased, letters/digits only) -> Publication field
+const COLUMN_ALIASES = {
+  employeeid: "employeeId",
+  empid: "employeeId",
+  employeecode: "employeeId",
+  authorname: "authorName",
+  author: "authorName",
+  department: "department",
+  departmentname: "department",
+  dept: "department",
+  journaltype: "journalType",
+  indexing: "journalType",
+  journalname: "journalName",
+  journal: "journalName",
+  isbnissn: "isbnIssn",
+  isbn: "isbnIssn",
+  issn: "isbnIssn",
+  publicationmonth: "publicationMonth",
+  month: "publicationMonth",
+  publicationyear: "publicationYear",
+  year: "publicationYear",
+  title: "title",
+  papertitle: "title",
+  coauthors: "coAuthors",
+  coauthorcount: "coAuthorCount",
+  doi: "doi",
+};
+
+// Columns every import needs. Author name and department can be filled in
+// from the registered author, so they are optional.
+const REQUIRED_COLUMNS = [
+  "employeeId",
+  "title",
+  "journalType",
+  "journalName",
+  "isbnIssn",
+  "publicationMonth",
+  "publicationYear",
+];
+
+const MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+const normalizeHeader = (header) =>
+  header.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Work out which spreadsheet column feeds which field
+export const mapImportColumns = (headers) => {
+  const mapping = {};
+  const ignored = [];
+
+  for (const header of headers) {
+    const field = COLUMN_ALIASES[normalizeHeader(header)];
+    // First matching column wins
+    if (field && !Object.values(mapping).includes(field)) {
+      mapping[header] = field;
+    } else if (header) {
+      ignored.push(header);
+    }
+  }
+
+  const mappedFields = Object.values(mapping);
+  const missing = REQUIRED_COLUMNS.filter(
+    (field) => !mappedFields.includes(field)
+  );
+
+  return { mapping, ignored, missing };
+};
+
+// "3", "03", "Mar", "March" -> "3"
+const parseMonth = (value) => {
+  if (/^\d{1,2}$/.test(value)) return String(parseInt(value, 10));
+  const index = MONTH_NAMES.indexOf(value.slice(0, 3).toLowerCase());
+  return index === -1 ? value : String(index + 1);
+};
+
+const JOURNAL_TYPES = Publication.schema.path("journalType").enumValues;
+
+// Accept journal types in any letter case
+const parseJournalType = (value) =>
+  JOURNAL_TYPES.find((type) => type === value.toUpperCase()) || value;
+
+const splitList = (value) =>
+  value
+    .split(/[;|\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Fields that must be unique across publications, with their display names.
+// ISBN/ISSN is shared by every paper in a journal, so it only feeds the
+// duplicate detector.
+const UNIQUE_FIELDS = {
+  doi: "DOI",
+};
+
+// Publications already holding any of the rows' unique values, as
+// { doi: Map(value -> publication) }. Trashed publications still hold
+// theirs in the unique indexes.
+const loadExistingIdentifiers = async (dataRows) => {
+  const conditions = Object.keys(UNIQUE_FIELDS).map((field) => ({
+    [field]: {
+      $in: [...new Set(dataRows.map((data) => data[field]).filter(Boolean))],
+    },
+  }));
+
+  const existing = await Publication.find({ $or: conditions })
+    .withDeleted()
+    .select("doi title deletedAt")
+    .lean();
+
+  return Object.fromEntries(
+    Object.keys(UNIQUE_FIELDS).map((field) => [
+      field,
+      new Map(
+        existing.filter((pub) => pub[field]).map((pub) => [pub[field], pub])
+      ),
+    ])
+  );
+};
+
+const createSeenIdentifiers = () =>
+  Object.fromEntries(
+    Object.keys(UNIQUE_FIELDS).map((field) => [field, new Map()])
+  );
+
+// Flag a DOI that already exists or appeared on an earlier row
+const checkUniqueIdentifiers = (data, rowNumber, existing, seen, addIssue) => {
+  for (const [field, label] of Object.entries(UNIQUE_FIELDS)) {
+    const value = data[field];
+    if (!value) continue;
+
+    const match = existing[field].get(value);
+    if (match) {
+      addIssue(
+        field,
+        match.deletedAt
+          ? `${label} ${value} belongs to a publication in the trash`
+          : `${label} ${value} already exists ("${match.title}")`
+      );
+    } else if (seen[field].has(value)) {
+      addIssue(
+        field,
+        `Duplicate ${label} - also used on row ${seen[field].get(value)}`
+      );
+    } else {
+      seen[field].set(value, rowNumber);
+    }
+  }
+};
+
+// Let the schema report everything else (formats, lengths, enums, required)
+const addSchemaIssues = (data, addIssue) => {
+  const validationError = new Publication(data).validateSync();
+  for (const error of Object.values(validationError?.errors || {})) {
+    // Derived from month/year, which report their own errors
+    if (error.path === "publication_date") continue;
+    const field = error.path === "authorDeptId" ? "department" : error.path;
+    addIssue(field, error.message);
+  }
+};
+
+// Collects one issue per field (appending to `issues` when given)
+const createIssueList = (issues = []) => {
+  const addIssue = (field, message) => {
+    if (!issues.some((issue) => issue.field === field)) {
+      issues.push({ field, message });
+    }
+  };
+  return { issues, addIssue };
+};
+
+const toPublicationDate = (month, year) => {
+  const monthNumber = parseInt(month, 10);
+  const yearNumber = parseInt(year, 10);
+  return isNaN(monthNumber) || isNaN(yearNumber)
+    ? null
+    : new Date(yearNumber, monthNumber - 1, 1);
+};
+
+// Registered journals for the given ISSNs, keyed by print and e-ISSN
+const loadJournalsByIssn = async (identifiers) => {
+  const issns = [
+    ...new Set(
+      identifiers.map((value) => normalizeIssn(value)).filter(Boolean)
+    ),
+  ];
+  const journals =
+    issns.length === 0
+      ? []
+      : await Journal.find({
+          $or: [{ printIssn: { $in: issns } }, { eIssn: { $in: issns } }],
+        });
+
+  const journalsByIssn = new Map();
+  for (const journal of journals) {
+    if (journal.printIssn) journalsByIssn.set(journal.printIssn, journal);
+    if (journal.eIssn) journalsByIssn.set(journal.eIssn, journal);
+  }
+  return journalsByIssn;
+};
+
+// A row whose ISSN belongs to a registered journal takes the journal's name
+// and the indexing it had at publication time, like registerPublication
+const applyRegisteredJournal = (data, journalsByIssn, warnings) => {
+  const journal = journalsByIssn.get(normalizeIssn(data.isbnIssn));
+  if (!journal) return;
+
+  const journalType = journal.getJournalType(
+    data.publication_date || new Date()
+  );
+  if (data.journalType && data.journalType !== journalType) {
+    warnings.push(
+      `Journal type ${journalType} comes from the journal registry (given: ${data.journalType})`
+    );
+  }
+
+  data.journal = journal._id;
+  data.journalName = journal.name;
+  data.journalType = journalType;
+};
+
+// Look up everything the rows refer to in a handful of queries
+const loadImportContext = async (rows) => {
+  const employeeIds = [
+    ...new Set(
+      rows
+        .map((row) => parseInt(row.fields.employeeId, 10))
+        .filter((id) => !isNaN(id))
+    ),
+  ];
+  const [departments, authors, journalsByIssn] = await Promise.all([
+    Department.find({}).select("name").lean(),
+    AuthorProfile.find({ employee_id: { $in: employeeIds } })
+      .select("employee_id author_name department")
+      .lean(),
+    loadJournalsByIssn(rows.map((row) => row.fields.isbnIssn)),
+  ]);
+
+  return {
+    departmentsByName: new Map(
+      departments.map((dept) => [dept.name.trim().toLowerCase(), dept])
+    ),
+    departmentsById: new Map(
+      departments.map((dept) => [String(dept._id), dept])
+    ),
+    authorsByEmployeeId: new Map(
+      authors.map((author) => [String(author.employee_id), author])
+    ),
+    journalsByIssn,
+  };
+};
+
+// Turn one row into Publication data plus the problems found with it
+const validateRow = (row, context) => {
+  const { fields } = row;
+  const { issues, addIssue } = createIssueList();
+  const warnings = [];
+
+  const employeeId = fields.employeeId;
+  const author = context.authorsByEmployeeId.get(employeeId);
+  if (employeeId && !author) {
+    warnings.push(`Employee ID ${employeeId} is not a registered author`);
+  }
+
+  // Department: the named one, otherwise the registered author's
+  let departmentId = null;
+  if (fields.department) {
+    const department = context.departmentsByName.get(
+      fields.department.toLowerCase()
+    );
+    if (department) {
+      departmentId = department._id;
+      if (author && String(author.department) !== String(department._id)) {
+        warnings.push(
+          `Department differs from the author's registered department`
+        );
+      }
+    } else {
+      addIssue("department", `Unknown department "${fields.department}"`);
+    }
+  } else if (author && context.departmentsById.has(String(author.department))) {
+    departmentId = author.department;
+  } else {
+    addIssue(
+      "department",
+      "Department is required when the employee is not a registered author"
+    );
+  }
+
+  const coAuthors = fields.coAuthors ? splitList(fields.coAuthors) : [];
+  let coAuthorCount = 0;
+  if (fields.coAuthorCount) {
+    coAuthorCount = parseInt(fields.coAuthorCount, 10);
+    if (isNaN(coAuthorCount) || coAuthorCount < 0) {
+      addIssue(
+        "coAuthorCount",
+        "Co-author count must be a non-negative number"
+      );
+    }
+  }
+
+  const publicationMonth = parseMonth(fields.publicationMonth);
+
+  const data = {
+    employeeId,
+    authorName: fields.authorName || author?.author_name || "",
+    authorDeptId: departmentId,
+    department: departmentId,
+    journalType: parseJournalType(fields.journalType),
+    journalName: fields.journalName,
+    title: fields.title,
+    publicationMonth,
+    publicationYear: fields.publicationYear,
+    publication_date: toPublicationDate(
+      publicationMonth,
+      fields.publicationYear
+    ),
+    isbnIssn: toCanonicalIdentifier(fields.isbnIssn.toUpperCase()),
+    doi: normalizeDoi(fields.doi) || undefined,
+    coAuthors,
+    coAuthorCount: isNaN(coAuthorCount) ? 0 : coAuthorCount,
+    source: "bulk-import",
+  };
+
+  applyRegisteredJournal(data, context.journalsByIssn, warnings);
+  addSchemaIssues(data, addIssue);
+
+  return {
+    rowNumber: row.rowNumber,
+    status: issues.length > 0 ? "invalid" : "valid",
+    issues,
+    warnings,
+    data,
+  };
+};
+
+// Dry run: validate spreadsheet rows ({ rowNumber, values }) using the column
+// mapping from mapImportColumns. Nothing is written.
+export const validateImportRows = async (rows, mapping) => {
+  const mappedRows = rows.map((row) => {
+    const fields = Object.fromEntries(
+      Object.values(COLUMN_ALIASES).map((field) => [field, ""])
+    );
+    for (const [header, field] of Object.entries(mapping)) {
+      fields[field] = row.values[header] || "";
+    }
+    return { rowNumber: row.rowNumber, fields };
+  });
+
+  const context = await loadImportContext(mappedRows);
+  const validatedRows = mappedRows.map((row) => validateRow(row, context));
+
+  // Clashes with existing publications and between rows
+  const existing = await loadExistingIdentifiers(
+    validatedRows.map((row) => row.data)
+  );
+  const seen = createSeenIdentifiers();
+  const seenTitles = new Map();
+  for (const row of validatedRows) {
+    const { issues, addIssue } = createIssueList(row.issues);
+    checkUniqueIdentifiers(row.data, row.rowNumber, existing, seen, addIssue);
+    row.status = issues.length > 0 ? "invalid" : "valid";
+
+    // Rows that can't be imported anyway aren't worth the lookups
+    if (row.status === "valid") {
+      await addDuplicateWarnings(row, seenTitles, "row");
+    }
+  }
+
+  return validatedRows;
+};
+
+// Possible duplicates are only warnings - the uploader decides. Checks
+// existing publications (utils/duplicateDetector.js) and earlier rows of the
+// same file (`seenTitles`: normalized title -> row number).
+const addDuplicateWarnings = async (row, seenTitles, rowLabel) => {
+  for (const match of await findPossibleDuplicates(row.data)) {
+    row.warnings.push(
+      `Possible duplicate of "${match.publication.title}" (${
+        match.publication._id
+      }): ${match.reasons.join(", ")}`
+    );
+  }
+
+  const titleKey = normalizeTitle(row.data.title || "");
+  if (titleKey && seenTitles.has(titleKey)) {
+    row.warnings.push(`Same title as ${rowLabel} ${seenTitles.get(titleKey)}`);
+  } else if (titleKey) {
+    seenTitles.set(titleKey, row.rowNumber);
+  }
+};
+
+// Dry run for BibTeX/RIS entries (see utils/citationParser.js). Every entry
+// becomes a publication owned by `owner` (a registered author profile); the
+// parsed author list, without the owner, becomes external co-authors.
+// Conference, book or patent details for a citation of the given type
+const getCitationTypeDetails = (publicationType, citation, warnings) => {
+  if (publicationType === "conference-paper") {
+    return {
+      conference: {
+        name: citation.journalName,
+        location: citation.location || null,
+      },
+    };
+  }
+
+  if (["book-chapter", "book", "edited-volume"].includes(publicationType)) {
+    return {
+      book: {
+        publisher: citation.publisher,
+        edition: citation.edition || null,
+        editors: publicationType === "book-chapter" ? citation.editors : [],
+      },
+    };
+  }
+
+  if (publicationType === "patent") {
+    // Reference managers don't record where a patent stands
+    warnings.push("No patent status given - granted is used");
+    return {
+      patent: {
+        number: citation.number,
+        status: "granted",
+        jurisdiction: citation.location,
+      },
+    };
+  }
+
+  return {};
+};
+
+export const validateCitationRows = async (
+  citations,
+  owner,
+  { journalType = "OTHER" } = {}
+) => {
+  const existing = await loadExistingIdentifiers(
+    citations.map((citation) => ({ doi: normalizeDoi(citation.doi) }))
+  );
+  const seen = createSeenIdentifiers();
+  const seenTitles = new Map();
+  const journalsByIssn = await loadJournalsByIssn(
+    citations.map((citation) => citation.identifier)
+  );
+  const ownerName = normalizeTitle(owner.author_name);
+
+  const rows = [];
+  for (const [index, citation] of citations.entries()) {
+    const rowNumber = index + 1; // Entry number in the file
+    const { issues, addIssue } = createIssueList();
+    const warnings = [];
+
+    if (citation.error) {
+      addIssue(null, `Could not read entry: ${citation.error}`);
+      rows.push({ rowNumber, status: "invalid", issues, warnings, data: null });
+      continue;
+    }
+
+    // Edited volumes name their editors instead of authors; plain BibTeX
+    // has no @collection, so an editors-only @book is one too
+    const editorsOnly =
+      citation.authors.length === 0 && citation.editors?.length > 0;
+    let publicationType = getCitationPublicationType(citation.sourceType);
+    if (publicationType === "book" && editorsOnly) {
+      publicationType = "edited-volume";
+    }
+    const authors =
+      publicationType === "edited-volume" && editorsOnly
+        ? citation.editors
+        : citation.authors;
+
+    const coAuthors = authors.filter(
+      (name) => normalizeTitle(name) !== ownerName
+    );
+    if (authors.length > 0 && coAuthors.length === authors.length) {
+      warnings.push(`Author list does not include ${owner.author_name}`);
+    }
+
+    let publicationMonth = citation.month;
+    if (!publicationMonth && citation.year) {
+      warnings.push("No publication month given - January is used");
+      publicationMonth = "1";
+    }
+
+    const data = {
+      employeeId: String(owner.employee_id),
+      authorName: owner.author_name,
+      authorDeptId: owner.department,
+      department: owner.department,
+      publicationType,
+      ...getCitationTypeDetails(publicationType, citation, warnings),
+      // Indexing applies to journals and proceedings
+      journalType: ["journal-article", "conference-paper"].includes(
+        publicationType
+      )
+        ? journalType
+        : undefined,
+      journalName: citation.journalName || undefined,
+      title: citation.title,
+      publicationMonth,
+      publicationYear: citation.year,
+      publication_date: toPublicationDate(publicationMonth, citation.year),
+      isbnIssn: citation.identifier || undefined,
+      doi: normalizeDoi(citation.doi) || undefined,
+      coAuthors,
+      coAuthorCount: coAuthors.length,
+      source: "citation-import",
+    };
+
+    if (publicationType === "journal-article") {
+      applyRegisteredJournal(data, journalsByIssn, warnings);
+    }
+    checkUniqueIdentifiers(data, rowNumber, existing, seen, addIssue);
+    addSchemaIssues(data, addIssue);
+
+    const row = {
+      rowNumber,
+      status: issues.length > 0 ? "invalid" : "valid",
+      issues,
+      warnings,
+      data,
+    };
+    await addDuplicateWarnings(row, seenTitles, "entry");
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// After a publication is in: revision, author list and duplicate flags.
+// Best effort - the record exists either way, so a failure here is noted on
+// the row instead of undoing the import.
+const finishImportedPublication = async (row, publication, actor) => {
+  try {
+    await PublicationRevision.record(publication, "create", actor);
+
+    // Co-author names go on the author list as external contributors
+    await addExternalAuthors(
+      publication._id,
+      publication.coAuthors.map((name) => ({ name }))
+    );
+
+    // Anything the dry run warned about (or that was added since) goes on
+    // the admin duplicates report
+    await DuplicateFlag.recordMatches(
+      publication._id,
+      await findPossibleDuplicates(publication),
+      "import"
+    );
+  } catch (error) {
+    console.error(
+      `Error finishing imported publication ${publication._id}:`,
+      error
+    );
+    row.warnings.push(
+      "Imported, but its co-authors or duplicate check may be incomplete"
+    );
+  }
+};
+
+// Create publications for import rows in one unordered batch. `fields` is
+// merged into every record (status, review info...). Rows end up "imported"
+// (with their publication ID) or "failed" (with the reason).
+const insertImportRows = async (importJob, rows, actor, fields) => {
+  const markFailed = (row, message, field = null) => {
+    row.status = "failed";
+    row.issues.push({ field, message });
+  };
+
+  // Departments may have been deleted since the dry run
+  const departmentIds = [
+    ...new Set(rows.map((row) => String(row.data.department))),
+  ];
+  const liveDepartments = new Set(
+    (await Department.find({ _id: { $in: departmentIds } }).select("_id")).map(
+      (dept) => String(dept._id)
+    )
+  );
+
+  const pending = [];
+  for (const row of rows) {
+    if (!liveDepartments.has(String(row.data.department))) {
+      markFailed(row, "Department no longer exists", "department");
+      continue;
+    }
+
+    const publication = new Publication({
+      ...row.data,
+      ...fields,
+      importJob: importJob._id,
+    });
+
+    const validationError = publication.validateSync();
+    if (validationError) {
+      markFailed(row, validationError.message);
+      continue;
+    }
+
+    pending.push({ row, publication });
+  }
+
+  // Unordered so one clash (e.g. a DOI added since the dry run)
+  // doesn't stop the rest of the batch
+  let results = pending.map(({ publication }) => publication);
+  if (pending.length > 0) {
+    try {
+      await Publication.insertMany(results, { ordered: false });
+    } catch (error) {
+      if (error.results) {
+        results = error.results;
+      } else {
+        // No per-row results (e.g. the connection dropped): see which
+        // records made it
+        const saved = new Set(
+          (
+            await Publication.find({
+              _id: { $in: results.map((publication) => publication._id) },
+            })
+              .withDeleted()
+              .select("_id")
+          ).map((publication) => String(publication._id))
+        );
+        results = results.map((publication) =>
+          saved.has(String(publication._id)) ? publication : null
+        );
+      }
+    }
+  }
+
+  const imported = [];
+  pending.forEach(({ row, publication }, index) => {
+    const result = results[index];
+    if (result === publication) {
+      row.status = "imported";
+      row.publication = publication._id;
+      imported.push({ row, publication });
+      return;
+    }
+
+    const message =
+      result?.code === 11000 || result?.err?.code === 11000
+        ? "Another publication already has this DOI"
+        : result?.errmsg || result?.err?.errmsg || "Could not be saved";
+    markFailed(row, message);
+  });
+
+  for (const { row, publication } of imported) {
+    await finishImportedPublication(row, publication, actor);
+  }
+
+  return imported.map(({ publication }) => publication);
+};
+
+// Commit an import claimed with ImportJob.claimForCommit: create the rows'
+// publications, then save the row outcomes with the job marked committed.
+// If it fails before anything was inserted the claim is released so the
+// import can be tried again; once publications exist the job is never handed
+// back (that would import them twice) - it ends up "failed" instead.
+export const commitImportRows = async (importJob, rows, actor, fields = {}) => {
+  let imported;
+  try {
+    imported = await insertImportRows(importJob, rows, actor, fields);
+  } catch (error) {
+    // When even that can't be checked, leave the claim in place
+    const inserted = await Publication.exists({ importJob: importJob._id })
+      .withDeleted()
+      .catch(() => true);
+    await (inserted
+      ? ImportJob.updateOne(
+          { _id: importJob._id },
+          { $set: { status: "failed" } }
+        )
+      : ImportJob.releaseCommit(importJob._id)
+    ).catch((releaseError) =>
+      console.error("Error releasing import claim:", releaseError)
+    );
+    throw error;
+  }
+
+  importJob.status = "committed";
+  importJob.committedAt = new Date();
+  importJob.refreshSummary();
+  importJob.markModified("rows");
+  await importJob.save();
+
+  return imported;
+};
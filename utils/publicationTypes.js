@@ -0,0 +1,73 @@
+import { PUBLICATION_TYPES } from "../models/publication.model.js";
+
+// Publication type -> the sub-document holding its details
+export const TYPE_DETAIL_FIELDS = {
+  "journal-article": null,
+  "conference-paper": "conference",
+  "book-chapter": "book",
+  book: "book",
+  "edited-volume": "book",
+  patent: "patent",
+};
+
+// BibTeX entry types and RIS TY codes (lowercased) -> publicationType.
+// Anything not listed is imported as a journal article.
+const CITATION_TYPES = {
+  article: "journal-article",
+  jour: "journal-article",
+  ejour: "journal-article",
+  inproceedings: "conference-paper",
+  conference: "conference-paper",
+  conf: "conference-paper",
+  cpaper: "conference-paper",
+  incollection: "book-chapter",
+  inbook: "book-chapter",
+  chap: "book-chapter",
+  echap: "book-chapter",
+  book: "book",
+  ebook: "book",
+  collection: "edited-volume",
+  proceedings: "edited-volume",
+  edbook: "edited-volume",
+  patent: "patent",
+  pat: "patent",
+};
+
+// Crossref work types -> publicationType (see utils/doiResolver.js)
+const CROSSREF_TYPES = {
+  "journal-article": "journal-article",
+  "proceedings-article": "conference-paper",
+  "book-chapter": "book-chapter",
+  "book-section": "book-chapter",
+  "book-part": "book-chapter",
+  book: "book",
+  monograph: "book",
+  "edited-book": "edited-volume",
+  "reference-book": "edited-volume",
+};
+
+export const getCrossrefPublicationType = (type) =>
+  CROSSREF_TYPES[type] || "journal-article";
+
+export const getCitationPublicationType = (sourceType) =>
+  CITATION_TYPES[String(sourceType || "").toLowerCase()] || "journal-article";
+
+export const isValidPublicationType = (value) =>
+  PUBLICATION_TYPES.includes(value);
+
+// Type details arrive as nested form fields (conference[name]=...) or, from
+// multipart forms that can't nest, as a JSON string. Returns the object,
+// null when not given, or throws on unreadable JSON.
+export const readTypeDetails = (value, label) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "object") return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (parsed && typeof parsed === "object") return parsed;
+  } catch {
+    // Reported below
+  }
+  throw Object.assign(new Error(`${label} details must be an object`), {
+    status: 400,
+  });
+};
@@ -0,0 +1,42 @@
+// Fuzzy text matching for spotting the same publication entered twice
+
+// Lowercase, drop accents/punctuation, collapse whitespace
+export const normalizeTitle = (title = "") =>
+  title
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const bigrams = (text) => {
+  const compact = text.replace(/\s+/g, "");
+  const counts = new Map();
+  for (let i = 0; i < compact.length - 1; i++) {
+    const pair = compact.slice(i, i + 2);
+    counts.set(pair, (counts.get(pair) || 0) + 1);
+  }
+  return counts;
+};
+
+// Dice coefficient over character bigrams of the normalized titles:
+// 1 = identical, 0 = nothing in common
+export const titleSimilarity = (a, b) => {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+
+  let overlap = 0;
+  let total = 0;
+  for (const count of leftPairs.values()) total += count;
+  for (const [pair, count] of rightPairs) {
+    total += count;
+    overlap += Math.min(count, leftPairs.get(pair) || 0);
+  }
+
+  return total === 0 ? 0 : (2 * overlap) / total;
+};
@@ -0,0 +1,75 @@
+import fs from "fs";
+import path from "path";
+import ExcelJS from "exceljs";
+import { parseCsv } from "./csv.js";
+
+export const SPREADSHEET_EXTENSIONS = [".csv", ".xlsx"];
+
+// Plain text for an ExcelJS cell value (rich text, links, formulas, dates)
+const cellToString = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.text !== undefined) return cellToString(value.text);
+    if (value.result !== undefined) return cellToString(value.result);
+    return "";
+  }
+  return String(value);
+};
+
+const readXlsxRows = async (filePath) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(filePath);
+
+  // Only the first sheet is imported
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    for (let col = 1; col <= worksheet.columnCount; col++) {
+      cells.push(cellToString(row.getCell(col).value));
+    }
+    rows[row.number - 1] = cells;
+  });
+
+  // Fill the gaps left by empty rows so indexes stay row numbers
+  return Array.from(rows, (cells) => cells || []);
+};
+
+// Read a CSV or XLSX upload. The first non-empty row is the header row; every
+// other row becomes { rowNumber, values } with values keyed by header.
+export const readSpreadsheet = async (filePath, originalName = filePath) => {
+  const extension = path.extname(originalName).toLowerCase();
+
+  let rows;
+  if (extension === ".xlsx") {
+    rows = await readXlsxRows(filePath);
+  } else if (extension === ".csv") {
+    rows = parseCsv(await fs.promises.readFile(filePath, "utf8"));
+  } else {
+    throw new Error(`Unsupported spreadsheet type: ${extension || "unknown"}`);
+  }
+
+  const isBlank = (cells) => cells.every((cell) => cell.trim() === "");
+
+  const headerIndex = rows.findIndex((cells) => !isBlank(cells));
+  if (headerIndex === -1) return { headers: [], rows: [] };
+
+  const headers = rows[headerIndex].map((header) => header.trim());
+
+  const dataRows = [];
+  for (let index = headerIndex + 1; index < rows.length; index++) {
+    if (isBlank(rows[index])) continue;
+    dataRows.push({
+      rowNumber: index + 1, // As shown in the spreadsheet
+      values: Object.fromEntries(
+        headers.map((header, col) => [header, (rows[index][col] ?? "").trim()])
+      ),
+    });
+  }
+
+  return { headers, rows: dataRows };
+};
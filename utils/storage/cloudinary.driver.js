@@ -0,0 +1,82 @@
+import { v2 as cloudinary } from "cloudinary";
+
+// Cloudinary driver - PDFs are stored as "raw" resources, identified by public_id
+const createCloudinaryDriver = () => {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true,
+  });
+
+  const toFileInfo = (resource) => ({
+    fileId: resource.public_id,
+    url: resource.secure_url,
+    name: resource.public_id.split("/").pop(),
+    size: resource.bytes,
+    createdAt: resource.created_at ? new Date(resource.created_at) : null,
+    provider: "cloudinary",
+  });
+
+  return {
+    name: "cloudinary",
+
+    async upload(localFilePath, { fileName, folder }) {
+      // An explicit public_id replaces any file already stored under it, so
+      // give every upload its own - two "paper.pdf" uploads must not share one
+      const safeName = fileName.replace(/[^a-zA-Z0-9._-]/g, "_");
+      const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+      const response = await cloudinary.uploader.upload(localFilePath, {
+        resource_type: "raw",
+        folder: folder.replace(/^\/+/, ""),
+        public_id: `${uniqueSuffix}-${safeName}`,
+        overwrite: false,
+      });
+      return toFileInfo(response);
+    },
+
+    async delete(fileId) {
+      await cloudinary.uploader.destroy(fileId, { resource_type: "raw" });
+    },
+
+    async getSignedUrl(fileId, { expiresIn }) {
+      return cloudinary.utils.private_download_url(fileId, "", {
+        resource_type: "raw",
+        type: "upload",
+        expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+      });
+    },
+
+    async list(folder) {
+      const files = [];
+      let nextCursor;
+
+      do {
+        const page = await cloudinary.api.resources({
+          resource_type: "raw",
+          type: "upload",
+          prefix: folder.replace(/^\/+/, ""),
+          max_results: 500,
+          next_cursor: nextCursor,
+        });
+        files.push(...page.resources.map(toFileInfo));
+        nextCursor = page.next_cursor;
+      } while (nextCursor);
+
+      return files;
+    },
+
+    async head(fileId) {
+      try {
+        return toFileInfo(
+          await cloudinary.api.resource(fileId, { resource_type: "raw" })
+        );
+      } catch (error) {
+        if (error.error?.http_code === 404) return null;
+        throw error;
+      }
+    },
+  };
+};
+
+export { createCloudinaryDriver };
@@ -0,0 +1,75 @@
+import ImageKit from "imagekit";
+import fs from "fs";
+
+// ImageKit.io driver - files are identified by ImageKit's fileId
+const createImageKitDriver = () => {
+  const imagekit = new ImageKit({
+    publicKey: process.env.IMAGEKIT_PUBLIC_KEY,
+    privateKey: process.env.IMAGEKIT_PRIVATE_KEY,
+    urlEndpoint: process.env.IMAGEKIT_URL_ENDPOINT,
+  });
+
+  const toFileInfo = (file) => ({
+    fileId: file.fileId,
+    url: file.url,
+    name: file.name,
+    size: file.size,
+    createdAt: file.createdAt ? new Date(file.createdAt) : null,
+    provider: "imagekit",
+  });
+
+  return {
+    name: "imagekit",
+
+    async upload(localFilePath, { fileName, folder }) {
+      const response = await imagekit.upload({
+        file: fs.readFileSync(localFilePath),
+        fileName,
+        folder,
+      });
+      return toFileInfo(response);
+    },
+
+    async delete(fileId) {
+      await imagekit.deleteFile(fileId);
+    },
+
+    async getSignedUrl(fileId, { expiresIn }) {
+      const file = await imagekit.getFileDetails(fileId);
+      return imagekit.url({
+        path: file.filePath,
+        signed: true,
+        expireSeconds: expiresIn,
+      });
+    },
+
+    async list(folder) {
+      const files = [];
+      const pageSize = 1000;
+
+      for (let skip = 0; ; skip += pageSize) {
+        const page = await imagekit.listFiles({
+          path: folder,
+          type: "file",
+          skip,
+          limit: pageSize,
+        });
+        files.push(...page.map(toFileInfo));
+        if (page.length < pageSize) break;
+      }
+
+      return files;
+    },
+
+    async head(fileId) {
+      try {
+        return toFileInfo(await imagekit.getFileDetails(fileId));
+      } catch (error) {
+        if (error.$ResponseMetadata?.statusCode === 404) return null;
+        throw error;
+      }
+    },
+  };
+};
+
+export { createImageKitDriver };
@@ -0,0 +1,119 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { createImageKitDriver } from "./imagekit.driver.js";
+import { createCloudinaryDriver } from "./cloudinary.driver.js";
+import {
+  createLocalDriver,
+  getLocalStorageDir,
+  LOCAL_STORAGE_ROUTE,
+} from "./local.driver.js";
+
+dotenv.config();
+
+// Every driver implements: upload, delete, getSignedUrl, head, list.
+// Files are described as { fileId, url, name, size, createdAt, provider }.
+const driverFactories = {
+  imagekit: createImageKitDriver,
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDriver,
+};
+
+const DEFAULT_FOLDER = process.env.STORAGE_FOLDER || "/pdfs";
+const drivers = {};
+
+// Selected by STORAGE_DRIVER (imagekit | cloudinary | local), imagekit by default
+const getStorageDriverName = () =>
+  (process.env.STORAGE_DRIVER || "imagekit").toLowerCase();
+
+// Files keep the provider they were uploaded to, so older files stay reachable
+// after STORAGE_DRIVER is switched.
+const getStorage = (name = getStorageDriverName()) => {
+  if (!driverFactories[name]) {
+    throw new Error(
+      `Unknown storage driver "${name}". Use one of: ${Object.keys(
+        driverFactories
+      ).join(", ")}`
+    );
+  }
+
+  if (!drivers[name]) {
+    drivers[name] = driverFactories[name]();
+  }
+  return drivers[name];
+};
+
+const removeLocalFile = (localFilePath) => {
+  if (localFilePath && fs.existsSync(localFilePath)) {
+    fs.unlinkSync(localFilePath);
+  }
+};
+
+// Upload a temp file to the configured provider. The temp file is always
+// removed; returns null when the upload fails (same contract as the old
+// UploadOnImageKit helper).
+const uploadFile = async (localFilePath, options = {}) => {
+  try {
+    if (!localFilePath) return null;
+
+    const storage = getStorage();
+    const result = await storage.upload(localFilePath, {
+      fileName: options.fileName || path.basename(localFilePath),
+      folder: options.folder || DEFAULT_FOLDER,
+    });
+
+    console.log(`Upload Success (${storage.name}):`, result.fileId);
+    return result;
+  } catch (error) {
+    console.error("Upload Error:", error);
+    return null;
+  } finally {
+    removeLocalFile(localFilePath);
+  }
+};
+
+const deleteFile = (fileId, provider) => getStorage(provider).delete(fileId);
+
+const getSignedFileUrl = (fileId, provider, { expiresIn = 15 * 60 } = {}) =>
+  getStorage(provider).getSignedUrl(fileId, { expiresIn });
+
+const headFile = (fileId, provider) => getStorage(provider).head(fileId);
+
+// Best-effort removal of several stored files; never throws.
+// Files without a provider file ID cannot be deleted and are reported as skipped.
+const deleteStoredFiles = async (files) => {
+  const result = { deleted: [], failed: [], skipped: [] };
+
+  for (const file of files) {
+    if (!file.fileId) {
+      result.skipped.push(file);
+      continue;
+    }
+
+    try {
+      await deleteFile(file.fileId, file.provider);
+      result.deleted.push(file);
+    } catch (error) {
+      console.error(`Error deleting stored file ${file.fileId}:`, error);
+      result.failed.push({ ...file, error: error.message });
+    }
+  }
+
+  return result;
+};
+
+const listFiles = (provider, folder = DEFAULT_FOLDER) =>
+  getStorage(provider).list(folder);
+
+export {
+  getStorage,
+  getStorageDriverName,
+  uploadFile,
+  deleteFile,
+  deleteStoredFiles,
+  getSignedFileUrl,
+  headFile,
+  listFiles,
+  getLocalStorageDir,
+  LOCAL_STORAGE_ROUTE,
+};
@@ -0,0 +1,102 @@
+import fs from "fs";
+import path from "path";
+
+// Files are served by app.js from this route when the local driver is active
+const LOCAL_STORAGE_ROUTE = "/uploads";
+const getLocalStorageDir = () =>
+  path.resolve(process.env.LOCAL_STORAGE_DIR || "./uploads");
+
+// Local filesystem driver for offline development and tests.
+// fileId is the path relative to the storage dir, e.g. "pdfs/1700000000-paper.pdf"
+const createLocalDriver = () => {
+  const storageDir = getLocalStorageDir();
+  const baseUrl = (
+    process.env.LOCAL_STORAGE_BASE_URL ||
+    `http://localhost:${process.env.PORT || 3000}${LOCAL_STORAGE_ROUTE}`
+  ).replace(/\/+$/, "");
+
+  // Never let a fileId escape the storage directory
+  const resolveFilePath = (fileId) => {
+    const filePath = path.resolve(storageDir, fileId);
+    if (!filePath.startsWith(storageDir + path.sep)) {
+      throw new Error(`Invalid file ID: ${fileId}`);
+    }
+    return filePath;
+  };
+
+  const toFileInfo = (fileId, stats) => ({
+    fileId,
+    url: `${baseUrl}/${fileId}`,
+    name: path.basename(fileId),
+    size: stats.size,
+    createdAt: stats.mtime,
+    provider: "local",
+  });
+
+  return {
+    name: "local",
+
+    async upload(localFilePath, { fileName, folder }) {
+      const safeName = fileName.replace(/[^a-zA-Z0-9._-]/g, "_");
+      const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+      const fileId = path.posix.join(
+        folder.replace(/^\/+/, ""),
+        `${uniqueSuffix}-${safeName}`
+      );
+
+      const destination = resolveFilePath(fileId);
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+      await fs.promises.copyFile(localFilePath, destination);
+
+      return toFileInfo(fileId, await fs.promises.stat(destination));
+    },
+
+    async delete(fileId) {
+      await fs.promises.rm(resolveFilePath(fileId), { force: true });
+    },
+
+    // Local files are served publicly in development, so the plain URL is enough
+    async getSignedUrl(fileId) {
+      return `${baseUrl}/${fileId}`;
+    },
+
+    async list(folder) {
+      const root = resolveFilePath(folder.replace(/^\/+/, ""));
+      let entries;
+      try {
+        entries = await fs.promises.readdir(root, { recursive: true });
+      } catch (error) {
+        if (error.code === "ENOENT") return [];
+        throw error;
+      }
+
+      const files = [];
+      for (const entry of entries) {
+        const filePath = path.join(root, entry);
+        const stats = await fs.promises.stat(filePath);
+        if (!stats.isFile()) continue;
+
+        const fileId = path
+          .relative(storageDir, filePath)
+          .split(path.sep)
+          .join("/");
+        files.push(toFileInfo(fileId, stats));
+      }
+      return files;
+    },
+
+    async head(fileId) {
+      try {
+        return toFileInfo(
+          fileId,
+          await fs.promises.stat(resolveFilePath(fileId))
+        );
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+  };
+};
+
+export { createLocalDriver, getLocalStorageDir, LOCAL_STORAGE_ROUTE };